@@ -0,0 +1,116 @@
+/**
+ * MiniMax Translator - Sentence Alignment
+ * Pairs the sentences of a text with the sentences of its translation, so
+ * each pair can be reviewed and re-translated on its own
+ */
+
+import { splitSentences, joinTranslatedSegments } from './segmenter.js';
+
+// Sentence groupings an alignment may use: [source sentences, target sentences]
+const ALIGNMENT_MOVES = [[1, 1], [1, 2], [2, 1], [1, 3], [3, 1], [2, 2], [1, 0], [0, 1]];
+
+// Extra cost of merging sentences, and of a sentence with no counterpart,
+// on top of the length mismatch. One-to-one pairs cost nothing extra.
+const ALIGNMENT_MERGE_PENALTY = 1.5;
+const ALIGNMENT_SKIP_PENALTY = 4;
+
+/**
+ * Align a text with its translation, sentence by sentence.
+ * Sentences are matched on length (after scaling the translation's length to
+ * the source's), allowing one sentence to match up to three on the other side,
+ * and sentences without a counterpart. Returns [{ source, target, sourceSeparator, targetSeparator }]
+ * in order, where separator is the whitespace after the group.
+ */
+export function alignSentences(sourceText, translation) {
+    const source = splitSentences(sourceText.trim());
+    const target = splitSentences(translation.trim());
+    const ratio = getSentencesLength(target) / Math.max(1, getSentencesLength(source));
+
+    // cost[i][j]: cheapest alignment of the first i source and j target sentences
+    const cost = source.map(() => []).concat([[]]);
+    const moves = source.map(() => []).concat([[]]);
+    cost[0][0] = 0;
+
+    for (let i = 0; i <= source.length; i++) {
+        for (let j = 0; j <= target.length; j++) {
+            if (cost[i][j] === undefined) continue;
+
+            for (const move of ALIGNMENT_MOVES) {
+                const [di, dj] = move;
+                if (i + di > source.length || j + dj > target.length) continue;
+
+                const total = cost[i][j] + getAlignmentCost(
+                    source.slice(i, i + di), target.slice(j, j + dj), ratio
+                );
+                if (cost[i + di][j + dj] === undefined || total < cost[i + di][j + dj]) {
+                    cost[i + di][j + dj] = total;
+                    moves[i + di][j + dj] = move;
+                }
+            }
+        }
+    }
+
+    // Walk back from the end to recover the groups
+    const groups = [];
+    let i = source.length;
+    let j = target.length;
+    while (i > 0 || j > 0) {
+        const [di, dj] = moves[i][j];
+        const sourceGroup = source.slice(i - di, i);
+        const targetGroup = target.slice(j - dj, j);
+
+        groups.unshift({
+            source: joinSentences(sourceGroup),
+            target: joinSentences(targetGroup),
+            sourceSeparator: di ? sourceGroup[di - 1].separator : '',
+            targetSeparator: dj ? targetGroup[dj - 1].separator : ''
+        });
+        i -= di;
+        j -= dj;
+    }
+
+    return groups;
+}
+
+/**
+ * Cost of pairing some source sentences with some target sentences
+ */
+function getAlignmentCost(sourceGroup, targetGroup, ratio) {
+    const sourceLength = getSentencesLength(sourceGroup) * ratio;
+    const targetLength = getSentencesLength(targetGroup);
+    const mismatch = Math.abs(sourceLength - targetLength) / Math.sqrt((sourceLength + targetLength) / 2 + 1);
+
+    if (!sourceGroup.length || !targetGroup.length) return mismatch + ALIGNMENT_SKIP_PENALTY;
+    if (sourceGroup.length > 1 || targetGroup.length > 1) return mismatch + ALIGNMENT_MERGE_PENALTY;
+    return mismatch;
+}
+
+/**
+ * Total length of some sentences, not counting whitespace between them
+ */
+function getSentencesLength(sentences) {
+    return sentences.reduce((total, sentence) => total + sentence.text.length, 0);
+}
+
+/**
+ * Join consecutive sentences back into text, keeping the whitespace between them
+ */
+function joinSentences(sentences) {
+    return sentences.map((sentence, index) =>
+        index < sentences.length - 1 ? sentence.text + sentence.separator : sentence.text
+    ).join('');
+}
+
+/**
+ * Rebuild the full translation from aligned groups, e.g. after one group's
+ * target was re-translated. Groups without a target are left out.
+ */
+export function joinAlignedTranslation(groups, targetSpaced) {
+    const translated = groups.filter(group => group.target);
+
+    return joinTranslatedSegments(
+        translated.map(group => ({ separator: group.targetSeparator })),
+        translated.map(group => group.target),
+        targetSpaced
+    ).trim();
+}
@@ -1,81 +1,52 @@
 /**
  * MiniMax Translator - Main Application Logic
- * A lightweight real-time Chinese-English translator
+ * A lightweight real-time translator. Starts the app and wires up its events.
  */
 
-// Configuration
-const CONFIG = {
-    // MiniMax API Configuration
-    // Get your API key from: https://api.minimax.chat/
-    API_BASE_URL: 'https://api.minimax.chat/v1/text/translate',
-    API_KEY: '', // User needs to add their API key in settings
-    
-    // Speech Recognition Settings
-    SPEECH_LANGUAGES: {
-        'zh-en': { source: 'zh-CN', target: 'en' },
-        'en-zh': { source: 'en-US', target: 'zh' }
-    },
-    
-    // Auto-translate debounce time (ms)
-    TRANSLATE_DEBOUNCE: 500,
-    
-    // Local storage keys
-    STORAGE_KEYS: {
-        API_KEY: 'minimax_api_key',
-        LANGUAGE_PAIR: 'language_pair',
-        AUTO_TRANSLATE: 'auto_translate',
-        SPEECH_RATE: 'speech_rate',
-        OFFLINE_CACHE: 'offline_cache'
-    }
-};
-
-// State Management
-const state = {
-    isListening: false,
-    currentLangPair: 'zh-en',
-    apiKey: '',
-    autoTranslate: true,
-    speechRate: 1,
-    isOnline: navigator.onLine,
-    recognition: null,
-    synthesis: window.speechSynthesis,
-    debounceTimer: null,
-    offlineCache: new Map()
-};
-
-// DOM Elements
-const elements = {
-    sourceText: document.getElementById('sourceText'),
-    targetText: document.getElementById('targetText'),
-    sourceLangLabel: document.getElementById('sourceLangLabel'),
-    targetLangLabel: document.getElementById('targetLangLabel'),
-    micBtn: document.getElementById('micBtn'),
-    zhEnBtn: document.getElementById('zhEnBtn'),
-    enZhBtn: document.getElementById('enZhBtn'),
-    speakSource: document.getElementById('speakSource'),
-    speakTarget: document.getElementById('speakTarget'),
-    clearSource: document.getElementById('clearSource'),
-    copyTarget: document.getElementById('copyTarget'),
-    connectionStatus: document.getElementById('connectionStatus'),
-    offlineBanner: document.getElementById('offlineBanner'),
-    installBtn: document.getElementById('installBtn'),
-    settingsModal: document.getElementById('settingsModal'),
-    openSettings: document.getElementById('openSettings'),
-    closeSettings: document.getElementById('closeSettings'),
-    apiKeyInput: document.getElementById('apiKey'),
-    autoTranslateInput: document.getElementById('autoTranslate'),
-    speechRateInput: document.getElementById('speechRate'),
-    speechRateValue: document.getElementById('speechRateValue'),
-    clearCacheBtn: document.getElementById('clearCache')
-};
+import { renderContent, acceptPlainTextOnly } from './render.js';
+import { clearHistory } from './history.js';
+import { TRANSLATION_STYLES } from './providers.js';
+import { clearTranscript } from './conversation.js';
+import { state, elements } from './state.js';
+import {
+    loadSettings, saveSettings, loadApiKeys, saveApiKeys, openUnlockModal, unlockApiKeys,
+    lockApiKeys, resetAutoLock, setApiKeyPassphrase, removeApiKeyPassphrase, forgetApiKeys,
+    moveProvider, renderGlossaryList, resetGlossaryForm, handleGlossarySubmit, handleGlossaryAction,
+    importGlossaryFile, exportBackup, exportTranslationPairs, importDataFile, updateEndpointSetting
+} from './settings.js';
+import {
+    setupSpeechRecognition, openInterpreter, closeInterpreter, setInterpreterLanguage,
+    toggleInterpreterSide, toggleSpeechRecognition, setupVoices, speakSourceText, speakTargetText
+} from './speech.js';
+import { replayOutbox, handleOutboxMessage, collectSyncedTranslations } from './translation.js';
+import {
+    loadOfflineCache, applyCacheBudget, updateCacheStats, updateCorrectionStats, handleCorrectionAction,
+    clearSavedCorrections, clearOfflineCache
+} from './cache.js';
+import {
+    renderHistoryList, handleHistoryAction, startDocumentTranslation, pauseInterruptedDocuments,
+    resumeWaitingDocuments, renderDocumentList, handleDocumentAction
+} from './panels.js';
+import {
+    setLanguagePair, populateLanguageSelects, updateLanguageLabels, getActiveSourceLang,
+    getActiveTargetLang, setConversationMode, addConversationTurn, handleTextInput,
+    cancelPendingTranslations, setProviderLabel, setCurrentTranslation, setAlignmentMode,
+    highlightAlignedPair, handleAlignmentHover, handleAlignmentClick, saveTargetCorrection,
+    openVerify, suggestAlternatives, useAlternative, copyTargetText, translateCurrentText,
+    updateConnectionStatus, checkOnlineStatus
+} from './ui.js';
 
 // Initialize Application
 function init() {
+    populateLanguageSelects();
     loadSettings();
     setupSpeechRecognition();
+    setupVoices();
     setupEventListeners();
     setupServiceWorker();
-    loadOfflineCache();
+    loadApiKeys();
+    loadOfflineCache().then(collectSyncedTranslations);
+    pauseInterruptedDocuments();
     checkOnlineStatus();
     setupInstallPrompt();
     updateLanguageLabels();
@@ -83,127 +54,6 @@ function init() {
     console.log('MiniMax Translator initialized');
 }
 
-/**
- * Load settings from localStorage
- */
-function loadSettings() {
-    try {
-        state.apiKey = localStorage.getItem(CONFIG.STORAGE_KEYS.API_KEY) || '';
-        const savedLangPair = localStorage.getItem(CONFIG.STORAGE_KEYS.LANGUAGE_PAIR);
-        state.autoTranslate = localStorage.getItem(CONFIG.STORAGE_KEYS.AUTO_TRANSLATE) !== 'false';
-        state.speechRate = parseFloat(localStorage.getItem(CONFIG.STORAGE_KEYS.SPEECH_RATE)) || 1;
-        
-        if (savedLangPair) {
-            state.currentLangPair = savedLangPair;
-            updateLanguageButtons();
-        }
-        
-        // Update form inputs
-        if (elements.apiKeyInput) elements.apiKeyInput.value = state.apiKey;
-        if (elements.autoTranslateInput) elements.autoTranslateInput.checked = state.autoTranslate;
-        if (elements.speechRateInput) {
-            elements.speechRateInput.value = state.speechRate;
-            if (elements.speechRateValue) elements.speechRateValue.textContent = state.speechRate + 'x';
-        }
-    } catch (error) {
-        console.error('Error loading settings:', error);
-    }
-}
-
-/**
- * Save settings to localStorage
- */
-function saveSettings() {
-    try {
-        localStorage.setItem(CONFIG.STORAGE_KEYS.API_KEY, state.apiKey);
-        localStorage.setItem(CONFIG.STORAGE_KEYS.LANGUAGE_PAIR, state.currentLangPair);
-        localStorage.setItem(CONFIG.STORAGE_KEYS.AUTO_TRANSLATE, state.autoTranslate.toString());
-        localStorage.setItem(CONFIG.STORAGE_KEYS.SPEECH_RATE, state.speechRate.toString());
-    } catch (error) {
-        console.error('Error saving settings:', error);
-    }
-}
-
-/**
- * Setup Web Speech API Recognition
- */
-function setupSpeechRecognition() {
-    if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
-        console.warn('Speech recognition not supported in this browser');
-        elements.micBtn.disabled = true;
-        elements.micBtn.title = 'Speech recognition not supported';
-        return;
-    }
-    
-    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-    state.recognition = new SpeechRecognition();
-    state.recognition.continuous = true;
-    state.recognition.interimResults = true;
-    state.recognition.lang = CONFIG.SPEECH_LANGUAGES[state.currentLangPair].source;
-    
-    state.recognition.onstart = () => {
-        state.isListening = true;
-        elements.micBtn.classList.add('listening');
-        elements.micBtn.querySelector('svg').innerHTML = `
-            <rect x="6" y="2" width="12" height="20" rx="5" fill="currentColor"/>
-            <path d="M6 10v4a6 6 0 0012 0v-4" stroke="currentColor" fill="none" stroke-width="2"/>
-        `;
-    };
-    
-    state.recognition.onend = () => {
-        state.isListening = false;
-        elements.micBtn.classList.remove('listening');
-        elements.micBtn.querySelector('svg').innerHTML = `
-            <path fill="currentColor" d="M12 14c1.66 0 3-1.34 3-3V5c0-1.66-1.34-3-3-3S9 3.34 9 5v6c0 1.66 1.34 3 3 3z"/>
-            <path fill="currentColor" d="M17 11c0 2.76-2.24 5-5 5s-5-2.24-5-5H5c0 3.53 2.61 6.43 6 6.92V21h2v-3.08c3.39-.49 6-3.39 6-6.92h-2z"/>
-        `;
-    };
-    
-    state.recognition.onresult = (event) => {
-        // Get only new results since last event
-        const newResults = [];
-        for (let i = event.resultIndex; i < event.results.length; i++) {
-            newResults.push({
-                transcript: event.results[i][0].transcript.trim(),
-                isFinal: event.results[i].isFinal
-            });
-        }
-        
-        // Process new results
-        for (const result of newResults) {
-            if (result.transcript === '') continue;
-            
-            if (result.isFinal) {
-                // Final result - add to source text and translate
-                const currentText = elements.sourceText.textContent.trim();
-                const separator = currentText ? ' ' : '';
-                elements.sourceText.textContent = currentText + separator + result.transcript;
-                
-                // Translate this specific utterance
-                translateText(result.transcript);
-            }
-        }
-    };
-    
-    state.recognition.onerror = (event) => {
-        console.error('Speech recognition error:', event.error);
-        
-        if (event.error === 'not-allowed') {
-            alert('Microphone access denied. Please enable microphone permissions.');
-        } else if (event.error === 'no-speech') {
-            // No speech detected, restart listening
-            try {
-                state.recognition.start();
-            } catch (e) {
-                console.error('Failed to restart recognition:', e);
-            }
-        }
-        
-        state.isListening = false;
-        elements.micBtn.classList.remove('listening');
-    };
-}
-
 /**
  * Setup Event Listeners
  */
@@ -211,31 +61,159 @@ function setupEventListeners() {
     // Microphone button
     elements.micBtn.addEventListener('click', toggleSpeechRecognition);
     
-    // Language toggle buttons
-    elements.zhEnBtn.addEventListener('click', () => setLanguagePair('zh-en'));
-    elements.enZhBtn.addEventListener('click', () => setLanguagePair('en-zh'));
+    // Conversation mode
+    elements.conversationBtn.addEventListener('click', () => setConversationMode(!state.conversationMode));
+    elements.conversationMicBtn.addEventListener('click', toggleSpeechRecognition);
+    elements.clearTranscriptBtn.addEventListener('click', () => clearTranscript(elements.transcript));
+    
+    // Face-to-face interpreter mode
+    elements.interpreterBtn.addEventListener('click', openInterpreter);
+    elements.closeInterpreter.addEventListener('click', closeInterpreter);
+    elements.interpreterView.addEventListener('click', (e) => {
+        const button = e.target.closest('.mic-btn[data-side]');
+        if (button) toggleInterpreterSide(button.dataset.side);
+    });
+    elements.interpreterView.addEventListener('change', (e) => {
+        const side = e.target.dataset.side;
+        if (side) setInterpreterLanguage(side, e.target.value);
+    });
+    elements.conversationForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const text = elements.conversationInput.value.trim();
+        if (!text) return;
+        elements.conversationInput.value = '';
+        addConversationTurn(text);
+    });
+    
+    // Language selection
+    elements.sourceLangSelect.addEventListener('change', (e) => setLanguagePair(e.target.value, state.targetLang));
+    elements.targetLangSelect.addEventListener('change', (e) => setLanguagePair(state.sourceLang, e.target.value));
+    elements.swapLangBtn.addEventListener('click', () => {
+        const sourceLang = getActiveSourceLang();
+        setLanguagePair(getActiveTargetLang(sourceLang), sourceLang);
+    });
     
-    // Text input events
+    // Text input events; pasted and dropped markup is reduced to plain text
     elements.sourceText.addEventListener('input', handleTextInput);
+    acceptPlainTextOnly(elements.sourceText, handleTextInput);
+    acceptPlainTextOnly(elements.targetText, cancelPendingTranslations);
+    
+    // Hand corrections of the translation are saved when the panel loses focus
+    elements.targetText.addEventListener('input', () => {
+        // A translation arriving now would overwrite the edit
+        cancelPendingTranslations();
+    });
+    elements.targetText.addEventListener('blur', saveTargetCorrection);
     
     // Action buttons
     elements.clearSource.addEventListener('click', () => {
+        cancelPendingTranslations();
         elements.sourceText.textContent = '';
         elements.targetText.textContent = '';
+        setCurrentTranslation(null);
+        setProviderLabel('');
     });
     
     elements.speakSource.addEventListener('click', speakSourceText);
     elements.speakTarget.addEventListener('click', speakTargetText);
     elements.copyTarget.addEventListener('click', copyTargetText);
     
+    // Sentence alignment
+    elements.alignTarget.addEventListener('click', () => setAlignmentMode(true));
+    elements.closeAlignment.addEventListener('click', () => setAlignmentMode(false));
+    elements.alignmentGrid.addEventListener('click', handleAlignmentClick);
+    elements.alignmentGrid.addEventListener('mouseover', handleAlignmentHover);
+    elements.alignmentGrid.addEventListener('focusin', handleAlignmentHover);
+    elements.alignmentGrid.addEventListener('mouseleave', () => highlightAlignedPair(state.alignmentPinned));
+    
+    // Checking a translation
+    renderContent(elements.alternativeStyle, ...Object.entries(TRANSLATION_STYLES)
+        .map(([id, style]) => new Option(style.name, id)));
+    elements.verifyTarget.addEventListener('click', openVerify);
+    elements.closeVerify.addEventListener('click', () => elements.verifyModal.classList.remove('show'));
+    elements.verifyModal.addEventListener('click', (e) => {
+        if (e.target === elements.verifyModal) {
+            elements.verifyModal.classList.remove('show');
+        }
+    });
+    elements.alternativeForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        suggestAlternatives();
+    });
+    elements.alternativeList.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-index]');
+        if (button) useAlternative(Number(button.dataset.index));
+    });
+    
     // Settings
-    elements.openSettings.addEventListener('click', () => elements.settingsModal.classList.add('show'));
+    elements.openSettings.addEventListener('click', () => {
+        elements.settingsModal.classList.add('show');
+        updateCacheStats();
+        updateCorrectionStats();
+        renderGlossaryList();
+        resetGlossaryForm();
+    });
     elements.closeSettings.addEventListener('click', () => elements.settingsModal.classList.remove('show'));
     
     // Settings form handlers
     elements.apiKeyInput.addEventListener('change', (e) => {
         state.apiKey = e.target.value;
+        saveApiKeys();
+    });
+    
+    elements.apiBaseUrlInput.addEventListener('change', (e) => updateEndpointSetting('apiBaseUrl', e.target));
+    elements.openaiEndpointInput.addEventListener('change', (e) => updateEndpointSetting('openaiEndpoint', e.target));
+    
+    elements.openaiModelInput.addEventListener('change', (e) => {
+        state.openaiModel = e.target.value.trim();
+        saveSettings();
+    });
+    
+    elements.openaiApiKeyInput.addEventListener('change', (e) => {
+        state.openaiApiKey = e.target.value;
+        saveApiKeys();
+    });
+    
+    // API key passphrase
+    elements.passphraseForm.addEventListener('submit', setApiKeyPassphrase);
+    elements.removePassphraseBtn.addEventListener('click', removeApiKeyPassphrase);
+    elements.lockKeysBtn.addEventListener('click', () => {
+        if (state.keyLock === 'locked') {
+            openUnlockModal();
+        } else {
+            lockApiKeys();
+        }
+    });
+    elements.autoLockMinutesInput.addEventListener('change', (e) => {
+        state.autoLockMinutes = parseInt(e.target.value, 10) || 0;
         saveSettings();
+        resetAutoLock();
+    });
+    elements.unlockForm.addEventListener('submit', unlockApiKeys);
+    elements.forgetKeysBtn.addEventListener('click', forgetApiKeys);
+    elements.closeUnlock.addEventListener('click', () => elements.unlockModal.classList.remove('show'));
+    elements.unlockModal.addEventListener('click', (e) => {
+        if (e.target === elements.unlockModal) {
+            elements.unlockModal.classList.remove('show');
+        }
+    });
+    
+    // Any interaction postpones the auto-lock
+    document.addEventListener('pointerdown', resetAutoLock, true);
+    document.addEventListener('keydown', resetAutoLock, true);
+    
+    elements.providerList.addEventListener('change', (e) => {
+        const index = Number(e.target.dataset.index);
+        if (e.target.type === 'checkbox' && state.providerChain[index]) {
+            state.providerChain[index].enabled = e.target.checked;
+            saveSettings();
+        }
+    });
+    
+    elements.providerList.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-move]');
+        if (!button) return;
+        moveProvider(Number(button.dataset.index), Number(button.dataset.move));
     });
     
     elements.autoTranslateInput.addEventListener('change', (e) => {
@@ -249,8 +227,79 @@ function setupEventListeners() {
         saveSettings();
     });
     
+    elements.speechPitchInput.addEventListener('input', (e) => {
+        state.speechPitch = parseFloat(e.target.value);
+        elements.speechPitchValue.textContent = state.speechPitch;
+        saveSettings();
+    });
+    
+    elements.speechVolumeInput.addEventListener('input', (e) => {
+        state.speechVolume = parseFloat(e.target.value);
+        elements.speechVolumeValue.textContent = Math.round(state.speechVolume * 100) + '%';
+        saveSettings();
+    });
+    
+    elements.autoSpeakInput.addEventListener('change', (e) => {
+        state.autoSpeak = e.target.checked;
+        saveSettings();
+    });
+    
+    elements.voiceSettings.addEventListener('change', (e) => {
+        const lang = e.target.dataset.lang;
+        if (!lang) return;
+        
+        if (e.target.value) {
+            state.speechVoices[lang] = e.target.value;
+        } else {
+            delete state.speechVoices[lang];
+        }
+        saveSettings();
+    });
+    
+    elements.glossaryForm.addEventListener('submit', handleGlossarySubmit);
+    elements.glossaryList.addEventListener('click', handleGlossaryAction);
+    elements.glossaryImport.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) importGlossaryFile(file);
+        e.target.value = '';
+    });
+    
     elements.clearCacheBtn.addEventListener('click', clearOfflineCache);
     
+    elements.exportBackupBtn.addEventListener('click', exportBackup);
+    elements.exportCsvBtn.addEventListener('click', () => exportTranslationPairs('csv'));
+    elements.exportTmxBtn.addEventListener('click', () => exportTranslationPairs('tmx'));
+    elements.dataImport.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) importDataFile(file);
+        e.target.value = '';
+    });
+    
+    elements.fuzzyCorrectionsInput.addEventListener('change', (e) => {
+        state.fuzzyCorrections = e.target.checked;
+        saveSettings();
+    });
+    elements.correctionList.addEventListener('click', handleCorrectionAction);
+    elements.clearCorrectionsBtn.addEventListener('click', clearSavedCorrections);
+    
+    elements.cacheMaxEntriesInput.addEventListener('change', (e) => {
+        const value = parseInt(e.target.value, 10);
+        if (value > 0) {
+            state.cacheMaxEntries = value;
+            saveSettings();
+            applyCacheBudget();
+        }
+    });
+    
+    elements.cacheMaxMBInput.addEventListener('change', (e) => {
+        const value = parseFloat(e.target.value);
+        if (value > 0) {
+            state.cacheMaxMB = value;
+            saveSettings();
+            applyCacheBudget();
+        }
+    });
+    
     // Close modal on outside click
     elements.settingsModal.addEventListener('click', (e) => {
         if (e.target === elements.settingsModal) {
@@ -258,6 +307,65 @@ function setupEventListeners() {
         }
     });
     
+    // History panel
+    elements.openHistory.addEventListener('click', () => {
+        elements.historyModal.classList.add('show');
+        renderHistoryList();
+    });
+    elements.closeHistory.addEventListener('click', () => elements.historyModal.classList.remove('show'));
+    elements.historyModal.addEventListener('click', (e) => {
+        if (e.target === elements.historyModal) {
+            elements.historyModal.classList.remove('show');
+        }
+    });
+    
+    elements.historySearch.addEventListener('input', renderHistoryList);
+    elements.historyStarredOnly.addEventListener('change', renderHistoryList);
+    elements.historyList.addEventListener('click', handleHistoryAction);
+    elements.clearHistoryBtn.addEventListener('click', async () => {
+        if (!confirm('Delete all translation history? Starred entries are deleted too.')) return;
+        await clearHistory();
+        renderHistoryList();
+    });
+    
+    // Document translation
+    elements.openDocuments.addEventListener('click', () => {
+        elements.documentsModal.classList.add('show');
+        renderDocumentList();
+    });
+    elements.closeDocuments.addEventListener('click', () => elements.documentsModal.classList.remove('show'));
+    elements.documentsModal.addEventListener('click', (e) => {
+        if (e.target === elements.documentsModal) {
+            elements.documentsModal.classList.remove('show');
+        }
+    });
+    
+    elements.documentInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) startDocumentTranslation(file);
+        e.target.value = '';
+    });
+    elements.documentList.addEventListener('click', handleDocumentAction);
+    
+    // Files can be dropped anywhere on the page
+    document.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer || !e.dataTransfer.types.includes('Files')) return;
+        e.preventDefault();
+        elements.documentDropZone.classList.add('dragging');
+    });
+    document.addEventListener('dragleave', (e) => {
+        if (!e.relatedTarget) elements.documentDropZone.classList.remove('dragging');
+    });
+    document.addEventListener('drop', (e) => {
+        const file = e.dataTransfer && e.dataTransfer.files[0];
+        elements.documentDropZone.classList.remove('dragging');
+        if (!file) return;
+        
+        e.preventDefault();
+        elements.documentsModal.classList.add('show');
+        startDocumentTranslation(file);
+    });
+    
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
         if (e.ctrlKey || e.metaKey) {
@@ -272,6 +380,8 @@ function setupEventListeners() {
     window.addEventListener('online', () => {
         state.isOnline = true;
         updateConnectionStatus();
+        replayOutbox();
+        resumeWaitingDocuments();
     });
     
     window.addEventListener('offline', () => {
@@ -280,413 +390,26 @@ function setupEventListeners() {
     });
 }
 
-/**
- * Set language pair for translation
- */
-function setLanguagePair(langPair) {
-    state.currentLangPair = langPair;
-    updateLanguageButtons();
-    updateLanguageLabels();
-    
-    // Update speech recognition language
-    if (state.recognition) {
-        state.recognition.lang = CONFIG.SPEECH_LANGUAGES[langPair].source;
-    }
-    
-    // Re-translate if there's text
-    if (elements.sourceText.textContent.trim()) {
-        translateText(elements.sourceText.textContent);
-    }
-    
-    saveSettings();
-}
-
-/**
- * Update language toggle buttons
- */
-function updateLanguageButtons() {
-    elements.zhEnBtn.classList.toggle('active', state.currentLangPair === 'zh-en');
-    elements.enZhBtn.classList.toggle('active', state.currentLangPair === 'en-zh');
-}
-
-/**
- * Update language labels
- */
-function updateLanguageLabels() {
-    const langs = CONFIG.SPEECH_LANGUAGES[state.currentLangPair];
-    elements.sourceLangLabel.textContent = langs.source === 'zh-CN' ? '中文' : 'English';
-    elements.targetLangLabel.textContent = langs.target === 'en' ? 'English' : '中文';
-}
-
-/**
- * Toggle speech recognition
- */
-function toggleSpeechRecognition() {
-    if (!state.recognition) {
-        alert('Speech recognition is not supported in your browser');
-        return;
-    }
-    
-    if (state.isListening) {
-        state.recognition.stop();
-    } else {
-        try {
-            state.recognition.start();
-        } catch (error) {
-            console.error('Failed to start recognition:', error);
-        }
-    }
-}
-
-/**
- * Handle text input with debounce
- */
-function handleTextInput() {
-    if (!state.autoTranslate) return;
-    
-    const text = elements.sourceText.textContent.trim();
-    
-    // Clear existing debounce timer
-    if (state.debounceTimer) {
-        clearTimeout(state.debounceTimer);
-    }
-    
-    // Set new debounce timer
-    state.debounceTimer = setTimeout(() => {
-        if (text) {
-            translateText(text);
-        }
-    }, CONFIG.TRANSLATE_DEBOUNCE);
-}
-
-/**
- * Translate text using MiniMax API or offline cache
- */
-async function translateText(text) {
-    if (!text.trim()) return;
-    
-    // Get the correct language codes for the API
-    const langConfig = CONFIG.SPEECH_LANGUAGES[state.currentLangPair];
-    const sourceLang = langConfig.source === 'zh-CN' ? 'zh' : 'en';
-    const targetLang = langConfig.target === 'en' ? 'en' : 'zh';
-    
-    console.log('Translation request:', { text, sourceLang, targetLang, currentLangPair: state.currentLangPair });
-    
-    // Check offline cache first
-    const cacheKey = `${sourceLang}:${targetLang}:${text}`;
-    if (state.offlineCache.has(cacheKey)) {
-        const cachedTranslation = state.offlineCache.get(cacheKey);
-        elements.targetText.textContent = cachedTranslation;
-        console.log('Using cached translation');
-        return;
-    }
-    
-    // If offline, show message
-    if (!state.isOnline) {
-        elements.targetText.innerHTML = `<span style="color: #e74c3c;">Offline - translation unavailable</span>`;
-        showOfflineIndicator();
-        return;
-    }
-    
-    // If no API key, show message
-    if (!state.apiKey) {
-        console.log('No API key configured');
-        elements.targetText.innerHTML = `
-            <span style="color: #636e72;">Add your MiniMax API key in settings to enable translation.</span>
-            <br><br>
-            <a href="https://api.minimax.chat/" target="_blank" style="color: #4a90d9;">Get a free API key →</a>
-        `;
-        return;
-    }
-    
-    try {
-        elements.targetText.classList.add('loading');
-        console.log('Translating:', text, 'from', sourceLang, 'to', targetLang);
-        
-        const response = await fetch(CONFIG.API_BASE_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${state.apiKey}`
-            },
-            body: JSON.stringify({
-                source_lang: sourceLang.toUpperCase(),
-                target_lang: targetLang.toUpperCase(),
-                text: text
-            })
-        });
-        
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error('API error response:', errorText);
-            throw new Error(`API error: ${response.status} - ${errorText}`);
-        }
-        
-        const data = await response.json();
-        console.log('API response:', data);
-        
-        // MiniMax API response structure
-        let translation = '';
-        
-        if (data.base_resp && data.base_resp.status_code === 0) {
-            // Successful response
-            translation = data.text || '';
-        } else if (data.base_resp) {
-            // Error from MiniMax
-            throw new Error(data.base_resp.status_msg || `API error: ${data.base_resp.status_code}`);
-        } else if (data.text) {
-            // Alternative response format
-            translation = data.text;
-        } else {
-            console.error('Unexpected API response structure:', data);
-            throw new Error('Unexpected API response format');
-        }
-        
-        if (translation) {
-            elements.targetText.textContent = translation;
-            // Cache the translation
-            state.offlineCache.set(cacheKey, translation);
-            saveOfflineCache();
-            console.log('Translation complete:', translation);
-        } else {
-            throw new Error('Empty translation received');
-        }
-        
-    } catch (error) {
-        console.error('Translation error:', error);
-        // Fallback to browser translation
-        await browserTranslate(text, sourceLang, targetLang);
-    } finally {
-        elements.targetText.classList.remove('loading');
-    }
-}
-
-/**
- * Browser-based translation fallback
- * Note: Google Translate API may be blocked in some regions
- */
-async function browserTranslate(text, sourceLang, targetLang) {
-    // Using a CORS proxy to access Google Translate
-    const encodedText = encodeURIComponent(text);
-    const url = `https://translate.googleapis.com/translate_a/single?client=gtx&sl=${sourceLang}&tl=${targetLang}&dt=t&q=${encodedText}`;
-    
-    try {
-        const response = await fetch(url);
-        
-        if (!response.ok) {
-            throw new Error(`Google Translate failed: ${response.status}`);
-        }
-        
-        const data = await response.json();
-        
-        if (data && data[0] && Array.isArray(data[0])) {
-            const translation = data[0]
-                .filter(item => item && item[0])
-                .map(item => item[0])
-                .join('');
-            
-            if (translation) {
-                elements.targetText.textContent = translation;
-                
-                // Cache the translation
-                const cacheKey = `${sourceLang}:${targetLang}:${text}`;
-                state.offlineCache.set(cacheKey, translation);
-                saveOfflineCache();
-                return;
-            }
-        }
-        
-        throw new Error('No translation found in response');
-    } catch (error) {
-        console.error('Browser translation error:', error);
-        
-        // Final fallback: show original text with suggestion
-        elements.targetText.innerHTML = `
-            <span style="color: #636e72;">Translation service unavailable. Check your API key.</span>
-            <br><br>
-            <span style="color: #b2bec3; font-style: italic;">Original text: ${text}</span>
-        `;
-    }
-}
-
-/**
- * Speak text using browser's text-to-speech
- */
-function speakText(text, lang) {
-    if (!state.synthesis) {
-        console.warn('Speech synthesis not supported');
-        return;
-    }
-    
-    // Cancel any ongoing speech
-    state.synthesis.cancel();
-    
-    const utterance = new SpeechSynthesisUtterance(text);
-    utterance.lang = lang === 'zh' ? 'zh-CN' : 'en-US';
-    utterance.rate = state.speechRate;
-    
-    state.synthesis.speak(utterance);
-}
-
-/**
- * Speak source text
- */
-function speakSourceText() {
-    const text = elements.sourceText.textContent.trim();
-    if (!text) return;
-    
-    const sourceLang = CONFIG.SPEECH_LANGUAGES[state.currentLangPair].source;
-    speakText(text, sourceLang);
-}
-
-/**
- * Speak target text
- */
-function speakTargetText() {
-    const text = elements.targetText.textContent.trim();
-    if (!text) return;
-    
-    const targetLang = CONFIG.SPEECH_LANGUAGES[state.currentLangPair].target;
-    speakText(text, targetLang);
-}
-
-/**
- * Copy target text to clipboard
- */
-async function copyTargetText() {
-    const text = elements.targetText.textContent.trim();
-    if (!text) return;
-    
-    try {
-        await navigator.clipboard.writeText(text);
-        
-        // Visual feedback
-        const originalHTML = elements.copyTarget.innerHTML;
-        elements.copyTarget.innerHTML = `
-            <svg viewBox="0 0 24 24" width="20" height="20">
-                <path fill="currentColor" d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/>
-            </svg>
-        `;
-        
-        setTimeout(() => {
-            elements.copyTarget.innerHTML = originalHTML;
-        }, 1500);
-    } catch (error) {
-        console.error('Copy failed:', error);
-    }
-}
-
-/**
- * Translate current text immediately
- */
-function translateCurrentText() {
-    const text = elements.sourceText.textContent.trim();
-    if (text) {
-        if (state.debounceTimer) {
-            clearTimeout(state.debounceTimer);
-        }
-        translateText(text);
-    }
-}
-
-/**
- * Update online status indicator
- */
-function updateConnectionStatus() {
-    const statusDot = elements.connectionStatus.querySelector('.status-dot');
-    const statusText = elements.connectionStatus.querySelector('.status-text');
-    
-    statusDot.classList.toggle('online', state.isOnline);
-    statusDot.classList.toggle('offline', !state.isOnline);
-    statusText.textContent = state.isOnline ? 'Online' : 'Offline';
-    
-    // Show/hide offline banner
-    if (!state.isOnline) {
-        showOfflineIndicator();
-    } else {
-        elements.offlineBanner.classList.remove('show');
-    }
-}
-
-/**
- * Show offline indicator
- */
-function showOfflineIndicator() {
-    elements.offlineBanner.classList.add('show');
-    
-    // Auto-hide after 3 seconds
-    setTimeout(() => {
-        elements.offlineBanner.classList.remove('show');
-    }, 3000);
-}
-
-/**
- * Check initial online status
- */
-function checkOnlineStatus() {
-    updateConnectionStatus();
-}
-
 /**
  * Service Worker Setup
  */
 function setupServiceWorker() {
     if ('serviceWorker' in navigator) {
-        navigator.serviceWorker.register('sw.js')
+        // A module worker, so it can import the modules it shares with the page
+        navigator.serviceWorker.register('sw.js', { type: 'module' })
             .then(registration => {
                 console.log('Service Worker registered:', registration.scope);
             })
             .catch(error => {
                 console.error('Service Worker registration failed:', error);
             });
-    }
-}
-
-/**
- * Load offline cache from localStorage
- */
-function loadOfflineCache() {
-    try {
-        const cached = localStorage.getItem(CONFIG.STORAGE_KEYS.OFFLINE_CACHE);
-        if (cached) {
-            const cacheData = JSON.parse(cached);
-            state.offlineCache = new Map(cacheData);
-            console.log(`Loaded ${state.offlineCache.size} cached translations`);
-        }
-    } catch (error) {
-        console.error('Error loading offline cache:', error);
-    }
-}
-
-/**
- * Save offline cache to localStorage
- */
-function saveOfflineCache() {
-    try {
-        // Limit cache size to prevent localStorage overflow
-        const maxEntries = 500;
-        if (state.offlineCache.size > maxEntries) {
-            // Remove oldest entries
-            const entries = Array.from(state.offlineCache.entries());
-            state.offlineCache = new Map(entries.slice(-maxEntries));
-        }
         
-        const cacheData = Array.from(state.offlineCache.entries());
-        localStorage.setItem(CONFIG.STORAGE_KEYS.OFFLINE_CACHE, JSON.stringify(cacheData));
-    } catch (error) {
-        console.error('Error saving offline cache:', error);
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            handleOutboxMessage(event.data);
+        });
     }
 }
 
-/**
- * Clear offline cache
- */
-function clearOfflineCache() {
-    state.offlineCache.clear();
-    localStorage.removeItem(CONFIG.STORAGE_KEYS.OFFLINE_CACHE);
-    alert('Offline cache cleared');
-}
-
 /**
  * PWA Install Prompt Setup
  */
@@ -0,0 +1,340 @@
+/**
+ * MiniMax Translator - Backup
+ * Bundles settings, cached translations and corrections into one versioned
+ * JSON file, and checks and restores such a file (or a CSV/TMX file of
+ * translation pairs) on another device
+ */
+
+import { isSupportedLanguage } from './languages.js';
+import { dbGetAll } from './db.js';
+import { cacheClear, cacheEntries, cacheImport } from './cache-store.js';
+import { CORRECTION_STORE, importCorrections, clearCorrections } from './corrections.js';
+import { ImportFormatError, findApiLanguage, parsePairsCsv, parseTmx } from './interchange.js';
+import { normalizeGlossary, upsertGlossaryEntry, isSameGlossaryTerm } from './glossary.js';
+import { checkEndpoint } from './providers.js';
+
+export const BACKUP_FORMAT = 'minimax-translator-backup';
+
+// Bumped when the bundle layout changes; older bundles must still import
+export const BACKUP_VERSION = 1;
+
+// Settings a backup may hold, named as in the app state, with the check each value must pass
+export const BACKUP_SETTINGS = {
+    apiKey: isBackupString,
+    // 'auto' detects the source language per request
+    sourceLang: value => value === 'auto' || isSupportedLanguage(value),
+    targetLang: isSupportedLanguage,
+    autoTranslate: isBackupBoolean,
+    speechRate: value => isBackupNumber(value, 0.5, 2),
+    speechPitch: value => isBackupNumber(value, 0.5, 2),
+    speechVolume: value => isBackupNumber(value, 0, 1),
+    autoSpeak: isBackupBoolean,
+    speechVoices: value => isBackupObject(value) && Object.values(value).every(isBackupString),
+    glossary: value => Array.isArray(value) && value.every(isBackupObject),
+    fuzzyCorrections: isBackupBoolean,
+    cacheMaxEntries: value => Number.isInteger(value) && value > 0,
+    cacheMaxMB: value => isBackupNumber(value, 0, Infinity) && value > 0,
+    apiBaseUrl: isBackupEndpoint,
+    providerChain: value => Array.isArray(value) && value.every(entry => isBackupObject(entry) && isBackupString(entry.id)),
+    openaiEndpoint: isBackupEndpoint,
+    openaiModel: isBackupString,
+    openaiApiKey: isBackupString
+};
+
+// Settings only exported when asked for
+export const BACKUP_SECRET_SETTINGS = ['apiKey', 'openaiApiKey'];
+
+// Settings naming where requests, with the API keys, are sent
+export const BACKUP_ENDPOINT_SETTINGS = ['apiBaseUrl', 'openaiEndpoint'];
+
+// Fields kept from cached translations and corrections: required text, optional text, optional numbers
+const BACKUP_RECORD_FIELDS = {
+    cache: {
+        required: ['sourceLang', 'targetLang', 'text', 'translation'],
+        // getGlossaryFingerprint() of the terms the translation was made with
+        optional: ['glossary'],
+        numbers: ['createdAt', 'lastAccess', 'accessCount']
+    },
+    corrections: {
+        required: ['sourceLang', 'targetLang', 'text', 'translation'],
+        optional: ['original'],
+        numbers: ['createdAt', 'updatedAt']
+    }
+};
+
+/**
+ * Build a backup bundle from the app's settings (named as in BACKUP_SETTINGS)
+ * and everything in the cache and correction stores. API keys are left out
+ * unless includeSecrets is set.
+ */
+export async function createBackup(settings, { includeSecrets = false } = {}) {
+    const exported = {};
+    for (const name of Object.keys(BACKUP_SETTINGS)) {
+        if (settings[name] === undefined) continue;
+        if (BACKUP_SECRET_SETTINGS.includes(name) && (!includeSecrets || !settings[name])) continue;
+        exported[name] = settings[name];
+    }
+
+    const [cache, corrections] = await Promise.all([cacheEntries(), dbGetAll(CORRECTION_STORE)]);
+
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        settings: exported,
+        cache: cache.map(entry => pickBackupFields(entry, BACKUP_RECORD_FIELDS.cache)),
+        corrections: corrections.map(record => pickBackupFields(record, BACKUP_RECORD_FIELDS.corrections))
+    };
+}
+
+/**
+ * Read an import file by its extension: a JSON backup, or CSV/TSV/TMX
+ * translation pairs. Returns a checked backup (see validateBackup); pair
+ * files only fill its cache. Throws ImportFormatError for unreadable files.
+ */
+export function parseImportFile(fileName, text) {
+    const extension = fileName.toLowerCase().split('.').pop();
+
+    if (extension === 'json') return parseBackup(text);
+    if (extension === 'tmx') return createPairsBackup(parseTmx(text), 'translation');
+    if (['csv', 'tsv', 'txt'].includes(extension)) return createPairsBackup(parsePairsCsv(text), 'row');
+
+    throw new ImportFormatError(`Unsupported file type: ${fileName}. Use .json, .csv, .tsv or .tmx`);
+}
+
+/**
+ * Parse and check a JSON backup
+ */
+function parseBackup(text) {
+    let data;
+    try {
+        data = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch (error) {
+        throw new ImportFormatError('The file is not valid JSON');
+    }
+    return validateBackup(data);
+}
+
+/**
+ * Check a backup bundle against the schema. The bundle as a whole must be a
+ * backup this version can read; settings and records that fail their checks
+ * are left out and described in problems.
+ * Returns { settings, cache, corrections, problems } where cache and
+ * corrections are null when the bundle doesn't include them.
+ */
+export function validateBackup(data) {
+    if (!isBackupObject(data) || data.format !== BACKUP_FORMAT) {
+        throw new ImportFormatError('The file is not a MiniMax Translator backup');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new ImportFormatError('The backup has no valid version number');
+    }
+    if (data.version > BACKUP_VERSION) {
+        throw new ImportFormatError('The backup was made by a newer version of the app. Update the app and try again.');
+    }
+
+    const problems = [];
+    const settings = {};
+
+    if (data.settings !== undefined && !isBackupObject(data.settings)) {
+        problems.push('settings: not an object, ignored');
+    } else {
+        for (const [name, value] of Object.entries(data.settings || {})) {
+            if (!Object.prototype.hasOwnProperty.call(BACKUP_SETTINGS, name)) {
+                problems.push(`settings.${name}: unknown setting, ignored`);
+            } else if (!BACKUP_SETTINGS[name](value)) {
+                problems.push(`settings.${name}: invalid value, ignored`);
+            } else {
+                settings[name] = value;
+            }
+        }
+    }
+
+    return {
+        settings,
+        cache: validateBackupRecords(data.cache, 'cache', problems),
+        corrections: validateBackupRecords(data.corrections, 'corrections', problems),
+        problems
+    };
+}
+
+/**
+ * Check a list of records against BACKUP_RECORD_FIELDS[section], adding a
+ * problem for each one left out. Returns the valid records, or null when
+ * the list is missing or not a list.
+ */
+function validateBackupRecords(records, section, problems) {
+    if (records === undefined) return null;
+    if (!Array.isArray(records)) {
+        problems.push(`${section}: not a list, ignored`);
+        return null;
+    }
+
+    const fields = BACKUP_RECORD_FIELDS[section];
+    const valid = [];
+
+    records.forEach((record, index) => {
+        const invalid = !isBackupObject(record) ? 'not an object'
+            : fields.required.find(name => !isBackupString(record[name]) || !record[name].trim())
+            || ['sourceLang', 'targetLang'].find(name => findApiLanguage(record[name]) !== record[name])
+            || fields.optional.find(name => record[name] !== undefined && !isBackupString(record[name]))
+            || fields.numbers.find(name => record[name] !== undefined && !isBackupNumber(record[name], 0, Infinity));
+
+        if (invalid) {
+            problems.push(`${section}[${index}]: ${invalid === 'not an object' ? invalid : `invalid ${invalid}`}, skipped`);
+        } else {
+            valid.push(pickBackupFields(record, fields));
+        }
+    });
+
+    return valid;
+}
+
+/**
+ * Wrap pairs read from a CSV or TMX file as a backup holding only a cache
+ */
+function createPairsBackup({ pairs, skipped }, unitName) {
+    return {
+        settings: {},
+        cache: pairs,
+        corrections: null,
+        problems: skipped ? [`${skipped} ${unitName}${skipped === 1 ? '' : 's'} incomplete or in an unsupported language, skipped`] : []
+    };
+}
+
+/**
+ * Combine the app's settings with a backup's. Imported values win; in merge
+ * mode glossary terms and voices are added to the current ones, in replace
+ * mode they replace them. Returns { settings, changed, conflicts }:
+ * changed counts imported settings, and conflicts lists (in merge mode) the
+ * current values that were overwritten.
+ */
+export function mergeBackupSettings(current, imported, mode) {
+    const settings = { ...current };
+    const conflicts = [];
+    let changed = 0;
+
+    for (const [name, value] of Object.entries(imported)) {
+        if (name === 'glossary') {
+            const glossary = normalizeGlossary(value);
+            if (mode === 'merge') {
+                for (const entry of glossary) {
+                    const existing = current.glossary.find(term => isSameGlossaryTerm(term, entry));
+                    if (existing && existing.target !== entry.target) {
+                        conflicts.push({ type: 'glossary', label: entry.source, existing: existing.target, imported: entry.target, kept: 'imported' });
+                    }
+                }
+            }
+            settings.glossary = mode === 'merge' ? glossary.reduce(upsertGlossaryEntry, current.glossary) : glossary;
+        } else {
+            settings[name] = mode === 'merge' && name === 'speechVoices' ? { ...current.speechVoices, ...value } : value;
+
+            if (mode === 'merge' && JSON.stringify(current[name]) !== JSON.stringify(settings[name])) {
+                conflicts.push({
+                    type: 'setting',
+                    label: name,
+                    existing: describeBackupSetting(name, current[name]),
+                    imported: describeBackupSetting(name, settings[name]),
+                    kept: 'imported'
+                });
+            }
+        }
+        changed++;
+    }
+
+    return { settings, changed, conflicts };
+}
+
+/**
+ * Write a backup's cached translations and corrections. Replace mode
+ * empties each store the backup includes first; merge mode keeps the more
+ * recently used of two differing translations of the same text.
+ * Resolves to { cache, corrections, conflicts } with the numbers written.
+ */
+export async function restoreBackupRecords(backup, mode) {
+    const conflicts = [];
+    let cache = 0;
+    let corrections = 0;
+
+    if (backup.cache) {
+        if (mode === 'replace') await cacheClear();
+        const result = await cacheImport(backup.cache);
+        cache = result.imported;
+        conflicts.push(...result.conflicts.map(conflict => ({
+            type: 'cache',
+            label: conflict.pair.text,
+            existing: conflict.existing.translation,
+            imported: conflict.pair.translation,
+            kept: conflict.kept
+        })));
+    }
+
+    if (backup.corrections) {
+        if (mode === 'replace') await clearCorrections();
+        const result = await importCorrections(backup.corrections);
+        corrections = result.imported;
+        conflicts.push(...result.conflicts.map(conflict => ({
+            type: 'correction',
+            label: conflict.record.text,
+            existing: conflict.existing.translation,
+            imported: conflict.record.translation,
+            kept: conflict.kept
+        })));
+    }
+
+    return { cache, corrections, conflicts };
+}
+
+/**
+ * Show a setting's value in a conflict report, hiding API keys
+ */
+function describeBackupSetting(name, value) {
+    if (BACKUP_SECRET_SETTINGS.includes(name)) return value ? '(hidden)' : '(none)';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Copy the fields BACKUP_RECORD_FIELDS lists from a record
+ */
+function pickBackupFields(record, fields) {
+    const picked = {};
+    for (const name of [...fields.required, ...fields.optional, ...fields.numbers]) {
+        if (record[name] !== undefined) picked[name] = record[name];
+    }
+    return picked;
+}
+
+/**
+ * Check for a string
+ */
+function isBackupString(value) {
+    return typeof value === 'string';
+}
+
+/**
+ * Check for an endpoint the app can reach (see checkEndpoint), or empty for the default
+ */
+function isBackupEndpoint(value) {
+    return isBackupString(value) && !checkEndpoint(value);
+}
+
+/**
+ * Check for a boolean
+ */
+function isBackupBoolean(value) {
+    return typeof value === 'boolean';
+}
+
+/**
+ * Check for a finite number from min to max
+ */
+function isBackupNumber(value, min, max) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+/**
+ * Check for a plain object (not null or an array)
+ */
+function isBackupObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,43 @@
+/**
+ * Backup schema tests.
+ * Run: node --test server/ *.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKUP_FORMAT, BACKUP_VERSION, validateBackup } from './backup.js';
+
+/**
+ * A backup holding just these settings
+ */
+function backupWith(settings) {
+    return { format: BACKUP_FORMAT, version: BACKUP_VERSION, settings };
+}
+
+test('accepts https endpoints, http ones on this machine, or none', () => {
+    const { settings, problems } = validateBackup(backupWith({
+        apiBaseUrl: 'https://proxy.example/v1/text/translate',
+        openaiEndpoint: 'http://127.0.0.1:8080/v1/chat/completions'
+    }));
+    assert.equal(settings.apiBaseUrl, 'https://proxy.example/v1/text/translate');
+    assert.equal(settings.openaiEndpoint, 'http://127.0.0.1:8080/v1/chat/completions');
+    assert.deepEqual(problems, []);
+
+    assert.equal(validateBackup(backupWith({ apiBaseUrl: '' })).settings.apiBaseUrl, '');
+});
+
+test('skips endpoints the app could not reach', () => {
+    const endpoints = [
+        'javascript:alert(1)', 'file:///etc/passwd', 'ftp://example.com/', 'proxy.example', 42,
+        // The page's Content-Security-Policy only allows plain http to this machine
+        'http://192.168.1.20:8787/v1/text/translate'
+    ];
+    for (const endpoint of endpoints) {
+        const { settings, problems } = validateBackup(backupWith({ apiBaseUrl: endpoint, openaiEndpoint: endpoint }));
+        assert.deepEqual(settings, {}, String(endpoint));
+        assert.deepEqual(problems, [
+            'settings.apiBaseUrl: invalid value, ignored',
+            'settings.openaiEndpoint: invalid value, ignored'
+        ]);
+    }
+});
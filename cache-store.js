@@ -0,0 +1,406 @@
+/**
+ * MiniMax Translator - Translation Cache
+ * IndexedDB-backed offline cache with access-time LRU eviction
+ */
+
+import { openDatabase, dbGet, dbGetAll, dbPut, dbDelete, dbClear, dbRekey } from './db.js';
+import { normalizeForComparison, getEditSimilarity } from './similarity.js';
+
+const CACHE_STORE = 'cache';
+
+// Version of the buildCacheKey format; stored keys are rebuilt when it changes
+const CACHE_KEY_VERSION = 2;
+
+// CJK punctuation that NFKC leaves alone, folded to its ASCII counterpart
+const LOOKUP_PUNCTUATION = {
+    '。': '.', '、': ',',
+    '「': '"', '」': '"', '『': '"', '』': '"', '“': '"', '”': '"',
+    '‘': "'", '’': "'"
+};
+
+// Texts longer than this aren't compared for similar-text suggestions
+const SIMILAR_MAX_CHARS = 300;
+
+// Cache configuration and running totals
+const cacheState = {
+    maxEntries: 2000,
+    maxBytes: 5 * 1024 * 1024,
+    statsKey: null,
+    stats: { hits: 0, misses: 0 },
+    // { entries, bytes } once counted; null until the first write needs them
+    totals: null
+};
+
+/**
+ * Configure budgets and restore saved hit/miss counters.
+ * options: { maxEntries, maxBytes, statsKey }
+ */
+export function initTranslationCache(options = {}) {
+    if (options.maxEntries > 0) cacheState.maxEntries = options.maxEntries;
+    if (options.maxBytes > 0) cacheState.maxBytes = options.maxBytes;
+
+    if (options.statsKey) {
+        cacheState.statsKey = options.statsKey;
+        try {
+            const saved = JSON.parse(localStorage.getItem(options.statsKey));
+            if (saved) {
+                cacheState.stats = { hits: saved.hits || 0, misses: saved.misses || 0 };
+            }
+        } catch (error) {
+            console.error('Error loading cache stats:', error);
+        }
+    }
+}
+
+/**
+ * Change the budgets and evict anything over them
+ */
+export async function setCacheBudget(maxEntries, maxBytes) {
+    if (maxEntries > 0) cacheState.maxEntries = maxEntries;
+    if (maxBytes > 0) cacheState.maxBytes = maxBytes;
+    await enforceCacheBudget();
+}
+
+/**
+ * Build the cache key for a translation request
+ */
+export function buildCacheKey(sourceLang, targetLang, text) {
+    return `${sourceLang}:${targetLang}:${normalizeLookupText(text)}`;
+}
+
+/**
+ * Reduce text to a lookup form, so text differing only in spacing, character
+ * width or CJK vs ASCII punctuation, or in a trailing full stop, shares a key
+ */
+export function normalizeLookupText(text) {
+    return text
+        // Full-width letters, digits and ！？，： become their half-width forms
+        .normalize('NFKC')
+        .replace(/[。、「」『』“”‘’]/g, mark => LOOKUP_PUNCTUATION[mark])
+        .replace(/\s+/g, ' ')
+        .replace(/ (?=[.,!?;:])/g, '')
+        .trim()
+        .replace(/\.+$/, '');
+}
+
+/**
+ * Approximate storage cost of an entry (UTF-16 code units)
+ */
+function estimateEntrySize(text, translation) {
+    return (text.length + translation.length) * 2;
+}
+
+/**
+ * Look up a cached translation, refreshing its access time on a hit.
+ * glossary is the getGlossaryFingerprint() of the terms in the text; an
+ * entry made with other terms is a miss.
+ */
+export async function cacheGet(key, glossary = '') {
+    const entry = await dbGet(CACHE_STORE, key);
+
+    if (!entry || (entry.glossary || '') !== glossary) {
+        recordCacheLookup(false);
+        return null;
+    }
+
+    recordCacheLookup(true);
+    entry.lastAccess = Date.now();
+    entry.accessCount = (entry.accessCount || 0) + 1;
+    await dbPut(CACHE_STORE, entry);
+
+    return entry.translation;
+}
+
+/**
+ * Store a translation and evict least recently used entries over budget.
+ * meta: { sourceLang, targetLang, text, glossary }
+ */
+export async function cachePut(key, translation, meta = {}) {
+    const totals = await getCacheTotals();
+    const existing = await dbGet(CACHE_STORE, key);
+    const now = Date.now();
+
+    const entry = {
+        key,
+        sourceLang: meta.sourceLang || '',
+        targetLang: meta.targetLang || '',
+        text: meta.text || '',
+        glossary: meta.glossary || '',
+        translation,
+        size: estimateEntrySize(meta.text || key, translation),
+        createdAt: existing ? existing.createdAt : now,
+        lastAccess: now,
+        accessCount: existing ? existing.accessCount || 0 : 0
+    };
+
+    await dbPut(CACHE_STORE, entry);
+
+    if (existing) {
+        totals.bytes += entry.size - (existing.size || 0);
+    } else {
+        totals.entries++;
+        totals.bytes += entry.size;
+    }
+
+    await enforceCacheBudget();
+}
+
+/**
+ * Delete a single cached translation
+ */
+export async function cacheDelete(key) {
+    const existing = await dbGet(CACHE_STORE, key);
+    if (!existing) return;
+
+    await dbDelete(CACHE_STORE, key);
+
+    if (cacheState.totals) {
+        cacheState.totals.entries--;
+        cacheState.totals.bytes -= existing.size || 0;
+    }
+}
+
+/**
+ * Remove every cached translation and reset the statistics
+ */
+export async function cacheClear() {
+    await dbClear(CACHE_STORE);
+    cacheState.totals = { entries: 0, bytes: 0 };
+    cacheState.stats = { hits: 0, misses: 0 };
+    saveCacheStats();
+}
+
+/**
+ * Get all cached entries, most recently used first
+ */
+export async function cacheEntries() {
+    const entries = await dbGetAll(CACHE_STORE);
+    return entries.sort((a, b) => b.lastAccess - a.lastAccess);
+}
+
+/**
+ * Add translations from a backup or exchange file, keeping their dates.
+ * pairs: [{ sourceLang, targetLang, text, translation, glossary, createdAt, lastAccess, accessCount }];
+ * missing dates count as now. Where the cache already translates the same
+ * text differently, the more recently used translation is kept.
+ * Resolves to { imported, conflicts: [{ pair, existing, kept: 'imported' | 'existing' }] }.
+ */
+export async function cacheImport(pairs) {
+    const now = Date.now();
+    const conflicts = [];
+    let imported = 0;
+
+    for (const pair of pairs) {
+        const key = buildCacheKey(pair.sourceLang, pair.targetLang, pair.text);
+        const existing = await dbGet(CACHE_STORE, key);
+        const entry = {
+            key,
+            sourceLang: pair.sourceLang,
+            targetLang: pair.targetLang,
+            text: pair.text.trim(),
+            glossary: pair.glossary || '',
+            translation: pair.translation,
+            size: estimateEntrySize(pair.text, pair.translation),
+            createdAt: pair.createdAt || now,
+            lastAccess: pair.lastAccess || pair.createdAt || now,
+            accessCount: pair.accessCount || 0
+        };
+
+        // A translation made with other glossary terms is a different entry, even if the text matches
+        if (existing && existing.translation === entry.translation && (existing.glossary || '') === entry.glossary) continue;
+        if (existing) {
+            const kept = entry.lastAccess > existing.lastAccess ? 'imported' : 'existing';
+            conflicts.push({ pair: entry, existing, kept });
+            if (kept === 'existing') continue;
+        }
+
+        await dbPut(CACHE_STORE, entry);
+        imported++;
+    }
+
+    // Count again, then evict anything over budget
+    cacheState.totals = null;
+    await enforceCacheBudget();
+    return { imported, conflicts };
+}
+
+/**
+ * Find the cached translation of the text most like the given text, for the
+ * same pair, by edit distance. Exact matches (same key) are skipped.
+ * Resolves to { entry, similarity } with similarity >= minSimilarity, or null.
+ */
+export async function cacheFindSimilar(sourceLang, targetLang, text, minSimilarity) {
+    const source = normalizeForComparison(text);
+    if (!source || source.length > SIMILAR_MAX_CHARS) return null;
+
+    const key = buildCacheKey(sourceLang, targetLang, text);
+    let best = null;
+
+    for (const entry of await dbGetAll(CACHE_STORE)) {
+        if (entry.key === key || entry.sourceLang !== sourceLang || entry.targetLang !== targetLang) continue;
+
+        const candidate = normalizeForComparison(entry.text);
+        const longest = Math.max(source.length, candidate.length);
+        // The edit distance is at least the difference in length
+        if (candidate.length > SIMILAR_MAX_CHARS || Math.abs(source.length - candidate.length) > (1 - minSimilarity) * longest) continue;
+
+        const similarity = getEditSimilarity(source, candidate, minSimilarity);
+        if (similarity >= minSimilarity && (!best || similarity > best.similarity)) {
+            best = { entry, similarity };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Entry count, size and hit/miss statistics
+ */
+export async function getCacheStats() {
+    const totals = await getCacheTotals();
+    const lookups = cacheState.stats.hits + cacheState.stats.misses;
+
+    return {
+        entries: totals.entries,
+        bytes: totals.bytes,
+        maxEntries: cacheState.maxEntries,
+        maxBytes: cacheState.maxBytes,
+        hits: cacheState.stats.hits,
+        misses: cacheState.stats.misses,
+        hitRate: lookups ? cacheState.stats.hits / lookups : 0
+    };
+}
+
+/**
+ * Count entries and bytes once, then keep the totals up to date in memory
+ */
+async function getCacheTotals() {
+    if (cacheState.totals) return cacheState.totals;
+
+    const db = await openDatabase();
+    const totals = { entries: 0, bytes: 0 };
+
+    await new Promise((resolve, reject) => {
+        const transaction = db.transaction(CACHE_STORE, 'readonly');
+        const request = transaction.objectStore(CACHE_STORE).openCursor();
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            totals.entries++;
+            totals.bytes += cursor.value.size || 0;
+            cursor.continue();
+        };
+
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+    });
+
+    // Another call may have counted while we were scanning
+    if (!cacheState.totals) {
+        cacheState.totals = totals;
+    }
+    return cacheState.totals;
+}
+
+/**
+ * Delete least recently accessed entries until the cache fits its budget
+ */
+async function enforceCacheBudget() {
+    const totals = await getCacheTotals();
+    if (totals.entries <= cacheState.maxEntries && totals.bytes <= cacheState.maxBytes) return;
+
+    const db = await openDatabase();
+
+    await new Promise((resolve, reject) => {
+        const transaction = db.transaction(CACHE_STORE, 'readwrite');
+        const request = transaction.objectStore(CACHE_STORE).index('lastAccess').openCursor();
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            if (totals.entries <= cacheState.maxEntries && totals.bytes <= cacheState.maxBytes) return;
+
+            totals.entries--;
+            totals.bytes -= cursor.value.size || 0;
+            cursor.delete();
+            cursor.continue();
+        };
+
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Count a lookup as a hit or a miss
+ */
+function recordCacheLookup(hit) {
+    if (hit) {
+        cacheState.stats.hits++;
+    } else {
+        cacheState.stats.misses++;
+    }
+    saveCacheStats();
+}
+
+/**
+ * Persist the hit/miss counters
+ */
+function saveCacheStats() {
+    if (!cacheState.statsKey) return;
+    try {
+        localStorage.setItem(cacheState.statsKey, JSON.stringify(cacheState.stats));
+    } catch (error) {
+        console.error('Error saving cache stats:', error);
+    }
+}
+
+/**
+ * Rebuild keys stored by an older buildCacheKey. versionKey is the
+ * localStorage key remembering the format the stored keys use.
+ * Resolves to the number of entries re-keyed.
+ */
+export async function migrateCacheKeys(versionKey) {
+    if (Number(localStorage.getItem(versionKey)) >= CACHE_KEY_VERSION) return 0;
+
+    const rekeyed = await dbRekey(CACHE_STORE, entry =>
+        entry.text && buildCacheKey(entry.sourceLang, entry.targetLang, entry.text), 'lastAccess'
+    );
+
+    // Entries may have merged; count again when the totals are next needed
+    cacheState.totals = null;
+    localStorage.setItem(versionKey, String(CACHE_KEY_VERSION));
+    return rekeyed;
+}
+
+/**
+ * One-time import of the old localStorage cache (an array of [key, translation]).
+ * Resolves to the number of migrated entries.
+ */
+export async function migrateLegacyCache(storageKey) {
+    const raw = localStorage.getItem(storageKey);
+    if (!raw) return 0;
+
+    let pairs;
+    try {
+        pairs = JSON.parse(raw);
+    } catch (error) {
+        console.error('Discarding unreadable offline cache:', error);
+        localStorage.removeItem(storageKey);
+        return 0;
+    }
+
+    // Older entries come first, so later ones end up most recently used
+    let migrated = 0;
+    for (const [key, translation] of Array.isArray(pairs) ? pairs : []) {
+        if (typeof key !== 'string' || typeof translation !== 'string') continue;
+
+        const [sourceLang, targetLang, ...rest] = key.split(':');
+        await cachePut(key, translation, { sourceLang, targetLang, text: rest.join(':') });
+        migrated++;
+    }
+
+    localStorage.removeItem(storageKey);
+    return migrated;
+}
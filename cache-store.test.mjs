@@ -0,0 +1,66 @@
+/**
+ * Cache key and lookup tests, against an in-memory IndexedDB.
+ * Run: node --test server/ *.test.mjs
+ */
+
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCacheKey, normalizeLookupText, cacheGet, cachePut, cacheImport } from './cache-store.js';
+import { createGlossaryEntry, getGlossaryTerms, protectGlossaryTerms } from './glossary.js';
+
+test('builds keys from the language pair and the text', () => {
+    assert.equal(buildCacheKey('zh', 'en', '你好'), 'zh:en:你好');
+    assert.notEqual(buildCacheKey('zh', 'en', '你好'), buildCacheKey('zh', 'ja', '你好'));
+});
+
+test('gives the same key to text that differs only in spacing, width or a final full stop', () => {
+    const key = buildCacheKey('zh', 'en', '你好，世界');
+
+    assert.equal(buildCacheKey('zh', 'en', ' 你好，世界。 '), key);
+    assert.equal(buildCacheKey('zh', 'en', '你好,世界'), key);
+    assert.equal(buildCacheKey('en', 'zh', 'Hello  world .'), buildCacheKey('en', 'zh', 'Hello world'));
+    assert.equal(buildCacheKey('en', 'zh', 'ＡＢＣ１２３'), buildCacheKey('en', 'zh', 'ABC123'));
+});
+
+test('keeps differences that change the meaning', () => {
+    assert.notEqual(buildCacheKey('en', 'zh', 'Hello?'), buildCacheKey('en', 'zh', 'Hello'));
+    assert.notEqual(buildCacheKey('en', 'zh', 'hello'), buildCacheKey('en', 'zh', 'Hello'));
+});
+
+test('normalizes Chinese punctuation and quotes', () => {
+    assert.equal(normalizeLookupText('「好」、『好』。'), '"好","好"');
+    assert.equal(normalizeLookupText('“it’s”'), '"it\'s"');
+});
+
+test('misses a cached translation once a glossary term in the text is added or changed', async () => {
+    const text = '极光 你好';
+    const key = buildCacheKey('zh', 'en', text);
+    const fingerprint = glossary => protectGlossaryTerms(text, getGlossaryTerms(glossary, 'zh', 'en')).fingerprint;
+
+    await cachePut(key, 'Northern Lights hello', { sourceLang: 'zh', targetLang: 'en', text, glossary: fingerprint([]) });
+    assert.equal(await cacheGet(key, fingerprint([])), 'Northern Lights hello');
+
+    const aurora = createGlossaryEntry({ sourceLang: 'zh', targetLang: 'en', source: '极光', target: 'Aurora' });
+    assert.equal(await cacheGet(key, fingerprint([aurora])), null);
+
+    await cachePut(key, 'Aurora hello', { sourceLang: 'zh', targetLang: 'en', text, glossary: fingerprint([aurora]) });
+    assert.equal(await cacheGet(key, fingerprint([aurora])), 'Aurora hello');
+    assert.equal(await cacheGet(key, fingerprint([{ ...aurora, target: 'AURORA' }])), null);
+
+    // Terms that aren't in the text leave the entry alone
+    const other = createGlossaryEntry({ sourceLang: 'zh', targetLang: 'en', source: '彩虹', target: 'Rainbow' });
+    assert.equal(await cacheGet(key, fingerprint([aurora, other])), 'Aurora hello');
+});
+
+test('imports a translation made with other glossary terms over the same text', async () => {
+    const pair = { sourceLang: 'ja', targetLang: 'en', text: 'オーロラ', translation: 'Aurora' };
+    const key = buildCacheKey(pair.sourceLang, pair.targetLang, pair.text);
+
+    await cachePut(key, pair.translation, { ...pair, glossary: 'old' });
+    const result = await cacheImport([{ ...pair, glossary: 'new', lastAccess: Date.now() + 1000 }]);
+
+    assert.equal(result.imported, 1);
+    assert.equal(await cacheGet(key, 'new'), 'Aurora');
+    assert.deepEqual(await cacheImport([{ ...pair, glossary: 'new' }]), { imported: 0, conflicts: [] });
+});
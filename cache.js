@@ -0,0 +1,159 @@
+/**
+ * MiniMax Translator - Offline Cache
+ * The translation cache as the app uses it: loading, budget and statistics
+ */
+
+import {
+    initTranslationCache, setCacheBudget, cacheGet, cachePut, cacheClear, getCacheStats,
+    migrateCacheKeys, migrateLegacyCache
+} from './cache-store.js';
+import { migrateCorrectionKeys, listCorrections, deleteCorrection, clearCorrections } from './corrections.js';
+import { createElement, renderContent } from './render.js';
+import { getLanguage, findLanguageCode } from './languages.js';
+import { CONFIG } from './config.js';
+import { state, elements } from './state.js';
+import { createActionButton } from './ui.js';
+
+/**
+ * Set up the IndexedDB cache and migrate the old localStorage cache once
+ */
+export async function loadOfflineCache() {
+    initTranslationCache({
+        maxEntries: state.cacheMaxEntries,
+        maxBytes: state.cacheMaxMB * 1024 * 1024,
+        statsKey: CONFIG.STORAGE_KEYS.CACHE_STATS
+    });
+    
+    try {
+        const migrated = await migrateLegacyCache(CONFIG.STORAGE_KEYS.OFFLINE_CACHE);
+        if (migrated) {
+            console.log(`Migrated ${migrated} cached translations to IndexedDB`);
+        }
+        
+        // Keys are built from normalized text; rebuild any saved before that
+        const rekeyed = await migrateCacheKeys(CONFIG.STORAGE_KEYS.CACHE_KEY_VERSION) +
+            await migrateCorrectionKeys(CONFIG.STORAGE_KEYS.CORRECTION_KEY_VERSION);
+        if (rekeyed) {
+            console.log(`Normalized ${rekeyed} cache and correction keys`);
+        }
+    } catch (error) {
+        console.error('Error loading offline cache:', error);
+    }
+}
+
+/**
+ * Look up a translation in the offline cache, made with the glossary terms
+ * the fingerprint stands for
+ */
+export async function getCachedTranslation(cacheKey, glossaryFingerprint) {
+    try {
+        return await cacheGet(cacheKey, glossaryFingerprint);
+    } catch (error) {
+        console.error('Error reading offline cache:', error);
+        return null;
+    }
+}
+
+/**
+ * Save a translation to the offline cache
+ */
+export function saveToOfflineCache(cacheKey, translation, meta) {
+    cachePut(cacheKey, translation, meta)
+        .catch(error => console.error('Error saving offline cache:', error));
+}
+
+/**
+ * Apply the cache budget from settings, evicting entries over it
+ */
+export async function applyCacheBudget() {
+    try {
+        await setCacheBudget(state.cacheMaxEntries, state.cacheMaxMB * 1024 * 1024);
+    } catch (error) {
+        console.error('Error applying cache budget:', error);
+    }
+    updateCacheStats();
+}
+
+/**
+ * Show cache size and hit/miss statistics in the settings modal
+ */
+export async function updateCacheStats() {
+    try {
+        const stats = await getCacheStats();
+        const sizeKB = (stats.bytes / 1024).toFixed(1);
+        const hitRate = Math.round(stats.hitRate * 100);
+        
+        elements.cacheStats.textContent =
+            `${stats.entries} entries · ${sizeKB} KB · ${hitRate}% hit rate (${stats.hits} hits / ${stats.misses} misses)`;
+    } catch (error) {
+        console.error('Error reading cache stats:', error);
+        elements.cacheStats.textContent = 'Cache unavailable';
+    }
+}
+
+/**
+ * Show how many corrections are saved, and list them with a Delete button each
+ */
+export async function updateCorrectionStats() {
+    try {
+        const records = await listCorrections();
+        const count = records.length;
+        elements.correctionStats.textContent = `${count} saved ${count === 1 ? 'correction' : 'corrections'}`;
+        
+        const languageName = code => getLanguage(findLanguageCode(code)).name;
+        renderContent(elements.correctionList, ...records.map(record => createElement('li', {
+            className: 'correction-item',
+            'data-key': record.key
+        }, [
+            createElement('span', { className: 'correction-text' }, `${record.text} → ${record.translation}`),
+            createElement('span', { className: 'correction-meta' }, `${languageName(record.sourceLang)} → ${languageName(record.targetLang)}`),
+            createElement('span', { className: 'correction-actions' }, [createActionButton('delete', 'Delete')])
+        ])));
+        elements.correctionList.hidden = count === 0;
+    } catch (error) {
+        console.error('Error counting corrections:', error);
+        elements.correctionStats.textContent = 'Corrections unavailable';
+    }
+}
+
+/**
+ * Handle delete clicks in the correction list
+ */
+export async function handleCorrectionAction(e) {
+    const button = e.target.closest('button[data-action="delete"]');
+    if (!button) return;
+    
+    try {
+        await deleteCorrection(button.closest('.correction-item').dataset.key);
+    } catch (error) {
+        console.error('Error deleting correction:', error);
+    }
+    updateCorrectionStats();
+}
+
+/**
+ * Forget every saved correction
+ */
+export async function clearSavedCorrections() {
+    if (!confirm('Forget all of your corrected translations?')) return;
+    
+    try {
+        await clearCorrections();
+    } catch (error) {
+        console.error('Error clearing corrections:', error);
+    }
+    updateCorrectionStats();
+}
+
+/**
+ * Clear offline cache
+ */
+export async function clearOfflineCache() {
+    try {
+        await cacheClear();
+        alert('Offline cache cleared');
+    } catch (error) {
+        console.error('Error clearing offline cache:', error);
+    }
+    updateCacheStats();
+}
@@ -0,0 +1,81 @@
+/**
+ * MiniMax Translator - Configuration
+ * Defaults, limits and local storage keys
+ */
+
+// Configuration
+export const CONFIG = {
+    // MiniMax API Configuration
+    // Get your API key from: https://api.minimax.chat/
+    // Settings can point requests at a proxy with the same contract instead (see server/proxy.mjs)
+    API_BASE_URL: 'https://api.minimax.chat/v1/text/translate',
+    API_KEY: '', // User needs to add their API key in settings
+    
+    // Default language pair (codes from LANGUAGES in languages.js)
+    DEFAULT_SOURCE_LANG: 'zh',
+    DEFAULT_TARGET_LANG: 'en',
+    
+    // Source language value that detects the language per request
+    AUTO_DETECT: 'auto',
+    
+    // Below this confidence a detection only counts if nothing was detected yet
+    DETECT_MIN_CONFIDENCE: 0.2,
+    
+    // Auto-translate debounce time (ms)
+    TRANSLATE_DEBOUNCE: 500,
+    
+    // Text longer than this is translated as sentence-aligned segments,
+    // a few requests at a time, each retried on failure
+    SEGMENT_MAX_CHARS: 1000,
+    SEGMENT_CONCURRENCY: 3,
+    SEGMENT_RETRIES: 2,
+    
+    // Most alternative translations asked for at once
+    MAX_ALTERNATIVES: 5,
+    
+    // How similar text must be to reuse a correction made for other text
+    CORRECTION_MIN_SIMILARITY: 0.8,
+    
+    // How similar cached text must be (by edit distance) to be suggested
+    // while a translation is on its way
+    SUGGESTION_MIN_SIMILARITY: 0.75,
+    
+    // Default offline cache budget
+    CACHE_MAX_ENTRIES: 2000,
+    CACHE_MAX_MB: 5,
+    
+    // Most conflicts and problems listed after an import
+    IMPORT_REPORT_MAX: 50,
+    
+    // Inactivity after which keys locked with a passphrase lock again (0 never)
+    AUTO_LOCK_MINUTES: 15,
+    PASSPHRASE_MIN_LENGTH: 8,
+    
+    // Local storage keys
+    STORAGE_KEYS: {
+        API_KEY: 'minimax_api_key', // Legacy plain-text keys, moved to the key store on load
+        LANGUAGE_PAIR: 'language_pair', // Legacy 'zh-en' / 'en-zh', migrated on load
+        SOURCE_LANG: 'source_lang',
+        TARGET_LANG: 'target_lang',
+        AUTO_TRANSLATE: 'auto_translate',
+        SPEECH_RATE: 'speech_rate',
+        SPEECH_PITCH: 'speech_pitch',
+        SPEECH_VOLUME: 'speech_volume',
+        SPEECH_VOICES: 'speech_voices',
+        AUTO_SPEAK: 'auto_speak',
+        OFFLINE_CACHE: 'offline_cache', // Legacy localStorage cache, migrated to IndexedDB
+        CACHE_MAX_ENTRIES: 'cache_max_entries',
+        CACHE_MAX_MB: 'cache_max_mb',
+        CACHE_STATS: 'cache_stats',
+        CACHE_KEY_VERSION: 'cache_key_version',
+        PROVIDER_CHAIN: 'provider_chain',
+        OPENAI_ENDPOINT: 'openai_endpoint',
+        OPENAI_API_KEY: 'openai_api_key',
+        AUTO_LOCK_MINUTES: 'auto_lock_minutes',
+        API_BASE_URL: 'api_base_url',
+        OPENAI_MODEL: 'openai_model',
+        GLOSSARY: 'glossary',
+        FUZZY_CORRECTIONS: 'fuzzy_corrections',
+        CORRECTION_KEY_VERSION: 'correction_key_version'
+    }
+};
@@ -0,0 +1,129 @@
+/**
+ * MiniMax Translator - Conversation Transcript
+ * Scrolling list of utterances, each paired with its translation
+ */
+
+import { renderContent } from './render.js';
+import { getLanguage } from './languages.js';
+
+// Pixels from the bottom within which new bubbles keep the transcript scrolled down
+const TRANSCRIPT_STICKY_THRESHOLD = 80;
+
+/**
+ * Check whether the transcript is scrolled to (or near) the bottom
+ */
+function isTranscriptAtBottom(container) {
+    return container.scrollHeight - container.scrollTop - container.clientHeight < TRANSCRIPT_STICKY_THRESHOLD;
+}
+
+/**
+ * Run a DOM update, keeping the transcript pinned to the bottom if it was already there
+ */
+function updateTranscript(container, update) {
+    const stick = isTranscriptAtBottom(container);
+    const result = update();
+    if (stick) {
+        container.scrollTop = container.scrollHeight;
+    }
+    return result;
+}
+
+/**
+ * Create a bubble element
+ */
+function createBubble(className, text, lang) {
+    const bubble = document.createElement('div');
+    bubble.className = `bubble ${className}`;
+    bubble.textContent = text;
+    if (lang) {
+        bubble.lang = getLanguage(lang).tts;
+    }
+    return bubble;
+}
+
+/**
+ * Add a finished utterance to the transcript with its translation pending.
+ * Returns the turn element to fill in once the translation arrives.
+ */
+export function addTranscriptTurn(container, sourceText, pair) {
+    return updateTranscript(container, () => {
+        const turn = document.createElement('div');
+        turn.className = 'transcript-turn';
+
+        const meta = document.createElement('div');
+        meta.className = 'turn-meta';
+        meta.textContent = `${getLanguage(pair.source).name} → ${getLanguage(pair.target).name} · ` +
+            new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+        const target = createBubble('bubble-target loading', '', pair.target);
+
+        turn.append(meta, createBubble('bubble-source', sourceText, pair.source), target);
+
+        // Keep the live interim bubble last
+        const pending = container.querySelector('.transcript-pending');
+        container.insertBefore(turn, pending);
+
+        return turn;
+    });
+}
+
+/**
+ * Fill in the translation for a turn
+ */
+export function setTurnTranslation(turn, translation, provider) {
+    const target = turn.querySelector('.bubble-target');
+    const container = turn.parentElement;
+
+    const apply = () => {
+        target.classList.remove('loading', 'bubble-error');
+        target.textContent = translation;
+        target.title = provider ? `via ${provider}` : '';
+    };
+
+    if (container) {
+        updateTranscript(container, apply);
+    } else {
+        apply();
+    }
+}
+
+/**
+ * Show a status message in place of a turn's translation
+ */
+export function setTurnStatus(turn, message, attributes = {}) {
+    const target = turn.querySelector('.bubble-target');
+    target.classList.remove('loading');
+    target.classList.add('bubble-error');
+    target.textContent = message;
+
+    for (const [name, value] of Object.entries(attributes)) {
+        target.setAttribute(name, value);
+    }
+}
+
+/**
+ * Show interim speech results in a live bubble at the end of the transcript
+ */
+export function updatePendingBubble(container, text) {
+    let pending = container.querySelector('.transcript-pending');
+
+    if (!text) {
+        if (pending) pending.remove();
+        return;
+    }
+
+    updateTranscript(container, () => {
+        if (!pending) {
+            pending = createBubble('bubble-source transcript-pending', '');
+            container.appendChild(pending);
+        }
+        pending.textContent = text;
+    });
+}
+
+/**
+ * Remove every turn from the transcript
+ */
+export function clearTranscript(container) {
+    renderContent(container);
+}
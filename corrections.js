@@ -0,0 +1,156 @@
+/**
+ * MiniMax Translator - Correction Memory
+ * Translations fixed by hand, stored in IndexedDB and used ahead of the
+ * offline cache and the providers whenever the same text comes up again
+ */
+
+import { dbGet, dbGetAll, dbPut, dbDelete, dbClear, dbRekey } from './db.js';
+import { normalizeLookupText } from './cache-store.js';
+import { getTextSimilarity } from './similarity.js';
+
+export const CORRECTION_STORE = 'corrections';
+
+// Texts differing in length by more than this factor are never fuzzy matches
+const CORRECTION_MAX_LENGTH_RATIO = 2;
+
+// Version of the buildCorrectionKey format; stored keys are rebuilt when it changes
+const CORRECTION_KEY_VERSION = 1;
+
+/**
+ * Key a correction by language pair (API codes) and source text, normalized
+ * like cache keys
+ */
+function buildCorrectionKey(sourceLang, targetLang, text) {
+    return `${sourceLang}:${targetLang}:${normalizeLookupText(text)}`;
+}
+
+/**
+ * Rebuild keys saved by an older buildCorrectionKey. versionKey is the
+ * localStorage key remembering the format the stored keys use.
+ * Resolves to the number of corrections re-keyed.
+ */
+export async function migrateCorrectionKeys(versionKey) {
+    if (Number(localStorage.getItem(versionKey)) >= CORRECTION_KEY_VERSION) return 0;
+
+    const rekeyed = await dbRekey(CORRECTION_STORE, record =>
+        buildCorrectionKey(record.sourceLang, record.targetLang, record.text), 'updatedAt'
+    );
+
+    localStorage.setItem(versionKey, String(CORRECTION_KEY_VERSION));
+    return rekeyed;
+}
+
+/**
+ * Save the user's translation of a text.
+ * original is what the provider had produced, kept for reference.
+ * Resolves to the stored record.
+ */
+export async function saveCorrection(sourceLang, targetLang, text, translation, original = '') {
+    const key = buildCorrectionKey(sourceLang, targetLang, text);
+    const existing = await dbGet(CORRECTION_STORE, key);
+    const now = Date.now();
+
+    const record = {
+        key,
+        sourceLang,
+        targetLang,
+        text: text.trim(),
+        translation,
+        // Keep the first machine translation across repeated corrections
+        original: existing ? existing.original : original,
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now
+    };
+
+    await dbPut(CORRECTION_STORE, record);
+    return record;
+}
+
+/**
+ * Find the correction for a text. With minSimilarity (0-1) set, the closest
+ * correction for the same pair at or above that similarity is used when the
+ * text has no exact match. Resolves to { record, similarity } or null.
+ */
+export async function findCorrection(sourceLang, targetLang, text, { minSimilarity = 0 } = {}) {
+    const exact = await dbGet(CORRECTION_STORE, buildCorrectionKey(sourceLang, targetLang, text));
+    if (exact) return { record: exact, similarity: 1 };
+    if (!minSimilarity) return null;
+
+    const source = text.trim();
+    let best = null;
+
+    for (const record of await dbGetAll(CORRECTION_STORE)) {
+        if (record.sourceLang !== sourceLang || record.targetLang !== targetLang) continue;
+
+        const ratio = Math.max(record.text.length, source.length) / Math.max(1, Math.min(record.text.length, source.length));
+        if (ratio > CORRECTION_MAX_LENGTH_RATIO) continue;
+
+        const similarity = getTextSimilarity(source, record.text);
+        if (similarity >= minSimilarity && (!best || similarity > best.similarity)) {
+            best = { record, similarity };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Add corrections from a backup, keeping their dates. Where a correction
+ * for the same text already exists with a different translation, the more
+ * recently updated one is kept.
+ * Resolves to { imported, conflicts: [{ record, existing, kept: 'imported' | 'existing' }] }.
+ */
+export async function importCorrections(records) {
+    const now = Date.now();
+    const conflicts = [];
+    let imported = 0;
+
+    for (const fields of records) {
+        const key = buildCorrectionKey(fields.sourceLang, fields.targetLang, fields.text);
+        const existing = await dbGet(CORRECTION_STORE, key);
+        const record = {
+            key,
+            sourceLang: fields.sourceLang,
+            targetLang: fields.targetLang,
+            text: fields.text.trim(),
+            translation: fields.translation,
+            original: fields.original || '',
+            createdAt: fields.createdAt || now,
+            updatedAt: fields.updatedAt || fields.createdAt || now
+        };
+
+        if (existing && existing.translation === record.translation) continue;
+        if (existing) {
+            const kept = record.updatedAt > existing.updatedAt ? 'imported' : 'existing';
+            conflicts.push({ record, existing, kept });
+            if (kept === 'existing') continue;
+        }
+
+        await dbPut(CORRECTION_STORE, record);
+        imported++;
+    }
+
+    return { imported, conflicts };
+}
+
+/**
+ * Get all saved corrections, most recently updated first
+ */
+export async function listCorrections() {
+    const records = await dbGetAll(CORRECTION_STORE);
+    return records.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Forget a single correction
+ */
+export async function deleteCorrection(key) {
+    return dbDelete(CORRECTION_STORE, key);
+}
+
+/**
+ * Forget every correction
+ */
+export async function clearCorrections() {
+    return dbClear(CORRECTION_STORE);
+}
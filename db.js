@@ -0,0 +1,167 @@
+/**
+ * MiniMax Translator - IndexedDB Helpers
+ * Small promise wrappers shared by the app and the service worker
+ */
+
+const DB_NAME = 'minimax-translator';
+const DB_VERSION = 6;
+
+// Object stores and their indexes; missing ones are created on upgrade
+const DB_STORES = {
+    history: {
+        options: { keyPath: 'id', autoIncrement: true },
+        indexes: { timestamp: 'timestamp' }
+    },
+    cache: {
+        options: { keyPath: 'key' },
+        indexes: { lastAccess: 'lastAccess' }
+    },
+    outbox: {
+        options: { keyPath: 'id', autoIncrement: true },
+        indexes: { createdAt: 'createdAt' }
+    },
+    documents: {
+        options: { keyPath: 'id', autoIncrement: true },
+        indexes: { createdAt: 'createdAt' }
+    },
+    corrections: {
+        options: { keyPath: 'key' },
+        indexes: { updatedAt: 'updatedAt' }
+    },
+    keys: {
+        options: { keyPath: 'id' }
+    }
+};
+
+let dbPromise = null;
+
+/**
+ * Open (and upgrade if needed) the app database
+ */
+export function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            const transaction = request.transaction;
+
+            for (const [name, schema] of Object.entries(DB_STORES)) {
+                const store = db.objectStoreNames.contains(name)
+                    ? transaction.objectStore(name)
+                    : db.createObjectStore(name, schema.options);
+
+                for (const [indexName, keyPath] of Object.entries(schema.indexes || {})) {
+                    if (!store.indexNames.contains(indexName)) {
+                        store.createIndex(indexName, keyPath);
+                    }
+                }
+            }
+        };
+
+        request.onsuccess = () => {
+            const db = request.result;
+            // Let a newer version of the app upgrade the schema
+            db.onversionchange = () => {
+                db.close();
+                dbPromise = null;
+            };
+            resolve(db);
+        };
+
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run a single request against a store and wait for the transaction to finish
+ */
+async function withStore(storeName, mode, callback) {
+    const db = await openDatabase();
+    const transaction = db.transaction(storeName, mode);
+    const request = promisifyRequest(callback(transaction.objectStore(storeName)));
+    const done = new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+
+    const [result] = await Promise.all([request, done]);
+    return result;
+}
+
+/**
+ * Get a record by key
+ */
+export async function dbGet(storeName, key) {
+    return withStore(storeName, 'readonly', store => store.get(key));
+}
+
+/**
+ * Get every record in a store
+ */
+export async function dbGetAll(storeName) {
+    return withStore(storeName, 'readonly', store => store.getAll());
+}
+
+/**
+ * Insert or replace a record, resolving to its key
+ */
+export async function dbPut(storeName, value) {
+    return withStore(storeName, 'readwrite', store => store.put(value));
+}
+
+/**
+ * Delete a record by key
+ */
+export async function dbDelete(storeName, key) {
+    return withStore(storeName, 'readwrite', store => store.delete(key));
+}
+
+/**
+ * Delete every record in a store
+ */
+export async function dbClear(storeName) {
+    return withStore(storeName, 'readwrite', store => store.clear());
+}
+
+/**
+ * Rebuild the keys of a store keyed on `key` after the key format changed.
+ * buildKey(record) returns the new key (falsy to leave the record alone).
+ * Where records end up with the same key, the one with the highest
+ * `newestField` is kept. Resolves to the number of records re-keyed.
+ */
+export async function dbRekey(storeName, buildKey, newestField) {
+    let rekeyed = 0;
+
+    for (const record of await dbGetAll(storeName)) {
+        const key = buildKey(record);
+        if (!key || key === record.key) continue;
+
+        await dbDelete(storeName, record.key);
+        const existing = await dbGet(storeName, key);
+        if (existing && existing[newestField] >= record[newestField]) continue;
+
+        await dbPut(storeName, { ...record, key });
+        rekeyed++;
+    }
+
+    return rekeyed;
+}
@@ -0,0 +1,122 @@
+/**
+ * MiniMax Translator - Language Detection
+ * Local script and trigram based detection for the "Auto" source option
+ */
+
+import { isSupportedLanguage } from './languages.js';
+
+// Characters that are common in written Cantonese but rare in Mandarin
+const CANTONESE_MARKERS = /[嘅咗喺哋冇嘢啲嚟噉佢唔乜睇]/g;
+
+// Most frequent character trigrams per Latin-script language, most frequent first
+const TRIGRAM_PROFILES = {
+    en: [' th', 'the', 'he ', 'and', ' an', 'nd ', ' of', 'of ', ' to', 'ing',
+        'ng ', ' in', 'to ', ' is', 'is ', 'ion', 'tio', 'ent', 'hat', 'tha',
+        'at ', ' a ', 'er ', ' he', 're ', 'for', 'ed ', 'es ', ' co', 'on ',
+        'ter', 'his', 'you', ' yo', 'ou ', 'it ', ' it', 'as ', 've ', 'all',
+        ' wh', 'wit', 'ith', ' be', 'ly ', 'our', 'thi', 'ere', ' wa', 'was'],
+    es: [' de', 'de ', ' la', 'la ', 'os ', ' qu', 'que', 'ue ', ' el', 'el ',
+        'es ', ' en', 'en ', 'ent', ' co', 'as ', 'do ', 'ón ', 'ión', 'ien',
+        'aci', 'ció', 'los', ' lo', 'nte', 'con', 'est', 'ado', 'par', ' pa',
+        'a l', 'ra ', 'por', ' po', 'ara', 'ero', ' se', 'una', ' un', 'ar ',
+        ' es', 'o d', 'a d', 'e l', 'ida', 'ada', 'mos', ' su', 'ndo', 'sta']
+};
+
+// Characters that only appear in one Latin-script language of the registry
+const LATIN_HINTS = {
+    es: /[ñ¿¡áéíóú]/g
+};
+
+/**
+ * Count how many characters of the text fall into each script
+ */
+function countScripts(text) {
+    const counts = { han: 0, kana: 0, hangul: 0, latin: 0 };
+
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        if ((code >= 0x3040 && code <= 0x30ff) || (code >= 0x31f0 && code <= 0x31ff)) {
+            counts.kana++;
+        } else if ((code >= 0xac00 && code <= 0xd7af) || (code >= 0x1100 && code <= 0x11ff) || (code >= 0x3130 && code <= 0x318f)) {
+            counts.hangul++;
+        } else if ((code >= 0x4e00 && code <= 0x9fff) || (code >= 0x3400 && code <= 0x4dbf) || (code >= 0xf900 && code <= 0xfaff)) {
+            counts.han++;
+        } else if (/\p{Script=Latin}/u.test(char)) {
+            counts.latin++;
+        }
+    }
+
+    return counts;
+}
+
+/**
+ * Rank Latin-script text against the trigram profiles (out-of-place distance)
+ */
+function detectLatinLanguage(text) {
+    const normalized = ` ${text.toLowerCase().replace(/[^\p{L}\s]/gu, ' ').replace(/\s+/g, ' ').trim()} `;
+    const frequencies = new Map();
+
+    for (let i = 0; i < normalized.length - 2; i++) {
+        const trigram = normalized.slice(i, i + 3);
+        frequencies.set(trigram, (frequencies.get(trigram) || 0) + 1);
+    }
+
+    const ranked = [...frequencies.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .map(([trigram]) => trigram);
+
+    let best = null;
+    for (const [lang, profile] of Object.entries(TRIGRAM_PROFILES)) {
+        if (!isSupportedLanguage(lang)) continue;
+
+        // Lower is better: trigrams missing from the profile cost the maximum
+        let distance = 0;
+        ranked.forEach((trigram, rank) => {
+            const profileRank = profile.indexOf(trigram);
+            distance += profileRank === -1 ? profile.length : Math.abs(profileRank - rank);
+        });
+
+        const hints = LATIN_HINTS[lang] ? (text.match(LATIN_HINTS[lang]) || []).length : 0;
+        const score = distance / Math.max(ranked.length, 1) - hints * 5;
+
+        if (!best || score < best.score) {
+            best = { lang, score };
+        }
+    }
+
+    return best ? best.lang : 'en';
+}
+
+/**
+ * Detect the language of a piece of text.
+ * Returns { lang, confidence } using registry codes, or null when the
+ * text has no letters to go on (numbers, punctuation, empty).
+ */
+export function detectLanguage(text) {
+    const counts = countScripts(text || '');
+    const total = counts.han + counts.kana + counts.hangul + counts.latin;
+    if (total === 0) return null;
+
+    let lang;
+    let share;
+
+    if (counts.kana > 0 && counts.kana + counts.han >= counts.latin) {
+        // Any kana means Japanese, even when most characters are kanji
+        lang = 'ja';
+        share = (counts.kana + counts.han) / total;
+    } else if (counts.hangul >= counts.han && counts.hangul >= counts.latin) {
+        lang = 'ko';
+        share = counts.hangul / total;
+    } else if (counts.han >= counts.latin) {
+        const markers = (text.match(CANTONESE_MARKERS) || []).length;
+        lang = markers > 0 && isSupportedLanguage('yue') ? 'yue' : 'zh';
+        share = counts.han / total;
+    } else {
+        lang = detectLatinLanguage(text);
+        share = counts.latin / total;
+    }
+
+    // Very short input is easy to get wrong, so scale confidence by length
+    const confidence = Math.min(1, share * Math.min(1, total / 12));
+    return { lang, confidence };
+}
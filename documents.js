@@ -0,0 +1,496 @@
+/**
+ * MiniMax Translator - Document Translation
+ * Splits text files into translatable segments around the parts that must
+ * survive untouched (timestamps, markdown syntax, code, XLIFF markup), and
+ * stores each file as a resumable job in IndexedDB.
+ */
+
+import { getLanguage, findLanguageCode } from './languages.js';
+import { dbGet, dbGetAll, dbPut, dbDelete } from './db.js';
+import { segmentText } from './segmenter.js';
+import { escapeXml } from './interchange.js';
+
+const DOCUMENT_STORE = 'documents';
+
+// Longest segment sent in a single request
+const DOCUMENT_SEGMENT_MAX = 1500;
+
+// Supported formats by file extension
+const DOCUMENT_FORMATS = {
+    txt: 'txt',
+    text: 'txt',
+    md: 'md',
+    markdown: 'md',
+    srt: 'srt',
+    vtt: 'vtt',
+    xlf: 'xliff',
+    xliff: 'xliff'
+};
+
+// Media types translated files are downloaded as, by format
+const DOCUMENT_MIME_TYPES = {
+    txt: 'text/plain',
+    md: 'text/markdown',
+    srt: 'application/x-subrip',
+    vtt: 'text/vtt',
+    xliff: 'application/xliff+xml'
+};
+
+// Inline markdown that must not be translated: code spans, link targets, autolinks, HTML tags, bare URLs
+const MARKDOWN_INLINE_PATTERN = /`+[^`]*`+|\]\([^)]*\)|<https?:[^>]*>|<\/?[a-zA-Z][^>]*>|https?:\/\/[^\s)]+/g;
+
+// Formatting tags in subtitle text: <i>, <b>, <v Speaker>, {\an8}
+const SUBTITLE_INLINE_PATTERN = /<\/?[a-zA-Z][^>]*>|\{\\[^}]*\}/g;
+
+// Protected inline parts are sent as {{0}}, {{1}}, ...; providers sometimes add spaces
+const DOCUMENT_PLACEHOLDER_PATTERN = /\{\{\s*(\d+)\s*\}\}/g;
+
+// XLIFF inline elements (1.2 and 2.0) whose content is translated; other
+// inline elements are kept whole
+const XLIFF_WRAPPER_ELEMENTS = ['g', 'mrk', 'pc'];
+
+// Stands in for a segment's translation in the serialized XLIFF file
+const XLIFF_SEGMENT_MARK = /\uE000(\d+)\uE001/;
+
+/**
+ * Thrown for files the document translator can't read
+ */
+export class UnsupportedDocumentError extends Error {
+    constructor(fileName) {
+        super(`Unsupported file type: ${fileName}. Use .txt, .md, .srt, .vtt or .xlf`);
+        this.name = 'UnsupportedDocumentError';
+    }
+}
+
+/**
+ * Thrown for files of a supported type whose content can't be parsed
+ */
+export class InvalidDocumentError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidDocumentError';
+    }
+}
+
+/**
+ * Work out the document format from a file name
+ */
+function getDocumentFormat(fileName) {
+    const extension = fileName.toLowerCase().split('.').pop();
+    const format = DOCUMENT_FORMATS[extension];
+    if (!format) {
+        throw new UnsupportedDocumentError(fileName);
+    }
+    return format;
+}
+
+/**
+ * Languages a file declares for itself, as registry codes: { source, target },
+ * either of which may be missing. Only XLIFF files declare them.
+ */
+export function getDocumentLanguages(fileName, text) {
+    if (getDocumentFormat(fileName) !== 'xliff') return {};
+
+    const source = text.match(/\s(?:srcLang|source-language)\s*=\s*["']([^"']+)["']/);
+    const target = text.match(/\s(?:trgLang|target-language)\s*=\s*["']([^"']+)["']/);
+    return {
+        source: source ? findLanguageCode(source[1]) : '',
+        target: target ? findLanguageCode(target[1]) : ''
+    };
+}
+
+/**
+ * Split a document into literal parts and translatable segments.
+ * Returns { parts, segments, eol, xml }: parts mixes literal strings with
+ * segment indexes, and each segment is { text, inline } where inline holds
+ * the protected pieces behind its {{n}} placeholders. xml is set for XLIFF,
+ * whose translations are escaped when the file is rebuilt.
+ * options.targetLang (an API code) is written into XLIFF files.
+ */
+export function parseDocument(text, format, options = {}) {
+    const eol = text.includes('\r\n') ? '\r\n' : '\n';
+    const source = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const parsed = { parts: [], segments: [], eol };
+
+    if (format === 'md') {
+        parseMarkdown(source, parsed);
+    } else if (format === 'srt' || format === 'vtt') {
+        parseSubtitles(source, parsed);
+    } else if (format === 'xliff') {
+        parseXliff(source, parsed, options.targetLang);
+    } else {
+        // Plain text: one segment per paragraph
+        for (const block of source.split(/(\n[ \t]*\n+)/)) {
+            addDocumentText(parsed, block, null);
+        }
+    }
+
+    return parsed;
+}
+
+/**
+ * Markdown: fenced code and front matter stay as they are, and block syntax
+ * (headings, quotes, list markers, table pipes) is kept out of the segments
+ */
+function parseMarkdown(source, parsed) {
+    const lines = source.split('\n');
+    let fence = null;
+    let frontMatter = lines[0] === '---';
+
+    lines.forEach((line, index) => {
+        const newline = index < lines.length - 1 ? '\n' : '';
+
+        if (frontMatter) {
+            if (index > 0 && /^(---|\.\.\.)\s*$/.test(line)) frontMatter = false;
+            parsed.parts.push(line + newline);
+            return;
+        }
+
+        const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+        if (fence || fenceMatch) {
+            if (!fence) {
+                fence = fenceMatch[1];
+            } else if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+                fence = null;
+            }
+            parsed.parts.push(line + newline);
+            return;
+        }
+
+        // Blank lines, horizontal rules and table alignment rows
+        if (!line.trim() || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line) || /^\s*\|?(\s*:?-+:?\s*\|)+\s*:?-*:?\s*$/.test(line)) {
+            parsed.parts.push(line + newline);
+            return;
+        }
+
+        if (/^\s*\|/.test(line)) {
+            // Table row: translate each cell
+            for (const cell of line.split(/(\|)/)) {
+                addDocumentText(parsed, cell, MARKDOWN_INLINE_PATTERN);
+            }
+            parsed.parts.push(newline);
+            return;
+        }
+
+        const [, prefix, content] = line.match(/^(\s*(?:>\s?)*(?:#{1,6}\s+|[-*+]\s+(?:\[[ xX]\]\s+)?|\d+[.)]\s+)?)(.*)$/);
+        parsed.parts.push(prefix);
+        addDocumentText(parsed, content, MARKDOWN_INLINE_PATTERN);
+        parsed.parts.push(newline);
+    });
+}
+
+/**
+ * SRT and WebVTT: everything up to and including a cue's timing line is kept;
+ * the cue text is one segment. Header, NOTE and STYLE blocks are kept as they are.
+ */
+function parseSubtitles(source, parsed) {
+    for (const block of source.split(/(\n[ \t]*\n+)/)) {
+        const lines = block.split('\n');
+        const timing = lines.findIndex(line => line.includes('-->'));
+
+        if (timing === -1 || /^(NOTE|STYLE|REGION)\b/.test(lines[0])) {
+            parsed.parts.push(block);
+            continue;
+        }
+
+        const cueText = lines.slice(timing + 1).join('\n');
+        parsed.parts.push(lines.slice(0, timing + 1).join('\n') + (cueText ? '\n' : ''));
+        addDocumentText(parsed, cueText, SUBTITLE_INLINE_PATTERN);
+    }
+}
+
+/**
+ * XLIFF 1.2 and 2.0: the source of every translatable unit (2.0: every
+ * segment) is one segment with its inline tags protected. Its target is
+ * added, or replaced, and marked translated; the file's target language is
+ * set to targetLang unless it already names that language.
+ */
+function parseXliff(source, parsed, targetLang) {
+    const doc = new DOMParser().parseFromString(source, 'application/xml');
+    const root = doc.documentElement;
+    if (doc.getElementsByTagName('parsererror').length > 0 || root.localName !== 'xliff') {
+        throw new InvalidDocumentError('This file is not valid XLIFF');
+    }
+
+    const version2 = String(root.getAttribute('version')).startsWith('2');
+    const languageHolders = version2 ? [root] : Array.from(root.getElementsByTagNameNS('*', 'file'));
+    for (const holder of languageHolders) {
+        const attribute = version2 ? 'trgLang' : 'target-language';
+        if (targetLang && findLanguageCode(holder.getAttribute(attribute)) !== findLanguageCode(targetLang)) {
+            holder.setAttribute(attribute, targetLang);
+        }
+    }
+
+    const units = Array.from(root.getElementsByTagNameNS('*', version2 ? 'unit' : 'trans-unit'))
+        .filter(unit => unit.getAttribute('translate') !== 'no');
+
+    for (const unit of units) {
+        // 2.0 units hold segments, each with a source and target; 1.2 units hold them directly
+        const containers = version2 ? getXliffChildren(unit, 'segment') : [unit];
+
+        for (const container of containers) {
+            const sourceElement = getXliffChildren(container, 'source')[0];
+            if (!sourceElement) continue;
+
+            let target = getXliffChildren(container, 'target')[0];
+            if (!target) {
+                target = doc.createElementNS(root.namespaceURI, 'target');
+                sourceElement.after(target);
+            }
+
+            addXliffSegment(parsed, sourceElement, target);
+            (version2 ? container : target).setAttribute('state', 'translated');
+        }
+    }
+
+    const declaration = source.match(/^<\?xml[^>]*\?>/);
+    let serialized = new XMLSerializer().serializeToString(doc);
+    if (declaration && !serialized.startsWith('<?xml')) {
+        serialized = `${declaration[0]}\n${serialized}`;
+    }
+
+    // Literal XML alternates with segment indexes
+    serialized.split(XLIFF_SEGMENT_MARK).forEach((part, index) => {
+        parsed.parts.push(index % 2 ? Number(part) : part);
+    });
+    parsed.xml = true;
+}
+
+/**
+ * Child elements of an XLIFF element with the given local name
+ */
+function getXliffChildren(element, name) {
+    return Array.from(element.children).filter(child => child.localName === name);
+}
+
+/**
+ * Turn an XLIFF source into a segment and put a mark for its translation in
+ * the target. Sources with nothing to translate are copied to the target.
+ */
+function addXliffSegment(parsed, sourceElement, target) {
+    const inline = [];
+    const text = getXliffText(sourceElement, inline);
+    const [, leading, body, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+
+    target.textContent = '';
+    if (!/[\p{L}]/u.test(body.replace(DOCUMENT_PLACEHOLDER_PATTERN, ''))) {
+        target.append(...Array.from(sourceElement.childNodes, node => node.cloneNode(true)));
+        return;
+    }
+
+    target.append(leading, `\uE000${parsed.segments.length}\uE001`, trailing);
+    parsed.segments.push({ text: body, inline });
+}
+
+/**
+ * The text of an XLIFF source, with inline elements replaced by {{n}}
+ * placeholders whose markup is added to inline. Wrapping elements keep their
+ * text translatable, unless they are marked as not to be translated.
+ */
+function getXliffText(element, inline) {
+    let text = '';
+
+    for (const node of element.childNodes) {
+        if (node.nodeType === Node.TEXT_NODE || node.nodeType === Node.CDATA_SECTION_NODE) {
+            // inline holds markup, so placeholder-like text goes in escaped
+            text += protectDocumentText(node.data, null, inline, escapeXml);
+        } else if (node.nodeType !== Node.ELEMENT_NODE) {
+            continue;
+        } else if (XLIFF_WRAPPER_ELEMENTS.includes(node.localName) && node.hasChildNodes() &&
+            node.getAttribute('translate') !== 'no' && node.getAttribute('mtype') !== 'protected') {
+            const [open, close] = serializeXliffElement(node, false);
+            text += `{{${inline.push(open) - 1}}}${getXliffText(node, inline)}{{${inline.push(close) - 1}}}`;
+        } else {
+            text += `{{${inline.push(serializeXliffElement(node, true).join('')) - 1}}}`;
+        }
+    }
+    return text;
+}
+
+/**
+ * Write an inline element's opening and closing tags, with its content
+ * between them when withContent is set. Written by hand so the markup
+ * doesn't pick up namespace declarations it already inherits.
+ */
+function serializeXliffElement(element, withContent) {
+    const attributes = Array.from(element.attributes, attribute => ` ${attribute.name}="${escapeXml(attribute.value)}"`).join('');
+    if (withContent && !element.hasChildNodes()) return [`<${element.tagName}${attributes}/>`, ''];
+
+    const content = withContent
+        ? Array.from(element.childNodes, node => {
+            if (node.nodeType === Node.ELEMENT_NODE) return serializeXliffElement(node, true).join('');
+            return node.nodeType === Node.TEXT_NODE || node.nodeType === Node.CDATA_SECTION_NODE ? escapeXml(node.data) : '';
+        }).join('')
+        : '';
+    return [`<${element.tagName}${attributes}>${content}`, `</${element.tagName}>`];
+}
+
+/**
+ * Put a segment's protected inline markup back into an XLIFF translation.
+ * If the provider lost or repeated placeholders, or reordered them so the
+ * markup no longer nests, the markup goes after the text instead, keeping
+ * the file valid.
+ */
+function restoreXliffInline(translation, inline) {
+    const escaped = escapeXml(translation);
+    if (inline.length === 0) return escaped;
+
+    const found = Array.from(escaped.matchAll(DOCUMENT_PLACEHOLDER_PATTERN), match => Number(match[1]));
+    const complete = found.length === inline.length && inline.every((part, index) => found.includes(index));
+
+    if (complete) {
+        const restored = restoreDocumentInline(escaped, inline);
+        const check = new DOMParser().parseFromString(`<check>${restored}</check>`, 'application/xml');
+        if (check.getElementsByTagName('parsererror').length === 0) return restored;
+    }
+    return escaped.replace(DOCUMENT_PLACEHOLDER_PATTERN, '') + inline.join('');
+}
+
+/**
+ * Add a piece of text as one or more segments, keeping surrounding
+ * whitespace literal and protecting inline parts that match inlinePattern
+ */
+function addDocumentText(parsed, text, inlinePattern) {
+    const [, leading, body, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    parsed.parts.push(leading);
+
+    // Nothing worth translating: whitespace, pipes, numbers, punctuation
+    if (!/[\p{L}]/u.test(body)) {
+        parsed.parts.push(body + trailing);
+        return;
+    }
+
+    for (const chunk of segmentText(body, DOCUMENT_SEGMENT_MAX)) {
+        const inline = [];
+        const protectedText = protectDocumentText(chunk.text, inlinePattern, inline);
+
+        parsed.parts.push(parsed.segments.length, chunk.separator);
+        parsed.segments.push({ text: protectedText, inline });
+    }
+
+    parsed.parts.push(trailing);
+}
+
+/**
+ * Replace the parts of text that match inlinePattern with {{n}} placeholders,
+ * adding them to inline. Text that already looks like a placeholder (as in
+ * template files) is protected the same way, so restoring leaves it as it was.
+ */
+function protectDocumentText(text, inlinePattern, inline, escape = part => part) {
+    const pattern = inlinePattern
+        ? new RegExp(`${inlinePattern.source}|${DOCUMENT_PLACEHOLDER_PATTERN.source}`, 'g')
+        : DOCUMENT_PLACEHOLDER_PATTERN;
+    return text.replace(pattern, match => `{{${inline.push(escape(match)) - 1}}}`);
+}
+
+/**
+ * Put a segment's protected inline parts back into its translation
+ */
+function restoreDocumentInline(translation, inline) {
+    if (!inline || inline.length === 0) return translation;
+
+    return translation.replace(DOCUMENT_PLACEHOLDER_PATTERN, (placeholder, index) =>
+        index < inline.length ? inline[index] : placeholder
+    );
+}
+
+/**
+ * Reassemble a document from its parts and segment translations.
+ * Segments without a translation keep their original text.
+ */
+export function buildDocument(parsed, translations) {
+    const text = parsed.parts.map(part => {
+        if (typeof part !== 'number') return part;
+
+        const segment = parsed.segments[part];
+        const translation = translations[part] != null ? translations[part] : segment.text;
+        return parsed.xml
+            ? restoreXliffInline(translation, segment.inline)
+            : restoreDocumentInline(translation, segment.inline);
+    }).join('');
+
+    return parsed.eol === '\n' ? text : text.replace(/\n/g, parsed.eol);
+}
+
+/**
+ * Name for the translated file: notes.md -> notes.en.md
+ */
+export function getTranslatedFileName(fileName, targetLang) {
+    const dot = fileName.lastIndexOf('.');
+    return dot > 0
+        ? `${fileName.slice(0, dot)}.${targetLang}${fileName.slice(dot)}`
+        : `${fileName}.${targetLang}`;
+}
+
+/**
+ * Media type for a translated file in the given format
+ */
+export function getDocumentMimeType(format) {
+    return `${DOCUMENT_MIME_TYPES[format] || 'text/plain'};charset=utf-8`;
+}
+
+/**
+ * Parse a file and store it as a new translation job.
+ * pair holds the registry codes to translate between.
+ * Resolves to the stored job.
+ */
+export async function createDocumentJob(fileName, text, pair) {
+    const format = getDocumentFormat(fileName);
+    const parsed = parseDocument(text, format, { targetLang: getLanguage(pair.target).api });
+    const now = Date.now();
+
+    const job = {
+        name: fileName,
+        format,
+        pair,
+        ...parsed,
+        translations: parsed.segments.map(() => null),
+        status: 'pending',
+        error: '',
+        createdAt: now,
+        updatedAt: now
+    };
+
+    job.id = await dbPut(DOCUMENT_STORE, job);
+    return job;
+}
+
+/**
+ * List translation jobs, newest first
+ */
+export async function getDocumentJobs() {
+    const jobs = await dbGetAll(DOCUMENT_STORE);
+    return jobs.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Get a single translation job
+ */
+export async function getDocumentJob(id) {
+    return dbGet(DOCUMENT_STORE, id);
+}
+
+/**
+ * Save a job's progress
+ */
+export async function saveDocumentJob(job) {
+    job.updatedAt = Date.now();
+    return dbPut(DOCUMENT_STORE, job);
+}
+
+/**
+ * Delete a job
+ */
+export async function deleteDocumentJob(id) {
+    return dbDelete(DOCUMENT_STORE, id);
+}
+
+/**
+ * Count translated segments: { done, total }
+ */
+export function getDocumentProgress(job) {
+    return {
+        done: job.translations.filter(translation => translation != null).length,
+        total: job.segments.length
+    };
+}
@@ -0,0 +1,23 @@
+/**
+ * Document segmentation tests.
+ * Run: node --test server/ *.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDocument, buildDocument } from './documents.js';
+
+test('keeps placeholder-like text from the source as it was', () => {
+    const parsed = parseDocument('Hello {{0}}, you have {{ 1 }} messages.\n', 'txt');
+    const translations = parsed.segments.map(segment => segment.text.replace('Hello', 'Bonjour'));
+
+    assert.equal(buildDocument(parsed, translations), 'Bonjour {{0}}, you have {{ 1 }} messages.\n');
+});
+
+test('protects markdown code and template placeholders together', () => {
+    const parsed = parseDocument('Run `echo {{1}}` for {{0}} now.\n', 'md');
+    const [segment] = parsed.segments;
+
+    assert.deepEqual(segment.inline, ['`echo {{1}}`', '{{0}}']);
+    assert.equal(buildDocument(parsed, [segment.text.replace('Run', 'Lance')]), 'Lance `echo {{1}}` for {{0}} now.\n');
+});
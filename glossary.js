@@ -0,0 +1,295 @@
+/**
+ * MiniMax Translator - Glossary
+ * Required translations for product names and jargon. Terms are swapped for
+ * placeholders before the text goes to a provider and substituted back afterwards.
+ */
+
+import { isSupportedLanguage } from './languages.js';
+
+// Placeholders are the term's number between two private-use characters, so
+// nothing the user typed can be taken for one (documents.js marks XLIFF
+// segments with U+E000 and U+E001). Providers sometimes add spaces.
+const GLOSSARY_PLACEHOLDER_PATTERN = /\uE002\s*(\d+)\s*\uE003/g;
+
+// Scripts written without spaces between words; whole-word matching doesn't apply to them
+const GLOSSARY_UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+
+// Header names accepted in imported files, keyed by their letters-only lowercase form
+const GLOSSARY_COLUMNS = {
+    source: 'source',
+    term: 'source',
+    target: 'target',
+    translation: 'target',
+    sourcelang: 'sourceLang',
+    targetlang: 'targetLang',
+    casesensitive: 'caseSensitive',
+    matchcase: 'caseSensitive',
+    wholeword: 'wholeWord'
+};
+
+/**
+ * Build a glossary entry from loose fields.
+ * fields: { id, sourceLang, targetLang, source, target, caseSensitive, wholeWord }
+ */
+export function createGlossaryEntry(fields) {
+    return {
+        id: fields.id || Date.now().toString(36) + Math.random().toString(36).slice(2, 8),
+        sourceLang: fields.sourceLang,
+        targetLang: fields.targetLang,
+        source: String(fields.source || '').trim(),
+        target: String(fields.target || '').trim(),
+        caseSensitive: Boolean(fields.caseSensitive),
+        wholeWord: fields.wholeWord !== false
+    };
+}
+
+/**
+ * Drop saved entries that are incomplete or use an unknown language
+ */
+export function normalizeGlossary(entries) {
+    if (!Array.isArray(entries)) return [];
+
+    return entries
+        .filter(entry => entry && isSupportedLanguage(entry.sourceLang) && isSupportedLanguage(entry.targetLang))
+        .map(createGlossaryEntry)
+        .filter(entry => entry.source && entry.target);
+}
+
+/**
+ * Add an entry, replacing one for the same term and language pair
+ */
+export function upsertGlossaryEntry(glossary, entry) {
+    const index = glossary.findIndex(existing => existing.id === entry.id || isSameGlossaryTerm(existing, entry));
+    if (index === -1) {
+        return [...glossary, entry];
+    }
+    return glossary.map((existing, i) => (i === index ? { ...entry, id: existing.id } : existing));
+}
+
+/**
+ * Check whether two entries define the same term for the same pair
+ */
+export function isSameGlossaryTerm(a, b) {
+    if (a.sourceLang !== b.sourceLang || a.targetLang !== b.targetLang) return false;
+    if (a.caseSensitive || b.caseSensitive) return a.source === b.source;
+    return a.source.toLowerCase() === b.source.toLowerCase();
+}
+
+/**
+ * Entries that apply to a language pair (registry codes)
+ */
+export function getGlossaryTerms(glossary, sourceLang, targetLang) {
+    return glossary.filter(entry => entry.sourceLang === sourceLang && entry.targetLang === targetLang);
+}
+
+/**
+ * Build the global regex that finds an entry's source term
+ */
+export function buildTermPattern(entry) {
+    let pattern = entry.source.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    if (entry.wholeWord) {
+        // Only check the edges that would have a space next to them
+        if (!GLOSSARY_UNSPACED_SCRIPT.test(entry.source[0])) {
+            pattern = `(?<![\\p{L}\\p{N}_])${pattern}`;
+        }
+        if (!GLOSSARY_UNSPACED_SCRIPT.test(entry.source[entry.source.length - 1])) {
+            pattern = `${pattern}(?![\\p{L}\\p{N}_])`;
+        }
+    }
+
+    return new RegExp(pattern, entry.caseSensitive ? 'gu' : 'giu');
+}
+
+/**
+ * Find every glossary term in text. Where terms overlap the earliest,
+ * then the longest, wins. Returns [{ start, end, entry }] in text order.
+ */
+export function findGlossaryMatches(text, terms) {
+    const candidates = [];
+
+    for (const entry of terms) {
+        for (const match of text.matchAll(buildTermPattern(entry))) {
+            candidates.push({ start: match.index, end: match.index + match[0].length, entry });
+        }
+    }
+
+    candidates.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+
+    const matches = [];
+    let lastEnd = 0;
+    for (const candidate of candidates) {
+        if (candidate.start < lastEnd) continue;
+        matches.push(candidate);
+        lastEnd = candidate.end;
+    }
+    return matches;
+}
+
+/**
+ * Replace glossary terms with numbered placeholders the provider leaves alone.
+ * Returns { text, replacements, matched, fingerprint }: replacements[n] is the
+ * required translation for placeholder n, matched the entries that were found
+ * and fingerprint their getGlossaryFingerprint().
+ */
+export function protectGlossaryTerms(text, terms) {
+    const matches = findGlossaryMatches(text, terms);
+    const replacements = [];
+    let output = '';
+    let position = 0;
+
+    for (const match of matches) {
+        output += text.slice(position, match.start) + `\uE002${replacements.length}\uE003`;
+        replacements.push(match.entry.target);
+        position = match.end;
+    }
+    output += text.slice(position);
+
+    const matched = [...new Set(matches.map(match => match.entry))];
+    return { text: output, replacements, matched, fingerprint: getGlossaryFingerprint(matched) };
+}
+
+/**
+ * Hash the entries that shaped a translation, so a cached translation can be
+ * told apart from one made with other terms. Empty when there are none.
+ */
+export function getGlossaryFingerprint(entries) {
+    if (entries.length === 0) return '';
+
+    const terms = entries
+        .map(entry => [entry.source, entry.target, entry.caseSensitive, entry.wholeWord].join('\u0000'))
+        .sort()
+        .join('\u0001');
+
+    // 32-bit FNV-1a
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < terms.length; i++) {
+        hash = Math.imul(hash ^ terms.charCodeAt(i), 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+}
+
+/**
+ * Put the required translations back in place of the placeholders
+ */
+export function restoreGlossaryTerms(translation, replacements) {
+    if (!replacements || replacements.length === 0) return translation;
+
+    return translation.replace(GLOSSARY_PLACEHOLDER_PATTERN, (placeholder, index) =>
+        index < replacements.length ? replacements[index] : placeholder
+    );
+}
+
+/**
+ * Find where the required translations of matched entries appear in a translation.
+ * Returns non-overlapping [{ start, end, entry }] in text order.
+ */
+export function findGlossarySpans(translation, entries) {
+    const spans = [];
+
+    for (const entry of entries) {
+        let index = translation.indexOf(entry.target);
+        while (index !== -1) {
+            spans.push({ start: index, end: index + entry.target.length, entry });
+            index = translation.indexOf(entry.target, index + entry.target.length);
+        }
+    }
+
+    spans.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+
+    let lastEnd = 0;
+    return spans.filter(span => {
+        if (span.start < lastEnd) return false;
+        lastEnd = span.end;
+        return true;
+    });
+}
+
+/**
+ * Parse CSV or TSV text into rows of cells. Tabs are used as the delimiter
+ * when the first line has one; quoted cells may contain delimiters and newlines.
+ */
+export function parseDelimitedText(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = firstLine.includes('\t') ? '\t' : ',';
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+/**
+ * Read glossary entries from an imported CSV/TSV file.
+ * Without a header the columns are source, target. A header may also name
+ * source_lang, target_lang, case_sensitive and whole_word columns; rows
+ * without languages get defaults.sourceLang / defaults.targetLang.
+ * Returns { entries, skipped }.
+ */
+export function parseGlossaryFile(text, defaults) {
+    const rows = parseDelimitedText(text.replace(/^\uFEFF/, ''));
+    let columns = ['source', 'target'];
+
+    const header = rows[0] && rows[0].map(cell => GLOSSARY_COLUMNS[cell.toLowerCase().replace(/[^a-z]/g, '')]);
+    if (header && header.includes('source') && header.includes('target')) {
+        columns = header;
+        rows.shift();
+    }
+
+    const entries = [];
+    let skipped = 0;
+
+    for (const cells of rows) {
+        const fields = { ...defaults };
+        columns.forEach((column, index) => {
+            const value = (cells[index] || '').trim();
+            if (!column || !value) return;
+            fields[column] = column === 'caseSensitive' || column === 'wholeWord'
+                ? /^(1|true|yes|y)$/i.test(value)
+                : value;
+        });
+
+        const entry = createGlossaryEntry(fields);
+        if (entry.source && entry.target && isSupportedLanguage(entry.sourceLang) && isSupportedLanguage(entry.targetLang)) {
+            entries.push(entry);
+        } else {
+            skipped++;
+        }
+    }
+
+    return { entries, skipped };
+}
@@ -0,0 +1,21 @@
+/**
+ * Glossary placeholder tests.
+ * Run: node --test server/ *.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGlossaryEntry, protectGlossaryTerms, restoreGlossaryTerms } from './glossary.js';
+
+test('leaves placeholder-like text the user typed alone', () => {
+    const terms = [createGlossaryEntry({ sourceLang: 'en', targetLang: 'fr', source: 'Acme', target: 'ACME' })];
+    const glossary = protectGlossaryTerms('Acme lists [[0]] and {{0}}', terms);
+
+    assert.equal(glossary.replacements.length, 1);
+    assert.ok(!glossary.text.includes('Acme'));
+    assert.equal(restoreGlossaryTerms(glossary.text, glossary.replacements), 'ACME lists [[0]] and {{0}}');
+});
+
+test('restores placeholders a provider put spaces into', () => {
+    assert.equal(restoreGlossaryTerms('Hi \uE002 0 \uE003!', ['ACME']), 'Hi ACME!');
+});
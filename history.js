@@ -0,0 +1,109 @@
+/**
+ * MiniMax Translator - Translation History
+ * Every completed translation, stored in IndexedDB and searchable
+ */
+
+import { dbGet, dbGetAll, dbPut, dbDelete, dbClear } from './db.js';
+
+const HISTORY_STORE = 'history';
+
+// Consecutive translations of text still being typed are merged into one entry
+const HISTORY_MERGE_WINDOW = 30000;
+
+// Last entry written this session, used for merging
+let lastHistoryEntry = null;
+
+/**
+ * Record a translation.
+ * entry: { sourceText, targetText, sourceLang, targetLang, provider }
+ */
+export async function addHistoryEntry(entry) {
+    const now = Date.now();
+    const previous = lastHistoryEntry;
+
+    const isContinuation = previous &&
+        previous.sourceLang === entry.sourceLang &&
+        previous.targetLang === entry.targetLang &&
+        now - previous.timestamp < HISTORY_MERGE_WINDOW &&
+        (entry.sourceText.startsWith(previous.sourceText) || previous.sourceText.startsWith(entry.sourceText));
+
+    const record = {
+        ...(isContinuation ? previous : { starred: false }),
+        sourceText: entry.sourceText,
+        targetText: entry.targetText,
+        sourceLang: entry.sourceLang,
+        targetLang: entry.targetLang,
+        provider: entry.provider || '',
+        timestamp: now
+    };
+
+    record.id = await dbPut(HISTORY_STORE, record);
+    lastHistoryEntry = record;
+    return record;
+}
+
+/**
+ * List history entries, newest first.
+ * Every word of the query must appear in the source or the translation.
+ */
+export async function getHistoryEntries(query = '', { starredOnly = false } = {}) {
+    const entries = await dbGetAll(HISTORY_STORE);
+    const terms = normalizeSearchText(query).split(/\s+/).filter(Boolean);
+
+    return entries
+        .filter(entry => !starredOnly || entry.starred)
+        .filter(entry => {
+            if (terms.length === 0) return true;
+            const haystack = normalizeSearchText(`${entry.sourceText}\n${entry.targetText}`);
+            return terms.every(term => haystack.includes(term));
+        })
+        .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Get a single history entry
+ */
+export async function getHistoryEntry(id) {
+    return dbGet(HISTORY_STORE, id);
+}
+
+/**
+ * Flip the starred flag of an entry
+ */
+export async function toggleHistoryStar(id) {
+    const entry = await dbGet(HISTORY_STORE, id);
+    if (!entry) return null;
+
+    entry.starred = !entry.starred;
+    await dbPut(HISTORY_STORE, entry);
+
+    if (lastHistoryEntry && lastHistoryEntry.id === id) {
+        lastHistoryEntry = entry;
+    }
+    return entry;
+}
+
+/**
+ * Delete an entry
+ */
+export async function deleteHistoryEntry(id) {
+    if (lastHistoryEntry && lastHistoryEntry.id === id) {
+        lastHistoryEntry = null;
+    }
+    return dbDelete(HISTORY_STORE, id);
+}
+
+/**
+ * Delete all entries
+ */
+export async function clearHistory() {
+    lastHistoryEntry = null;
+    return dbClear(HISTORY_STORE);
+}
+
+/**
+ * Case- and width-insensitive form of text for searching
+ */
+function normalizeSearchText(text) {
+    return String(text || '').normalize('NFKC').toLowerCase();
+}
@@ -0,0 +1,252 @@
+/**
+ * MiniMax Translator - Translation Pair Files
+ * Reads and writes cached translation pairs as CSV and TMX, so they can be
+ * moved between devices and opened in spreadsheets and CAT tools
+ */
+
+import { LANGUAGES, findLanguageCode } from './languages.js';
+import { parseDelimitedText } from './glossary.js';
+
+// TMX inline elements holding the original file's formatting codes rather than text
+const TMX_CODE_ELEMENTS = ['bpt', 'ept', 'it', 'ph', 'ut'];
+
+// Header row of exported CSV files
+const PAIR_CSV_HEADER = ['source_lang', 'target_lang', 'source', 'translation'];
+
+// Cell starts that spreadsheet apps run as a formula; such cells are exported behind a '.
+// Cells already starting with ' get one too, so a typed apostrophe survives import.
+const CSV_ESCAPED_START = /^[=+\-@\t\r']/;
+
+// The ' that writePairsCsv() puts in front of an escaped cell, with any padding before it
+const CSV_ESCAPE_MARKER = /^\s*'(?=[=+\-@\t\r'])/;
+
+// Header names accepted in imported CSV files, keyed by their letters-only lowercase form
+const PAIR_CSV_COLUMNS = {
+    sourcelang: 'sourceLang',
+    targetlang: 'targetLang',
+    source: 'text',
+    text: 'text',
+    target: 'translation',
+    translation: 'translation'
+};
+
+/**
+ * Thrown for import files that can't be read at all
+ */
+export class ImportFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImportFormatError';
+    }
+}
+
+/**
+ * Find the API code for a language tag from a file (see findLanguageCode).
+ * Returns '' for languages the app doesn't support.
+ */
+export function findApiLanguage(tag) {
+    const code = findLanguageCode(tag);
+    return code ? LANGUAGES[code].api : '';
+}
+
+/**
+ * Write pairs as CSV, one row per pair under PAIR_CSV_HEADER.
+ * Starts with a byte order mark so spreadsheet apps read it as UTF-8.
+ */
+export function writePairsCsv(pairs) {
+    const rows = [PAIR_CSV_HEADER].concat(pairs.map(pair =>
+        [pair.sourceLang, pair.targetLang, pair.text, pair.translation]
+    ));
+
+    return '\uFEFF' + rows.map(cells => cells.map(quoteCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Quote a CSV cell when it holds a delimiter, quote or line break, and put a '
+ * in front of text a spreadsheet would take for a formula or that starts with '
+ */
+function quoteCsvCell(value) {
+    let text = String(value);
+    if (CSV_ESCAPED_START.test(text)) text = `'${text}`;
+    return /[",\t\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Read pairs from CSV or TSV. Without a header the columns are
+ * source_lang, target_lang, source, translation.
+ * Returns { pairs, skipped } where skipped counts incomplete rows and
+ * rows in unsupported languages.
+ */
+export function parsePairsCsv(text) {
+    const rows = parseDelimitedText(text.replace(/^\uFEFF/, ''));
+    let columns = ['sourceLang', 'targetLang', 'text', 'translation'];
+
+    const header = rows[0] && rows[0].map(cell => PAIR_CSV_COLUMNS[cell.toLowerCase().replace(/[^a-z]/g, '')]);
+    if (header && header.includes('text') && header.includes('translation')) {
+        columns = header;
+        rows.shift();
+    }
+
+    const pairs = [];
+    let skipped = 0;
+
+    for (const cells of rows) {
+        const fields = {};
+        columns.forEach((column, index) => {
+            if (column) fields[column] = readCsvCell(cells[index] || '');
+        });
+
+        const sourceLang = findApiLanguage(fields.sourceLang);
+        const targetLang = findApiLanguage(fields.targetLang);
+        if (fields.text && fields.translation && sourceLang && targetLang && sourceLang !== targetLang) {
+            pairs.push({ sourceLang, targetLang, text: fields.text, translation: fields.translation });
+        } else {
+            skipped++;
+        }
+    }
+
+    return { pairs, skipped };
+}
+
+/**
+ * Read a CSV cell's text, dropping the ' that writePairsCsv() puts in front of
+ * escaped cells. Text behind that marker is kept as is, leading tabs included.
+ */
+function readCsvCell(cell) {
+    return CSV_ESCAPE_MARKER.test(cell) ? cell.replace(CSV_ESCAPE_MARKER, '') : cell.trim();
+}
+
+/**
+ * Write pairs as a TMX 1.4b document. Pairs come from several language pairs,
+ * so the header's srclang is *all* and each unit names its own.
+ */
+export function writeTmx(pairs) {
+    const units = pairs.map(pair => {
+        const attributes = [`srclang="${escapeXml(pair.sourceLang)}"`];
+        if (pair.createdAt) attributes.push(`creationdate="${formatTmxDate(pair.createdAt)}"`);
+        if (pair.lastAccess) attributes.push(`lastusagedate="${formatTmxDate(pair.lastAccess)}"`);
+        if (pair.accessCount) attributes.push(`usagecount="${pair.accessCount}"`);
+
+        return [
+            `    <tu ${attributes.join(' ')}>`,
+            `      <tuv xml:lang="${escapeXml(pair.sourceLang)}"><seg>${escapeXml(pair.text)}</seg></tuv>`,
+            `      <tuv xml:lang="${escapeXml(pair.targetLang)}"><seg>${escapeXml(pair.translation)}</seg></tuv>`,
+            '    </tu>'
+        ].join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<tmx version="1.4">',
+        `  <header creationtool="MiniMax Translator" creationtoolversion="1" segtype="sentence" o-tmf="MiniMax Translator" adminlang="en" srclang="*all*" datatype="plaintext" creationdate="${formatTmxDate(Date.now())}"/>`,
+        '  <body>',
+        ...units,
+        '  </body>',
+        '</tmx>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Read pairs from a TMX document. Each unit's source is the variant in its
+ * srclang (or the header's); every other variant becomes a pair with it.
+ * Returns { pairs, skipped } where skipped counts variants that couldn't be
+ * used. Throws ImportFormatError for anything that isn't TMX.
+ */
+export function parseTmx(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const root = doc.documentElement;
+    if (doc.getElementsByTagName('parsererror').length > 0 || root.nodeName !== 'tmx') {
+        throw new ImportFormatError('Not a TMX file');
+    }
+
+    const header = root.getElementsByTagName('header')[0];
+    const defaultSource = header ? header.getAttribute('srclang') : '';
+    const pairs = [];
+    let skipped = 0;
+
+    for (const unit of Array.from(root.getElementsByTagName('tu'))) {
+        const variants = Array.from(unit.getElementsByTagName('tuv')).map(variant => {
+            const seg = variant.getElementsByTagName('seg')[0];
+            return {
+                // TMX 1.1 used lang rather than xml:lang
+                lang: variant.getAttribute('xml:lang') || variant.getAttribute('lang'),
+                text: seg ? getTmxSegmentText(seg).trim() : ''
+            };
+        });
+
+        const srclang = unit.getAttribute('srclang') || defaultSource;
+        const source = (srclang && srclang !== '*all*'
+            ? variants.find(variant => variant.lang && variant.lang.toLowerCase() === srclang.toLowerCase())
+            : null) || variants[0];
+        const sourceLang = source && findApiLanguage(source.lang);
+
+        for (const target of variants) {
+            if (target === source) continue;
+
+            const targetLang = findApiLanguage(target.lang);
+            if (!sourceLang || !targetLang || sourceLang === targetLang || !source.text || !target.text) {
+                skipped++;
+                continue;
+            }
+
+            pairs.push({
+                sourceLang,
+                targetLang,
+                text: source.text,
+                translation: target.text,
+                createdAt: parseTmxDate(unit.getAttribute('creationdate')),
+                lastAccess: parseTmxDate(unit.getAttribute('lastusagedate')),
+                accessCount: parseInt(unit.getAttribute('usagecount'), 10) || 0
+            });
+        }
+    }
+
+    return { pairs, skipped };
+}
+
+/**
+ * The text of a TMX segment, leaving out inline formatting codes but keeping
+ * the text inside highlighting (<hi>) elements
+ */
+function getTmxSegmentText(node) {
+    let text = '';
+
+    for (const child of node.childNodes) {
+        if (child.nodeType === Node.TEXT_NODE || child.nodeType === Node.CDATA_SECTION_NODE) {
+            text += child.data;
+        } else if (child.nodeType === Node.ELEMENT_NODE && !TMX_CODE_ELEMENTS.includes(child.localName)) {
+            text += getTmxSegmentText(child);
+        }
+    }
+    return text;
+}
+
+/**
+ * Escape text for XML content and attribute values
+ */
+export function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format a timestamp the way TMX dates are written: 20240131T154500Z
+ */
+function formatTmxDate(timestamp) {
+    return new Date(timestamp).toISOString().replace(/[-:]|\.\d+/g, '');
+}
+
+/**
+ * Parse a TMX date into a timestamp, or 0 if it is missing or malformed
+ */
+function parseTmxDate(value) {
+    const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+    if (!match) return 0;
+
+    const [, year, month, day, hour, minute, second] = match.map(Number);
+    return Date.UTC(year, month - 1, day, hour, minute, second);
+}
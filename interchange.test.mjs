@@ -0,0 +1,44 @@
+/**
+ * Translation pair CSV tests.
+ * Run: node --test server/ *.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writePairsCsv, parsePairsCsv } from './interchange.js';
+
+test('writes pairs as CSV with quoting where needed', () => {
+    const csv = writePairsCsv([{ sourceLang: 'zh', targetLang: 'en', text: '你好', translation: 'Hello, "you"' }]);
+
+    assert.equal(csv, '\uFEFFsource_lang,target_lang,source,translation\r\nzh,en,你好,"Hello, ""you"""\r\n');
+});
+
+test('keeps spreadsheet apps from running cells as formulas', () => {
+    const texts = ['=1+1', '+1', '-2', '@SUM(A1)', '\tx', '\rx'];
+    const csv = writePairsCsv(texts.map(text => ({ sourceLang: 'en', targetLang: 'zh', text, translation: text })));
+    const rows = csv.replace(/^\uFEFF/, '').split('\r\n').slice(1, 5);
+
+    assert.deepEqual(rows, ["en,zh,'=1+1,'=1+1", "en,zh,'+1,'+1", "en,zh,'-2,'-2", "en,zh,'@SUM(A1),'@SUM(A1)"]);
+    assert.ok(csv.includes('"\'\tx"'));
+    assert.ok(!/(^|,)[=+\-@]/m.test(csv));
+});
+
+test('reads its own CSV back unchanged', () => {
+    const pairs = [
+        { sourceLang: 'en', targetLang: 'zh', text: '=HYPERLINK("x")', translation: '-负数' },
+        { sourceLang: 'zh', targetLang: 'en', text: '你好', translation: 'Hello, "you"' },
+        { sourceLang: 'en', targetLang: 'ja', text: "'quoted'", translation: "'引用'" },
+        { sourceLang: 'en', targetLang: 'ja', text: "'=quoted", translation: "''=引用" },
+        { sourceLang: 'en', targetLang: 'zh', text: '\tindented', translation: '\t缩进 ' }
+    ];
+
+    assert.deepEqual(parsePairsCsv(writePairsCsv(pairs)), { pairs, skipped: 0 });
+});
+
+test('keeps apostrophes in CSV files from other apps', () => {
+    const csv = "source,translation,source_lang,target_lang\n'quoted' , '引用',en,ja\n";
+
+    assert.deepEqual(parsePairsCsv(csv).pairs, [
+        { sourceLang: 'en', targetLang: 'ja', text: "'quoted'", translation: "'引用'" }
+    ]);
+});
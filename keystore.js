@@ -0,0 +1,252 @@
+/**
+ * MiniMax Translator - API Key Store
+ * Keeps API keys encrypted in IndexedDB with AES-GCM. The key that encrypts
+ * them is either a random, non-extractable device key or one derived from
+ * the user's passphrase, which only lives in memory while unlocked.
+ * Loaded by both the app and the service worker.
+ */
+
+import { dbGet, dbPut, dbDelete, dbClear } from './db.js';
+
+export const KEYSTORE_STORE = 'keys';
+
+// Settings holding API keys; each is stored as a record with the same id
+export const KEYSTORE_SECRETS = ['apiKey', 'openaiApiKey'];
+
+// Records that aren't secrets: the device key and the passphrase's salt and check value
+const KEYSTORE_DEVICE_ID = 'device';
+const KEYSTORE_PASSPHRASE_ID = 'passphrase';
+
+// PBKDF2-SHA-256 rounds for new passphrases; unlocking takes about a second on a mid-range phone
+const KEYSTORE_PBKDF2_ITERATIONS = 310000;
+
+// Encrypted with a new passphrase so a wrong one is caught even with no keys stored
+const KEYSTORE_CHECK_TEXT = 'minimax-translator';
+
+// Passphrase-derived key while unlocked
+let keystoreUnlockedKey = null;
+
+/**
+ * Thrown when a key is needed but the store is locked with a passphrase
+ */
+export class KeyLockedError extends Error {
+    constructor(message = 'API keys are locked') {
+        super(message);
+        this.name = 'KeyLockedError';
+    }
+}
+
+/**
+ * Thrown when a passphrase doesn't unlock the store
+ */
+export class WrongPassphraseError extends Error {
+    constructor(message = 'Wrong passphrase') {
+        super(message);
+        this.name = 'WrongPassphraseError';
+    }
+}
+
+/**
+ * Check whether keys are locked with a passphrase (whether or not it is unlocked now)
+ */
+export async function hasPassphrase() {
+    return Boolean(await dbGet(KEYSTORE_STORE, KEYSTORE_PASSPHRASE_ID));
+}
+
+/**
+ * The passphrase-derived key while unlocked, or null
+ */
+export function getUnlockedKey() {
+    return keystoreUnlockedKey;
+}
+
+/**
+ * Use a key unlocked elsewhere; the service worker gets it from the app
+ */
+export function setUnlockedKey(key) {
+    keystoreUnlockedKey = key || null;
+}
+
+/**
+ * Forget the passphrase-derived key
+ */
+export function lockKeystore() {
+    keystoreUnlockedKey = null;
+}
+
+/**
+ * Check a passphrase and keep its key in memory.
+ * Resolves to the key; rejects with WrongPassphraseError.
+ */
+export async function unlockKeystore(passphrase) {
+    const record = await dbGet(KEYSTORE_STORE, KEYSTORE_PASSPHRASE_ID);
+    if (!record) throw new Error('No passphrase is set');
+
+    const key = await deriveKeystoreKey(passphrase, record.salt, record.iterations);
+    try {
+        await decryptText(key, record.check);
+    } catch (error) {
+        throw new WrongPassphraseError();
+    }
+
+    keystoreUnlockedKey = key;
+    return key;
+}
+
+/**
+ * Lock keys with a new passphrase, re-encrypting secrets ({ apiKey, openaiApiKey })
+ * with it. Leaves the store unlocked.
+ */
+export async function setPassphrase(passphrase, secrets) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKeystoreKey(passphrase, salt, KEYSTORE_PBKDF2_ITERATIONS);
+
+    await writeSecrets(key, secrets);
+    await dbPut(KEYSTORE_STORE, {
+        id: KEYSTORE_PASSPHRASE_ID,
+        salt,
+        iterations: KEYSTORE_PBKDF2_ITERATIONS,
+        check: await encryptText(key, KEYSTORE_CHECK_TEXT)
+    });
+    keystoreUnlockedKey = key;
+}
+
+/**
+ * Go back to the device key, re-encrypting secrets with it
+ */
+export async function removePassphrase(secrets) {
+    await writeSecrets(await getDeviceKey(), secrets);
+    await dbDelete(KEYSTORE_STORE, KEYSTORE_PASSPHRASE_ID);
+    keystoreUnlockedKey = null;
+}
+
+/**
+ * Delete every stored key and the passphrase, for when the passphrase is forgotten
+ */
+export async function resetKeystore() {
+    keystoreUnlockedKey = null;
+    await dbClear(KEYSTORE_STORE);
+}
+
+/**
+ * Encrypt and store secrets ({ apiKey, openaiApiKey }); empty ones are deleted.
+ * Rejects with KeyLockedError while locked.
+ */
+export async function saveSecrets(secrets) {
+    await writeSecrets(await getSecretKey(), secrets);
+}
+
+/**
+ * Read and decrypt every stored secret.
+ * Resolves to { apiKey, openaiApiKey } with '' for missing ones; rejects
+ * with KeyLockedError while locked.
+ */
+export async function loadSecrets() {
+    const key = await getSecretKey();
+    const secrets = {};
+
+    for (const name of KEYSTORE_SECRETS) {
+        const record = await dbGet(KEYSTORE_STORE, name);
+        secrets[name] = record ? await decryptText(key, record) : '';
+    }
+    return secrets;
+}
+
+/**
+ * Copy provider settings for storing, with API keys replaced by the names
+ * of the secrets to read back when sending (keyRefs)
+ */
+export function toKeyRefs(settings) {
+    const stored = { ...settings, keyRefs: [...(settings.keyRefs || [])] };
+
+    for (const name of KEYSTORE_SECRETS) {
+        if (stored[name] && !stored.keyRefs.includes(name)) stored.keyRefs.push(name);
+        delete stored[name];
+    }
+    return stored;
+}
+
+/**
+ * Fill in the API keys named by settings.keyRefs from the store.
+ * Rejects with KeyLockedError while locked.
+ */
+export async function resolveKeyRefs(settings) {
+    if (!settings.keyRefs || settings.keyRefs.length === 0) return settings;
+
+    const key = await getSecretKey();
+    const resolved = { ...settings };
+    delete resolved.keyRefs;
+
+    for (const name of settings.keyRefs) {
+        const record = await dbGet(KEYSTORE_STORE, name);
+        resolved[name] = record ? await decryptText(key, record) : '';
+    }
+    return resolved;
+}
+
+/**
+ * The key secrets are encrypted with now: the unlocked passphrase key, or
+ * the device key when there is no passphrase
+ */
+async function getSecretKey() {
+    if (!(await hasPassphrase())) return getDeviceKey();
+    if (!keystoreUnlockedKey) throw new KeyLockedError();
+    return keystoreUnlockedKey;
+}
+
+/**
+ * Get the device key, creating it on first use. It can't be exported, so
+ * the stored keys can only be decrypted by this browser profile.
+ */
+async function getDeviceKey() {
+    const record = await dbGet(KEYSTORE_STORE, KEYSTORE_DEVICE_ID);
+    if (record) return record.key;
+
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    await dbPut(KEYSTORE_STORE, { id: KEYSTORE_DEVICE_ID, key });
+    return key;
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase with PBKDF2
+ */
+async function deriveKeystoreKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Encrypt and store each secret with a key, deleting empty ones
+ */
+async function writeSecrets(key, secrets) {
+    for (const name of KEYSTORE_SECRETS) {
+        if (secrets[name]) {
+            await dbPut(KEYSTORE_STORE, { id: name, ...(await encryptText(key, secrets[name])) });
+        } else {
+            await dbDelete(KEYSTORE_STORE, name);
+        }
+    }
+}
+
+/**
+ * Encrypt text with AES-GCM under a fresh IV. Resolves to { iv, data }.
+ */
+async function encryptText(key, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+    return { iv, data };
+}
+
+/**
+ * Decrypt what encryptText() produced. Rejects if the key is wrong or the data was altered.
+ */
+async function decryptText(key, { iv, data }) {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+    return new TextDecoder().decode(plain);
+}
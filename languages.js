@@ -0,0 +1,97 @@
+/**
+ * MiniMax Translator - Language Registry
+ * Maps each supported language to its speech, API and TTS codes, and picks
+ * the source and target language for a translation
+ */
+
+import { CONFIG } from './config.js';
+
+/**
+ * Supported languages keyed by app language code.
+ * speech: BCP-47 tag for SpeechRecognition.lang
+ * api:    code sent to translation providers
+ * tts:    BCP-47 tag for SpeechSynthesisUtterance.lang
+ * name:   display name (in the language itself)
+ * spaced: whether words and sentences are separated by spaces
+ */
+export const LANGUAGES = {
+    zh: { name: '中文', speech: 'zh-CN', api: 'zh', tts: 'zh-CN', spaced: false },
+    en: { name: 'English', speech: 'en-US', api: 'en', tts: 'en-US', spaced: true },
+    ja: { name: '日本語', speech: 'ja-JP', api: 'ja', tts: 'ja-JP', spaced: false },
+    ko: { name: '한국어', speech: 'ko-KR', api: 'ko', tts: 'ko-KR', spaced: true },
+    es: { name: 'Español', speech: 'es-ES', api: 'es', tts: 'es-ES', spaced: true },
+    yue: { name: '粵語', speech: 'yue-Hant-HK', api: 'yue', tts: 'zh-HK', spaced: false }
+};
+
+/**
+ * Look up a language, falling back to English for unknown codes
+ */
+export function getLanguage(code) {
+    return LANGUAGES[code] || LANGUAGES.en;
+}
+
+/**
+ * Check whether a code is in the registry
+ */
+export function isSupportedLanguage(code) {
+    return Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+}
+
+/**
+ * Find the registry code for a language tag from a file ('en-GB', 'zh-HK'):
+ * the code itself or an API code, a speech or TTS tag, or failing that the
+ * tag's primary subtag. Returns '' for languages the app doesn't support.
+ */
+export function findLanguageCode(tag) {
+    const lower = String(tag || '').trim().toLowerCase();
+    const codes = Object.keys(LANGUAGES);
+
+    return codes.find(code => code === lower || LANGUAGES[code].api === lower) ||
+        codes.find(code => LANGUAGES[code].speech.toLowerCase() === lower || LANGUAGES[code].tts.toLowerCase() === lower) ||
+        codes.find(code => code === lower.split(/[-_]/)[0]) ||
+        '';
+}
+
+/**
+ * Convert a saved legacy pair ('zh-en' / 'en-zh') to { source, target }
+ */
+export function parseLegacyLanguagePair(pair) {
+    const [source, target] = String(pair || '').split('-');
+    if (isSupportedLanguage(source) && isSupportedLanguage(target) && source !== target) {
+        return { source, target };
+    }
+    return null;
+}
+
+/**
+ * Source language in effect: the selected one, or in Auto mode the detected
+ * one (the default source language until something has been detected)
+ */
+export function pickSourceLang(selected, detected) {
+    if (selected !== CONFIG.AUTO_DETECT) return selected;
+    return detected || CONFIG.DEFAULT_SOURCE_LANG;
+}
+
+/**
+ * Target language in effect for a source language. When the source is the
+ * selected target language (Auto detected it), translate the other way instead.
+ */
+export function pickTargetLang(sourceLang, selected) {
+    return sourceLang === selected ? getFallbackTargetLang(sourceLang) : selected;
+}
+
+/**
+ * Pick a different language from the default pair
+ */
+export function getFallbackTargetLang(lang) {
+    return lang === CONFIG.DEFAULT_TARGET_LANG ? CONFIG.DEFAULT_SOURCE_LANG : CONFIG.DEFAULT_TARGET_LANG;
+}
+
+/**
+ * The language to keep after a detection ({ lang, confidence } or null):
+ * a weak detection only counts when nothing was detected before
+ */
+export function pickDetectedLang(detection, current) {
+    if (!detection) return current;
+    return detection.confidence >= CONFIG.DETECT_MIN_CONFIDENCE || !current ? detection.lang : current;
+}
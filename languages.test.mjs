@@ -0,0 +1,56 @@
+/**
+ * Language registry and language pair tests.
+ * Run: node --test server/ *.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getLanguage, isSupportedLanguage, findLanguageCode, parseLegacyLanguagePair,
+    pickSourceLang, pickTargetLang, getFallbackTargetLang, pickDetectedLang
+} from './languages.js';
+
+test('looks up languages, falling back to English', () => {
+    assert.equal(getLanguage('ja').speech, 'ja-JP');
+    assert.equal(getLanguage('yue').tts, 'zh-HK');
+    assert.equal(getLanguage('xx').name, 'English');
+    assert.ok(isSupportedLanguage('ko'));
+    assert.ok(!isSupportedLanguage('toString'));
+});
+
+test('maps language tags from files to app codes', () => {
+    assert.equal(findLanguageCode('en-GB'), 'en');
+    assert.equal(findLanguageCode('zh-HK'), 'yue');
+    assert.equal(findLanguageCode('ZH_cn'), 'zh');
+    assert.equal(findLanguageCode(' es '), 'es');
+    assert.equal(findLanguageCode('fr-FR'), '');
+    assert.equal(findLanguageCode(undefined), '');
+});
+
+test('reads legacy language pairs', () => {
+    assert.deepEqual(parseLegacyLanguagePair('en-zh'), { source: 'en', target: 'zh' });
+    assert.equal(parseLegacyLanguagePair('en-en'), null);
+    assert.equal(parseLegacyLanguagePair('en-fr'), null);
+    assert.equal(parseLegacyLanguagePair(null), null);
+});
+
+test('picks the source language, using detection in Auto mode', () => {
+    assert.equal(pickSourceLang('ja', 'ko'), 'ja');
+    assert.equal(pickSourceLang('auto', 'ko'), 'ko');
+    assert.equal(pickSourceLang('auto', null), 'zh');
+});
+
+test('translates the other way when the source is the target', () => {
+    assert.equal(pickTargetLang('zh', 'ja'), 'ja');
+    assert.equal(pickTargetLang('ja', 'ja'), 'en');
+    assert.equal(pickTargetLang('en', 'en'), 'zh');
+    assert.equal(getFallbackTargetLang('en'), 'zh');
+    assert.equal(getFallbackTargetLang('ko'), 'en');
+});
+
+test('keeps a weak detection only when nothing was detected before', () => {
+    assert.equal(pickDetectedLang({ lang: 'ja', confidence: 0.9 }, 'zh'), 'ja');
+    assert.equal(pickDetectedLang({ lang: 'ja', confidence: 0.1 }, 'zh'), 'zh');
+    assert.equal(pickDetectedLang({ lang: 'ja', confidence: 0.1 }, null), 'ja');
+    assert.equal(pickDetectedLang(null, 'zh'), 'zh');
+});
@@ -0,0 +1,324 @@
+/**
+ * MiniMax Translator - MiniMax API Client
+ * Calls the translate endpoint with a timeout, retries transient failures
+ * with exponential backoff, and turns failures into typed errors.
+ * Loaded by both the app and the service worker.
+ */
+
+import { isAbortError } from './providers.js';
+
+const MINIMAX_CLIENT_DEFAULTS = {
+    // Per attempt, in ms
+    timeout: 15000,
+    // Extra attempts after the first for rate limits, 5xx, timeouts and network errors
+    retries: 3,
+    // Backoff starts here and doubles per attempt, up to maxDelay (ms)
+    baseDelay: 500,
+    maxDelay: 8000,
+    // A Retry-After longer than this (ms) isn't waited for; the error is returned instead
+    maxRetryAfter: 30000
+};
+
+// base_resp.status_code values, grouped by error type
+export const MINIMAX_STATUS_CODES = {
+    auth: [1004, 2049],
+    quota: [1008],
+    rateLimit: [1002, 1039, 1041],
+    invalidInput: [1026, 1027, 1042, 2013],
+    // Transient failures on MiniMax's side
+    retryable: [1000, 1001, 1013]
+};
+
+/**
+ * Base class for MiniMax API failures.
+ * details: { status, code, retryable, retryAfter }
+ */
+export class MiniMaxError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'MiniMaxError';
+        this.type = 'service';
+        this.status = details.status || 0;
+        this.code = details.code || 0;
+        this.retryable = Boolean(details.retryable);
+        // Milliseconds the server asked us to wait, if it said
+        this.retryAfter = details.retryAfter || 0;
+    }
+
+    /**
+     * Message to show in the UI
+     */
+    get userMessage() {
+        return 'MiniMax is unavailable right now. Try again later.';
+    }
+}
+
+/**
+ * The API key is missing, wrong or revoked
+ */
+export class MiniMaxAuthError extends MiniMaxError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'MiniMaxAuthError';
+        this.type = 'auth';
+    }
+
+    get userMessage() {
+        return 'MiniMax rejected the API key. Check it in settings.';
+    }
+}
+
+/**
+ * The account has run out of balance or quota
+ */
+export class MiniMaxQuotaError extends MiniMaxError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'MiniMaxQuotaError';
+        this.type = 'quota';
+    }
+
+    get userMessage() {
+        return 'Your MiniMax account is out of quota. Top it up or try again later.';
+    }
+}
+
+/**
+ * Too many requests, still limited after retrying
+ */
+export class MiniMaxRateLimitError extends MiniMaxError {
+    constructor(message, details) {
+        super(message, { retryable: true, ...details });
+        this.name = 'MiniMaxRateLimitError';
+        this.type = 'rate_limit';
+    }
+
+    get userMessage() {
+        const seconds = Math.ceil(this.retryAfter / 1000);
+        return seconds
+            ? `MiniMax is rate limiting requests. Try again in ${seconds} s.`
+            : 'MiniMax is rate limiting requests. Try again in a moment.';
+    }
+}
+
+/**
+ * The request itself was rejected: bad parameters, text too long or not allowed
+ */
+export class MiniMaxInvalidInputError extends MiniMaxError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'MiniMaxInvalidInputError';
+        this.type = 'invalid_input';
+    }
+
+    get userMessage() {
+        return `MiniMax couldn't translate this text: ${this.message}`;
+    }
+}
+
+/**
+ * No response within the timeout
+ */
+export class MiniMaxTimeoutError extends MiniMaxError {
+    constructor(timeout) {
+        super(`No response from MiniMax after ${timeout} ms`, { retryable: true });
+        this.name = 'MiniMaxTimeoutError';
+        this.type = 'timeout';
+    }
+
+    get userMessage() {
+        return 'MiniMax took too long to respond. Check your connection and try again.';
+    }
+}
+
+/**
+ * Translate text with the MiniMax API.
+ * settings: { apiBaseUrl, apiKey }; signal cancels the request and any retry wait.
+ * options override MINIMAX_CLIENT_DEFAULTS.
+ * Resolves to the translated string; rejects with a MiniMaxError subclass,
+ * or an AbortError when cancelled.
+ */
+export async function miniMaxTranslate(text, sourceLang, targetLang, settings, signal, options = {}) {
+    const config = { ...MINIMAX_CLIENT_DEFAULTS, ...options };
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await requestMiniMaxTranslation(text, sourceLang, targetLang, settings, signal, config.timeout);
+        } catch (error) {
+            if (isAbortError(error) || !error.retryable || attempt >= config.retries) throw error;
+
+            if (error.retryAfter > config.maxRetryAfter) throw error;
+            const delay = error.retryAfter || getBackoffDelay(attempt, config);
+
+            console.warn(`MiniMax request failed (${error.message}), retrying in ${delay} ms`);
+            await waitForRetry(delay, signal);
+        }
+    }
+}
+
+/**
+ * Make a single request, enforcing the timeout
+ */
+async function requestMiniMaxTranslation(text, sourceLang, targetLang, settings, signal, timeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const forwardAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', forwardAbort);
+
+    let response;
+    let body;
+    try {
+        if (signal && signal.aborted) {
+            throw new DOMException('Translation cancelled', 'AbortError');
+        }
+
+        response = await fetch(settings.apiBaseUrl, {
+            method: 'POST',
+            signal: controller.signal,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${settings.apiKey}`
+            },
+            body: JSON.stringify({
+                source_lang: sourceLang.toUpperCase(),
+                target_lang: targetLang.toUpperCase(),
+                text: text
+            })
+        });
+        // The timeout and cancelling also cover a body that stalls after the headers
+        body = await response.text();
+    } catch (error) {
+        if (signal && signal.aborted) throw error;
+        if (isAbortError(error)) throw new MiniMaxTimeoutError(timeout);
+        throw new MiniMaxError(`Network error: ${error.message}`, { retryable: true });
+    } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', forwardAbort);
+    }
+
+    let data = null;
+    try {
+        data = body ? JSON.parse(body) : null;
+    } catch (error) {
+        // Handled below: a non-JSON error page, or a malformed success body
+    }
+
+    if (!response.ok) {
+        console.error('API error response:', body);
+        throw createHttpError(response, data);
+    }
+
+    if (!data) {
+        throw new MiniMaxError('Malformed response from MiniMax');
+    }
+    return parseMiniMaxResponse(data);
+}
+
+/**
+ * Extract the translation from a MiniMax response body
+ */
+export function parseMiniMaxResponse(data) {
+    let translation = '';
+
+    if (data.base_resp && data.base_resp.status_code === 0) {
+        // Successful response
+        translation = data.text || '';
+    } else if (data.base_resp) {
+        // Error from MiniMax
+        throw createStatusCodeError(data.base_resp.status_code, data.base_resp.status_msg);
+    } else if (data.text) {
+        // Alternative response format
+        translation = data.text;
+    } else {
+        console.error('Unexpected API response structure:', data);
+        throw new MiniMaxError('Unexpected API response format');
+    }
+
+    if (!translation) {
+        throw new MiniMaxError('Empty translation received');
+    }
+
+    return translation;
+}
+
+/**
+ * Map a base_resp.status_code to a typed error
+ */
+export function createStatusCodeError(code, statusMessage, details = {}) {
+    const message = statusMessage || `API error: ${code}`;
+    details = { ...details, code };
+
+    if (MINIMAX_STATUS_CODES.auth.includes(code)) return new MiniMaxAuthError(message, details);
+    if (MINIMAX_STATUS_CODES.quota.includes(code)) return new MiniMaxQuotaError(message, details);
+    if (MINIMAX_STATUS_CODES.rateLimit.includes(code)) return new MiniMaxRateLimitError(message, details);
+    if (MINIMAX_STATUS_CODES.invalidInput.includes(code)) return new MiniMaxInvalidInputError(message, details);
+
+    return new MiniMaxError(message, { ...details, retryable: MINIMAX_STATUS_CODES.retryable.includes(code) });
+}
+
+/**
+ * Map a non-2xx response to a typed error, preferring the body's status code
+ */
+export function createHttpError(response, data) {
+    const status = response.status;
+    const details = { status, retryAfter: parseRetryAfter(response.headers.get('Retry-After')) };
+
+    if (data && data.base_resp && data.base_resp.status_code) {
+        const error = createStatusCodeError(data.base_resp.status_code, data.base_resp.status_msg, details);
+        // A 5xx is worth retrying whatever the body says, unless the code says otherwise
+        if (status >= 500 && error.constructor === MiniMaxError) error.retryable = true;
+        return error;
+    }
+
+    const message = `API error: ${status}`;
+    if (status === 401 || status === 403) return new MiniMaxAuthError(message, details);
+    if (status === 402) return new MiniMaxQuotaError(message, details);
+    if (status === 429) return new MiniMaxRateLimitError(message, details);
+    if (status === 400 || status === 413 || status === 422) {
+        return new MiniMaxInvalidInputError(status === 413 ? 'Text too long' : message, details);
+    }
+    return new MiniMaxError(message, { ...details, retryable: status === 408 || status >= 500 });
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value) {
+    if (!value) return 0;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with jitter: a random delay between half and all
+ * of baseDelay * 2^attempt, capped at maxDelay
+ */
+function getBackoffDelay(attempt, config) {
+    const ceiling = Math.min(config.maxDelay, config.baseDelay * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Wait before a retry, giving up early if the request is cancelled
+ */
+function waitForRetry(delay, signal) {
+    return new Promise((resolve, reject) => {
+        const cancel = () => {
+            clearTimeout(timer);
+            reject(new DOMException('Translation cancelled', 'AbortError'));
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', cancel);
+            resolve();
+        }, delay);
+
+        if (signal) {
+            if (signal.aborted) cancel();
+            else signal.addEventListener('abort', cancel, { once: true });
+        }
+    });
+}
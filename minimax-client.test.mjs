@@ -0,0 +1,76 @@
+/**
+ * MiniMax response parsing and error mapping tests. The client's requests,
+ * retries and timeouts are tested against the mock server in server/.
+ * Run: node --test server/ *.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseMiniMaxResponse, createStatusCodeError, createHttpError, parseRetryAfter,
+    MiniMaxError, MiniMaxAuthError, MiniMaxQuotaError, MiniMaxRateLimitError, MiniMaxInvalidInputError
+} from './minimax-client.js';
+
+/**
+ * Expect parsing to throw an error of the given class and message
+ */
+function assertParseError(data, type, message) {
+    assert.throws(() => parseMiniMaxResponse(data), (error) => {
+        assert.ok(error instanceof type, `${error.name} is not a ${type.name}`);
+        if (message) assert.equal(error.message, message);
+        return true;
+    });
+}
+
+test('reads the translation from a successful response', () => {
+    assert.equal(parseMiniMaxResponse({ text: 'Hello', base_resp: { status_code: 0, status_msg: 'success' } }), 'Hello');
+    // Some deployments answer without base_resp
+    assert.equal(parseMiniMaxResponse({ text: 'Hello' }), 'Hello');
+});
+
+test('rejects empty and unrecognised responses', (t) => {
+    t.mock.method(console, 'error', () => {});
+
+    assertParseError({ text: '', base_resp: { status_code: 0 } }, MiniMaxError, 'Empty translation received');
+    assertParseError({ result: 'Hello' }, MiniMaxError, 'Unexpected API response format');
+});
+
+test('turns base_resp error codes into typed errors', () => {
+    assertParseError({ base_resp: { status_code: 1004, status_msg: 'invalid key' } }, MiniMaxAuthError, 'invalid key');
+    assertParseError({ base_resp: { status_code: 1008 } }, MiniMaxQuotaError, 'API error: 1008');
+    assertParseError({ base_resp: { status_code: 1039 } }, MiniMaxRateLimitError);
+    assertParseError({ base_resp: { status_code: 2013 } }, MiniMaxInvalidInputError);
+});
+
+test('marks only transient status codes as retryable', () => {
+    assert.equal(createStatusCodeError(1000).retryable, true);
+    assert.equal(createStatusCodeError(1013).retryable, true);
+    assert.equal(createStatusCodeError(9999).retryable, false);
+    assert.equal(createStatusCodeError(1004).type, 'auth');
+    assert.equal(createStatusCodeError(1004).code, 1004);
+});
+
+test('maps HTTP failures, preferring the body\'s status code', () => {
+    const limited = createHttpError(new Response(null, { status: 429, headers: { 'Retry-After': '3' } }), null);
+    assert.ok(limited instanceof MiniMaxRateLimitError);
+    assert.equal(limited.retryAfter, 3000);
+
+    assert.ok(createHttpError(new Response(null, { status: 401 }), null) instanceof MiniMaxAuthError);
+    assert.equal(createHttpError(new Response(null, { status: 413 }), null).message, 'Text too long');
+    assert.equal(createHttpError(new Response(null, { status: 503 }), null).retryable, true);
+    assert.equal(createHttpError(new Response(null, { status: 404 }), null).retryable, false);
+
+    const fromBody = createHttpError(new Response(null, { status: 500 }), { base_resp: { status_code: 1008 } });
+    assert.ok(fromBody instanceof MiniMaxQuotaError);
+    assert.equal(createHttpError(new Response(null, { status: 502 }), { base_resp: { status_code: 9999 } }).retryable, true);
+});
+
+test('reads Retry-After as seconds or a date', () => {
+    assert.equal(parseRetryAfter(null), 0);
+    assert.equal(parseRetryAfter('2'), 2000);
+    assert.equal(parseRetryAfter('-1'), 0);
+    assert.equal(parseRetryAfter('soon'), 0);
+
+    const wait = parseRetryAfter(new Date(Date.now() + 10000).toUTCString());
+    assert.ok(wait > 8000 && wait <= 10000, `waited ${wait}`);
+});
@@ -0,0 +1,122 @@
+/**
+ * MiniMax Translator - Offline Outbox
+ * Translations requested while offline, replayed when the connection returns.
+ * Loaded by both the app and the service worker.
+ */
+
+import { dbGetAll, dbPut, dbDelete } from './db.js';
+import { KEYSTORE_SECRETS, KeyLockedError, toKeyRefs, resolveKeyRefs } from './keystore.js';
+import { translateWithProviders } from './providers.js';
+
+const OUTBOX_STORE = 'outbox';
+export const OUTBOX_SYNC_TAG = 'sync-translations';
+
+/**
+ * Queue a translation for later.
+ * request: { text, originalText, glossary, glossaryFingerprint, sourceLang, targetLang, pair, chain, settings }
+ * text is what gets sent, with glossary terms swapped for placeholders;
+ * originalText is what the user entered, glossary the placeholder replacements
+ * and glossaryFingerprint the fingerprint the result is cached under.
+ * sourceLang/targetLang are provider codes, pair holds the registry codes.
+ * API keys in settings are stored as references to the key store (see toKeyRefs).
+ * Resolves to the outbox id; an identical pending request is reused.
+ */
+export async function queueTranslation(request) {
+    const pending = await getPendingTranslations();
+    const duplicate = pending.find(item =>
+        item.text === request.text &&
+        item.sourceLang === request.sourceLang &&
+        item.targetLang === request.targetLang
+    );
+    if (duplicate) return duplicate.id;
+
+    return dbPut(OUTBOX_STORE, {
+        ...request,
+        settings: toKeyRefs(request.settings),
+        status: 'pending',
+        createdAt: Date.now()
+    });
+}
+
+/**
+ * Get queued translations that still need a network request, oldest first
+ */
+async function getPendingTranslations() {
+    const items = await dbGetAll(OUTBOX_STORE);
+    return items
+        .filter(item => item.status === 'pending')
+        .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Get translations completed by a sync that the app has not picked up yet
+ */
+export async function getSyncedTranslations() {
+    const items = await dbGetAll(OUTBOX_STORE);
+    return items
+        .filter(item => item.status === 'done')
+        .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Remove an item from the outbox
+ */
+export async function removePendingTranslation(id) {
+    return dbDelete(OUTBOX_STORE, id);
+}
+
+/**
+ * Replace API keys saved in pending items by older versions with key store references
+ */
+export async function migrateOutboxKeys() {
+    for (const item of await getPendingTranslations()) {
+        if (KEYSTORE_SECRETS.some(name => item.settings[name])) {
+            await dbPut(OUTBOX_STORE, { ...item, settings: toKeyRefs(item.settings) });
+        }
+    }
+}
+
+/**
+ * Translate every pending item with the provider chain it was queued with.
+ * Completed items stay in the outbox (status 'done') until the app collects them.
+ * notify(message) is called with a TRANSLATION_SYNCED message per item, and
+ * once with KEYS_NEEDED if items had to wait because the key store is locked.
+ * Resolves to the number of items that failed and are still pending.
+ */
+export async function processOutbox(notify) {
+    const pending = await getPendingTranslations();
+    let failed = 0;
+    let locked = false;
+
+    for (const item of pending) {
+        try {
+            const settings = await resolveKeyRefs(item.settings);
+            const result = await translateWithProviders(
+                item.text, item.sourceLang, item.targetLang, item.chain, settings
+            );
+
+            await dbPut(OUTBOX_STORE, {
+                ...item,
+                status: 'done',
+                translation: result.translation,
+                provider: result.provider,
+                completedAt: Date.now()
+            });
+
+            await notify({
+                type: 'TRANSLATION_SYNCED',
+                id: item.id,
+                originalText: item.originalText || item.text,
+                translation: result.translation,
+                provider: result.provider
+            });
+        } catch (error) {
+            console.error('[Outbox] Translation failed:', error);
+            if (error instanceof KeyLockedError) locked = true;
+            failed++;
+        }
+    }
+
+    if (locked) await notify({ type: 'KEYS_NEEDED' });
+    return failed;
+}
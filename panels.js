@@ -0,0 +1,398 @@
+/**
+ * MiniMax Translator - History and Document Panels
+ */
+
+import { createElement, renderContent } from './render.js';
+import { getLanguage } from './languages.js';
+import { detectLanguage } from './detect.js';
+import { getHistoryEntries, getHistoryEntry, toggleHistoryStar, deleteHistoryEntry } from './history.js';
+import { runPool } from './segmenter.js';
+import {
+    UnsupportedDocumentError, InvalidDocumentError, getDocumentLanguages, buildDocument,
+    getTranslatedFileName, createDocumentJob, getDocumentJobs, getDocumentJob, saveDocumentJob,
+    deleteDocumentJob, getDocumentProgress, getDocumentMimeType
+} from './documents.js';
+import { CONFIG } from './config.js';
+import { state, elements } from './state.js';
+import { describeTranslationError, requestTranslation } from './translation.js';
+import {
+    setLanguagePair, getActiveSourceLang, getActiveTargetLang, downloadFile, createActionButton,
+    formatTimestamp, setProviderLabel, showTranslation
+} from './ui.js';
+
+/**
+ * Render the history panel for the current search
+ */
+export async function renderHistoryList() {
+    try {
+        const entries = await getHistoryEntries(elements.historySearch.value, {
+            starredOnly: elements.historyStarredOnly.checked
+        });
+        
+        renderContent(elements.historyList);
+        
+        if (entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'history-empty';
+            empty.textContent = elements.historySearch.value.trim() ? 'No matching translations' : 'No translations yet';
+            elements.historyList.appendChild(empty);
+            return;
+        }
+        
+        for (const entry of entries) {
+            elements.historyList.appendChild(createHistoryItem(entry));
+        }
+    } catch (error) {
+        console.error('Error loading history:', error);
+    }
+}
+
+/**
+ * Build the list item for one history entry
+ */
+function createHistoryItem(entry) {
+    const item = document.createElement('li');
+    item.className = 'history-item';
+    item.dataset.id = entry.id;
+    
+    const meta = document.createElement('div');
+    meta.className = 'history-meta';
+    meta.textContent = [
+        `${getLanguage(entry.sourceLang).name} → ${getLanguage(entry.targetLang).name}`,
+        entry.provider,
+        formatTimestamp(entry.timestamp)
+    ].filter(Boolean).join(' · ');
+    
+    const source = document.createElement('div');
+    source.className = 'history-source';
+    source.textContent = entry.sourceText;
+    
+    const target = document.createElement('div');
+    target.className = 'history-target';
+    target.textContent = entry.targetText;
+    
+    const actions = createElement('div', { className: 'history-actions' }, [
+        createElement('button', {
+            type: 'button',
+            className: entry.starred ? 'history-star starred' : 'history-star',
+            'data-action': 'star',
+            'aria-label': entry.starred ? 'Unstar' : 'Star'
+        }, entry.starred ? '★' : '☆'),
+        createActionButton('open', 'Open'),
+        createActionButton('delete', 'Delete')
+    ]);
+    
+    item.append(meta, source, target, actions);
+    return item;
+}
+
+/**
+ * Handle star / open / delete clicks in the history list
+ */
+export async function handleHistoryAction(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    
+    const id = Number(button.closest('.history-item').dataset.id);
+    
+    try {
+        if (button.dataset.action === 'star') {
+            await toggleHistoryStar(id);
+            renderHistoryList();
+        } else if (button.dataset.action === 'delete') {
+            await deleteHistoryEntry(id);
+            renderHistoryList();
+        } else if (button.dataset.action === 'open') {
+            await openHistoryEntry(id);
+        }
+    } catch (error) {
+        console.error('History action failed:', error);
+    }
+}
+
+/**
+ * Load a history entry back into the panels
+ */
+async function openHistoryEntry(id) {
+    const entry = await getHistoryEntry(id);
+    if (!entry) return;
+    
+    // Clear first so switching the language pair doesn't re-translate old text
+    elements.sourceText.textContent = '';
+    setLanguagePair(entry.sourceLang, entry.targetLang);
+    
+    elements.sourceText.textContent = entry.sourceText;
+    showTranslation(entry.sourceText, entry.targetText, { source: entry.sourceLang, target: entry.targetLang });
+    setProviderLabel(entry.provider);
+    elements.historyModal.classList.remove('show');
+}
+
+/**
+ * Read a dropped or chosen file and start translating it with the current language pair
+ */
+export async function startDocumentTranslation(file) {
+    try {
+        const text = await file.text();
+        const job = await createDocumentJob(file.name, text, resolveDocumentPair(text, getDocumentLanguages(file.name, text)));
+        
+        elements.documentStatus.textContent = `${file.name}: ${job.segments.length} segments to translate`;
+        renderDocumentList();
+        runDocumentJob(job.id);
+    } catch (error) {
+        console.error('Error opening document:', error);
+        elements.documentStatus.textContent = error instanceof UnsupportedDocumentError || error instanceof InvalidDocumentError
+            ? error.message
+            : `Could not open ${file.name}`;
+    }
+}
+
+/**
+ * Language pair for a document. Languages the file declares (XLIFF) come
+ * first; otherwise the selected pair is used, and in Auto mode the source is
+ * detected from the start of the file without changing the panel's
+ * detected language.
+ */
+function resolveDocumentPair(text, declared = {}) {
+    let source = declared.source || getActiveSourceLang();
+    
+    if (!declared.source && state.sourceLang === CONFIG.AUTO_DETECT) {
+        const detection = detectLanguage(text.slice(0, 2000));
+        if (detection) source = detection.lang;
+    }
+    
+    const target = declared.target && declared.target !== source ? declared.target : getActiveTargetLang(source);
+    return { source, target };
+}
+
+/**
+ * Start translating a job unless it's already running. A run that was paused
+ * may still be finishing its current segments; the job restarts once it has,
+ * so two runs never work on the same segments.
+ */
+async function runDocumentJob(id) {
+    while (state.documentRuns.has(id)) {
+        if (state.runningDocuments.has(id)) return;
+        await state.documentRuns.get(id);
+    }
+    if (state.runningDocuments.has(id)) return;
+    
+    state.runningDocuments.add(id);
+    const run = translateDocumentJob(id).finally(() => {
+        state.runningDocuments.delete(id);
+        state.documentRuns.delete(id);
+    });
+    state.documentRuns.set(id, run);
+    return run;
+}
+
+/**
+ * Translate a job's remaining segments a few at a time, saving after each
+ * one so the job can be resumed after a pause, reload or lost connection
+ */
+async function translateDocumentJob(id) {
+    const job = await getDocumentJob(id);
+    if (!job || job.status === 'done') return;
+    
+    // Don't bring back a job that was deleted while a segment was in flight
+    const saveProgress = async () => {
+        if (await getDocumentJob(id)) await saveDocumentJob(job);
+    };
+    
+    job.status = 'running';
+    job.error = '';
+    await saveDocumentJob(job);
+    renderDocumentList();
+    
+    try {
+        const remaining = job.segments
+            .map((segment, index) => index)
+            .filter(index => job.translations[index] == null);
+        
+        await runPool(remaining, async (index) => {
+            // Paused from the list, or waiting for the connection
+            if (!state.runningDocuments.has(id)) {
+                if (job.status === 'running') job.status = 'paused';
+                return;
+            }
+            if (job.status !== 'running') return;
+            
+            const result = state.isOnline
+                ? await requestTranslation(job.segments[index].text, job.pair, { saveHistory: false })
+                : { queued: true };
+            
+            if (result.queued) {
+                job.status = 'waiting';
+                job.error = 'Waiting for a connection';
+                return;
+            }
+            
+            job.translations[index] = result.translation;
+            await saveProgress();
+            updateDocumentProgress(job);
+        }, {
+            concurrency: CONFIG.SEGMENT_CONCURRENCY,
+            retries: CONFIG.SEGMENT_RETRIES,
+            shouldRetry: error => !error.unconfigured
+        });
+        
+        if (job.status === 'running') {
+            job.status = 'done';
+        }
+    } catch (error) {
+        console.error('Error translating document:', error);
+        job.status = 'error';
+        job.error = error.unconfigured ? error.message : describeTranslationError(error);
+    } finally {
+        state.runningDocuments.delete(id);
+        await saveProgress();
+        renderDocumentList();
+    }
+}
+
+/**
+ * Mark jobs cut off by a reload as paused so they can be resumed
+ */
+export async function pauseInterruptedDocuments() {
+    try {
+        for (const job of await getDocumentJobs()) {
+            if (job.status === 'running') {
+                job.status = 'paused';
+                await saveDocumentJob(job);
+            }
+        }
+    } catch (error) {
+        console.error('Error loading documents:', error);
+    }
+}
+
+/**
+ * Carry on with jobs that stopped because the connection dropped
+ */
+export async function resumeWaitingDocuments() {
+    try {
+        for (const job of await getDocumentJobs()) {
+            if (job.status === 'waiting') {
+                runDocumentJob(job.id);
+            }
+        }
+    } catch (error) {
+        console.error('Error resuming documents:', error);
+    }
+}
+
+/**
+ * Render the document jobs in the documents modal
+ */
+export async function renderDocumentList() {
+    try {
+        const jobs = await getDocumentJobs();
+        renderContent(elements.documentList);
+        
+        if (jobs.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'history-empty';
+            empty.textContent = 'No documents yet';
+            elements.documentList.appendChild(empty);
+            return;
+        }
+        
+        for (const job of jobs) {
+            elements.documentList.appendChild(createDocumentItem(job));
+        }
+    } catch (error) {
+        console.error('Error loading documents:', error);
+    }
+}
+
+/**
+ * Build the list item for a document job
+ */
+function createDocumentItem(job) {
+    const item = document.createElement('li');
+    item.className = 'document-item';
+    item.dataset.id = job.id;
+    
+    const name = document.createElement('div');
+    name.className = 'document-name';
+    name.textContent = job.name;
+    
+    const meta = document.createElement('div');
+    meta.className = 'history-meta';
+    
+    const progress = document.createElement('progress');
+    progress.className = 'document-progress';
+    
+    const running = state.runningDocuments.has(job.id);
+    const actions = createElement('div', { className: 'history-actions' }, [
+        running ? createActionButton('pause', 'Pause') : null,
+        !running && job.status !== 'done' ? createActionButton('resume', 'Resume') : null,
+        job.status === 'done' ? createActionButton('download', 'Download') : null,
+        createActionButton('delete', 'Delete')
+    ]);
+    
+    item.append(name, meta, progress, actions);
+    updateDocumentProgress(job, item);
+    return item;
+}
+
+/**
+ * Refresh the progress bar and status line of a job in the list
+ */
+function updateDocumentProgress(job, item = elements.documentList.querySelector(`.document-item[data-id="${job.id}"]`)) {
+    if (!item) return;
+    
+    const { done, total } = getDocumentProgress(job);
+    const progress = item.querySelector('.document-progress');
+    progress.max = total || 1;
+    progress.value = total ? done : 1;
+    
+    const status = {
+        pending: 'Queued',
+        running: 'Translating',
+        paused: 'Paused',
+        waiting: 'Waiting for a connection',
+        done: 'Done',
+        error: `Failed: ${job.error}`
+    }[job.status];
+    
+    item.querySelector('.history-meta').textContent = [
+        `${getLanguage(job.pair.source).name} → ${getLanguage(job.pair.target).name}`,
+        `${done}/${total} segments`,
+        status
+    ].join(' · ');
+}
+
+/**
+ * Handle pause / resume / download / delete clicks in the document list
+ */
+export async function handleDocumentAction(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    
+    const id = Number(button.closest('.document-item').dataset.id);
+    
+    try {
+        if (button.dataset.action === 'pause') {
+            // The running job stops after its current segment
+            state.runningDocuments.delete(id);
+            button.disabled = true;
+        } else if (button.dataset.action === 'resume') {
+            runDocumentJob(id);
+        } else if (button.dataset.action === 'download') {
+            downloadDocument(await getDocumentJob(id));
+        } else if (button.dataset.action === 'delete') {
+            state.runningDocuments.delete(id);
+            await deleteDocumentJob(id);
+            renderDocumentList();
+        }
+    } catch (error) {
+        console.error('Error updating document:', error);
+    }
+}
+
+/**
+ * Offer the translated document as a file download
+ */
+function downloadDocument(job) {
+    downloadFile(getTranslatedFileName(job.name, job.pair.target), buildDocument(job, job.translations), getDocumentMimeType(job.format));
+}
@@ -0,0 +1,261 @@
+/**
+ * MiniMax Translator - Translation Providers
+ * Pluggable translation backends and the fallback chain that runs them
+ */
+
+import { miniMaxTranslate } from './minimax-client.js';
+
+/**
+ * Thrown when a provider is missing the settings it needs (e.g. an API key)
+ */
+class ProviderNotConfiguredError extends Error {
+    constructor(provider) {
+        super(`${provider.name} is not configured`);
+        this.name = 'ProviderNotConfiguredError';
+        this.providerId = provider.id;
+    }
+}
+
+// Hosts a plain http:// endpoint may point at; index.html's Content-Security-Policy
+// blocks plain http to any other host
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1'];
+
+/**
+ * Thrown when every provider in the chain failed or was skipped
+ */
+export class ProviderChainError extends Error {
+    constructor(errors) {
+        super('All translation providers failed');
+        this.name = 'ProviderChainError';
+        this.errors = errors;
+        // True when nothing was actually attempted, so the user needs to configure a provider
+        this.unconfigured = errors.every(error => error instanceof ProviderNotConfiguredError);
+    }
+}
+
+// Registers that alternative translations can be asked for, with the
+// instruction given to chat-based providers
+export const TRANSLATION_STYLES = {
+    formal: { name: 'Formal', prompt: 'Use a formal, polite register.' },
+    casual: { name: 'Casual', prompt: 'Use a casual, conversational register.' }
+};
+
+/**
+ * Registered translation providers.
+ * Each provider exposes: id, name, isConfigured(settings) and
+ * translate(text, sourceLang, targetLang, settings, signal) resolving to the
+ * translated string; signal is an optional AbortSignal that cancels the request.
+ * settings.style, when set, is a TRANSLATION_STYLES key asking for that
+ * register. Providers that follow it set supportsStyles; the others
+ * translate as usual, so asking them again gives the same text.
+ */
+export const TRANSLATION_PROVIDERS = {
+    minimax: {
+        id: 'minimax',
+        name: 'MiniMax',
+        isConfigured: (settings) => !!settings.apiKey,
+        async translate(text, sourceLang, targetLang, settings, signal) {
+            // Timeouts, retries and typed errors are handled in minimax-client.js
+            return miniMaxTranslate(text, sourceLang, targetLang, settings, signal);
+        }
+    },
+
+    google: {
+        id: 'google',
+        name: 'Google',
+        // The public gtx endpoint needs no key; it may be blocked in some regions
+        isConfigured: () => true,
+        async translate(text, sourceLang, targetLang, settings, signal) {
+            const encodedText = encodeURIComponent(text);
+            const url = `https://translate.googleapis.com/translate_a/single?client=gtx&sl=${sourceLang}&tl=${targetLang}&dt=t&q=${encodedText}`;
+
+            const response = await fetch(url, { signal });
+
+            if (!response.ok) {
+                throw new Error(`Google Translate failed: ${response.status}`);
+            }
+
+            return parseGoogleResponse(await response.json());
+        }
+    },
+
+    openai: {
+        id: 'openai',
+        name: 'OpenAI-compatible',
+        isConfigured: (settings) => !!(settings.openaiEndpoint && settings.openaiModel),
+        supportsStyles: true,
+        async translate(text, sourceLang, targetLang, settings, signal) {
+            const headers = { 'Content-Type': 'application/json' };
+            const style = TRANSLATION_STYLES[settings.style];
+            if (settings.openaiApiKey) {
+                headers['Authorization'] = `Bearer ${settings.openaiApiKey}`;
+            }
+
+            const response = await fetch(settings.openaiEndpoint, {
+                method: 'POST',
+                headers,
+                signal,
+                body: JSON.stringify({
+                    model: settings.openaiModel,
+                    // Some variety, so repeated requests for alternatives differ
+                    temperature: style ? 0.8 : 0,
+                    messages: [
+                        {
+                            role: 'system',
+                            content: `You are a translation engine. Translate the user's text from ${sourceLang} to ${targetLang}. ` +
+                                (style ? `${style.prompt} ` : '') + 'Reply with the translation only.'
+                        },
+                        { role: 'user', content: text }
+                    ]
+                })
+            });
+
+            if (!response.ok) {
+                throw new Error(`Chat endpoint error: ${response.status}`);
+            }
+
+            return parseChatCompletionResponse(await response.json());
+        }
+    },
+
+    mock: {
+        id: 'mock',
+        name: 'Mock',
+        // Local stand-in for testing the UI without network access or keys
+        isConfigured: () => true,
+        supportsStyles: true,
+        async translate(text, sourceLang, targetLang, settings = {}) {
+            const style = settings.style ? `, ${settings.style}` : '';
+            return `[${targetLang.toUpperCase()}${style}] ${text}`;
+        }
+    }
+};
+
+// Default fallback chain: MiniMax first, Google gtx as backup
+export const DEFAULT_PROVIDER_CHAIN = [
+    { id: 'minimax', enabled: true },
+    { id: 'google', enabled: true },
+    { id: 'openai', enabled: false },
+    { id: 'mock', enabled: false }
+];
+
+/**
+ * Extract the translation from a Google gtx response body
+ */
+export function parseGoogleResponse(data) {
+    if (data && data[0] && Array.isArray(data[0])) {
+        const translation = data[0]
+            .filter(item => item && item[0])
+            .map(item => item[0])
+            .join('');
+
+        if (translation) {
+            return translation;
+        }
+    }
+
+    throw new Error('No translation found in response');
+}
+
+/**
+ * Extract the translation from an OpenAI-style chat completion body
+ */
+export function parseChatCompletionResponse(data) {
+    const content = data && data.choices && data.choices[0] && data.choices[0].message
+        ? data.choices[0].message.content
+        : '';
+
+    if (!content || !content.trim()) {
+        throw new Error('Empty translation received');
+    }
+
+    return content.trim();
+}
+
+/**
+ * Normalize a saved provider chain: drop unknown ids and append any
+ * providers added since the chain was saved (disabled)
+ */
+export function normalizeProviderChain(chain) {
+    const known = (Array.isArray(chain) ? chain : [])
+        .filter(entry => entry && TRANSLATION_PROVIDERS[entry.id]);
+
+    const missing = DEFAULT_PROVIDER_CHAIN
+        .filter(entry => !known.some(k => k.id === entry.id))
+        .map(entry => ({ id: entry.id, enabled: known.length === 0 ? entry.enabled : false }));
+
+    return [...known.map(entry => ({ id: entry.id, enabled: !!entry.enabled })), ...missing];
+}
+
+/**
+ * Check whether the first provider the chain would try can follow
+ * settings.style, and so can suggest alternatives
+ */
+export function canTranslateInStyle(chain, settings) {
+    const provider = chain
+        .map(entry => entry.enabled && TRANSLATION_PROVIDERS[entry.id])
+        .find(candidate => candidate && candidate.isConfigured(settings));
+    return Boolean(provider && provider.supportsStyles);
+}
+
+/**
+ * Check an endpoint the user set for a provider: an https URL, an http URL
+ * on this machine, or empty for the default. Returns a problem, or ''.
+ */
+export function checkEndpoint(value) {
+    if (value === '') return '';
+
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        return 'Enter a full URL, starting with https://';
+    }
+    if (url.protocol === 'https:') return '';
+    if (url.protocol === 'http:' && LOOPBACK_HOSTS.includes(url.hostname)) return '';
+    return url.protocol === 'http:'
+        ? 'Plain http:// only works for localhost and 127.0.0.1; use https:// for other hosts'
+        : 'Enter a full URL, starting with https://';
+}
+
+/**
+ * Check whether an error comes from a cancelled request
+ */
+export function isAbortError(error) {
+    return Boolean(error) && error.name === 'AbortError';
+}
+
+/**
+ * Run the enabled providers in order until one succeeds.
+ * Resolves to { translation, provider } where provider is the provider's display name.
+ * Aborting signal stops the chain: the AbortError is rethrown instead of
+ * falling back to the next provider.
+ */
+export async function translateWithProviders(text, sourceLang, targetLang, chain, settings, signal) {
+    const errors = [];
+
+    for (const entry of chain) {
+        const provider = TRANSLATION_PROVIDERS[entry.id];
+        if (!provider || !entry.enabled) continue;
+
+        if (signal && signal.aborted) {
+            throw new DOMException('Translation cancelled', 'AbortError');
+        }
+
+        if (!provider.isConfigured(settings)) {
+            errors.push(new ProviderNotConfiguredError(provider));
+            continue;
+        }
+
+        try {
+            const translation = await provider.translate(text, sourceLang, targetLang, settings, signal);
+            return { translation, provider: provider.name, providerId: provider.id };
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            console.error(`${provider.name} translation error:`, error);
+            errors.push(error);
+        }
+    }
+
+    throw new ProviderChainError(errors);
+}
@@ -0,0 +1,67 @@
+/**
+ * Provider response parsing and fallback chain tests.
+ * Run: node --test server/ *.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseGoogleResponse, parseChatCompletionResponse, normalizeProviderChain, translateWithProviders,
+    canTranslateInStyle, checkEndpoint, DEFAULT_PROVIDER_CHAIN
+} from './providers.js';
+
+test('joins the sentences of a Google response', () => {
+    assert.equal(parseGoogleResponse([[['Hello. ', '你好。'], ['World', '世界'], null]]), 'Hello. World');
+    assert.throws(() => parseGoogleResponse([[]]), /No translation found/);
+    assert.throws(() => parseGoogleResponse(null), /No translation found/);
+});
+
+test('reads the message of a chat completion', () => {
+    assert.equal(parseChatCompletionResponse({ choices: [{ message: { content: ' Hello\n' } }] }), 'Hello');
+    assert.throws(() => parseChatCompletionResponse({ choices: [{ message: { content: '  ' } }] }), /Empty translation/);
+    assert.throws(() => parseChatCompletionResponse({}), /Empty translation/);
+});
+
+test('keeps a saved chain\'s order and adds new providers disabled', () => {
+    assert.deepEqual(normalizeProviderChain(null), DEFAULT_PROVIDER_CHAIN);
+    assert.deepEqual(normalizeProviderChain([{ id: 'google', enabled: 1 }, { id: 'gone', enabled: true }]), [
+        { id: 'google', enabled: true },
+        { id: 'minimax', enabled: false },
+        { id: 'openai', enabled: false },
+        { id: 'mock', enabled: false }
+    ]);
+});
+
+test('skips providers that are off or not configured', async () => {
+    const chain = [{ id: 'google', enabled: false }, { id: 'minimax', enabled: true }, { id: 'mock', enabled: true }];
+
+    const result = await translateWithProviders('你好', 'zh', 'en', chain, { apiKey: '' });
+    assert.deepEqual(result, { translation: '[EN] 你好', provider: 'Mock', providerId: 'mock' });
+});
+
+test('reports a chain where nothing could run as unconfigured', async () => {
+    await assert.rejects(
+        translateWithProviders('你好', 'zh', 'en', [{ id: 'minimax', enabled: true }], { apiKey: '' }),
+        (error) => error.name === 'ProviderChainError' && error.unconfigured === true
+    );
+});
+
+test('only offers alternatives when the first usable provider follows a style', () => {
+    const openai = { openaiEndpoint: 'http://127.0.0.1/v1/chat/completions', openaiModel: 'm' };
+    const chain = [{ id: 'minimax', enabled: true }, { id: 'google', enabled: true }, { id: 'openai', enabled: true }];
+
+    assert.equal(canTranslateInStyle(chain, { apiKey: 'k', ...openai }), false);
+    assert.equal(canTranslateInStyle([chain[2], chain[0]], { apiKey: 'k', ...openai }), true);
+    assert.equal(canTranslateInStyle([chain[2], chain[0]], { apiKey: 'k' }), false);
+    assert.equal(canTranslateInStyle([{ id: 'mock', enabled: true }], {}), true);
+    assert.equal(canTranslateInStyle([], {}), false);
+});
+
+test('only takes endpoints the page is allowed to call', () => {
+    for (const endpoint of ['', 'https://proxy.example/v1', 'http://localhost:8787/v1', 'http://127.0.0.1/v1']) {
+        assert.equal(checkEndpoint(endpoint), '', endpoint);
+    }
+    assert.match(checkEndpoint('http://192.168.1.20:8787/v1'), /only works for localhost/);
+    assert.match(checkEndpoint('proxy.example'), /full URL/);
+    assert.match(checkEndpoint('file:///etc/passwd'), /full URL/);
+});
@@ -0,0 +1,199 @@
+/**
+ * MiniMax Translator - Safe Rendering
+ * Builds UI content from text nodes and known elements only, so text that is
+ * typed, pasted, spoken, translated or imported is always shown as text and
+ * never parsed as HTML
+ */
+
+// URL schemes links may use; anything else (javascript:, data:) is shown as plain text
+const SAFE_LINK_PROTOCOLS = ['http:', 'https:'];
+
+// Attributes createElement won't set: event handlers, and URLs and styles, which have their own checks
+const UNSAFE_ATTRIBUTE_PATTERN = /^(on|href$|src$|srcdoc$|style$|formaction$)/i;
+
+/**
+ * Create an element. props sets className and attributes (as text; false
+ * or null leaves one out, true sets it empty). children are strings, added
+ * as text, or nodes.
+ */
+export function createElement(tag, props = {}, children = []) {
+    const element = document.createElement(tag);
+
+    for (const [name, value] of Object.entries(props)) {
+        if (value == null || value === false) continue;
+        if (UNSAFE_ATTRIBUTE_PATTERN.test(name)) {
+            throw new Error(`createElement can't set ${name}`);
+        }
+
+        if (name === 'className') {
+            element.className = value;
+        } else {
+            element.setAttribute(name, value === true ? '' : String(value));
+        }
+    }
+
+    element.append(...[].concat(children).filter(child => child != null));
+    return element;
+}
+
+/**
+ * Replace an element's content with text and nodes
+ */
+export function renderContent(element, ...children) {
+    element.replaceChildren(...children.filter(child => child != null));
+}
+
+/**
+ * Create a link that opens in a new tab. Only http(s) URLs become links;
+ * anything else is rendered as its text alone.
+ */
+function createLink(href, text) {
+    let url = null;
+    try {
+        url = new URL(href, location.href);
+    } catch (error) {
+        // Not a URL at all
+    }
+
+    if (!url || !SAFE_LINK_PROTOCOLS.includes(url.protocol)) {
+        return document.createTextNode(text);
+    }
+
+    const link = createElement('a', { className: 'ui-link', target: '_blank', rel: 'noopener noreferrer' }, text);
+    link.href = url.href;
+    return link;
+}
+
+/**
+ * Show a status message as an element's only content.
+ * message: { text, tone: 'info' | 'error', detail, link: { href, text }, action: { text, onClick }, attributes }
+ * where detail is a quieter second line, action a button under the message
+ * and attributes go on the message.
+ */
+export function renderMessage(element, { text, tone = 'info', detail, link, action, attributes = {} }) {
+    let button = null;
+    if (action) {
+        button = createElement('button', { type: 'button', className: 'btn-secondary ui-action' }, action.text);
+        button.addEventListener('click', action.onClick);
+    }
+
+    renderContent(
+        element,
+        createElement('span', { ...attributes, className: `ui-message ui-message-${tone}` }, text),
+        detail ? createElement('span', { className: 'ui-message-detail' }, detail) : null,
+        link ? createLink(link.href, link.text) : null,
+        button
+    );
+}
+
+/**
+ * Build text with some ranges highlighted.
+ * ranges: [{ start, end, tag, className, title }] in order and not overlapping.
+ * Returns a DocumentFragment.
+ */
+export function createHighlightedText(text, ranges) {
+    const fragment = document.createDocumentFragment();
+    let position = 0;
+
+    for (const range of ranges) {
+        fragment.append(
+            text.slice(position, range.start),
+            createElement(range.tag || 'mark', { className: range.className, title: range.title }, text.slice(range.start, range.end))
+        );
+        position = range.end;
+    }
+
+    fragment.append(text.slice(position));
+    return fragment;
+}
+
+/**
+ * Keep an editable element plain text: pasted and dropped content goes in
+ * as text, without its markup. Cancelling the browser's own insertion also
+ * cancels its input event, so onInput is called instead.
+ */
+export function acceptPlainTextOnly(element, onInput) {
+    element.addEventListener('paste', (e) => {
+        e.preventDefault();
+        insertPlainText(element, getTransferText(e.clipboardData));
+        if (onInput) onInput();
+    });
+
+    element.addEventListener('drop', (e) => {
+        // Dropped files are left to the document translator
+        if (!e.dataTransfer || e.dataTransfer.files.length > 0) return;
+
+        e.preventDefault();
+        insertPlainText(element, getTransferText(e.dataTransfer), getRangeAtPoint(e.clientX, e.clientY));
+        if (onInput) onInput();
+    });
+}
+
+/**
+ * The plain text of pasted or dropped data. HTML-only data is reduced to
+ * its text in an inert document, where scripts and event handlers never run.
+ */
+function getTransferText(data) {
+    if (!data) return '';
+
+    const text = data.getData('text/plain');
+    if (text) return text.replace(/\r\n?/g, '\n');
+
+    const html = data.getData('text/html');
+    if (!html) return '';
+
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    return (doc.body.innerText || doc.body.textContent || '').replace(/\r\n?/g, '\n');
+}
+
+/**
+ * Insert text at a range (by default the caret) inside an element, or at
+ * its end if the range is elsewhere, and put the caret after it
+ */
+function insertPlainText(element, text, range = getSelectionRange()) {
+    if (!text) return;
+
+    const node = document.createTextNode(text);
+    if (range && element.contains(range.commonAncestorContainer)) {
+        range.deleteContents();
+        range.insertNode(node);
+    } else {
+        element.append(node);
+    }
+
+    const selection = window.getSelection();
+    if (selection) {
+        const caret = document.createRange();
+        caret.setStartAfter(node);
+        caret.collapse(true);
+        selection.removeAllRanges();
+        selection.addRange(caret);
+    }
+    element.normalize();
+}
+
+/**
+ * The current selection's range, if there is one
+ */
+function getSelectionRange() {
+    const selection = window.getSelection();
+    return selection && selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+}
+
+/**
+ * A collapsed range at a point on screen, where the browser supports finding one
+ */
+function getRangeAtPoint(x, y) {
+    if (document.caretRangeFromPoint) return document.caretRangeFromPoint(x, y);
+
+    if (document.caretPositionFromPoint) {
+        const position = document.caretPositionFromPoint(x, y);
+        if (!position) return null;
+
+        const range = document.createRange();
+        range.setStart(position.offsetNode, position.offset);
+        range.collapse(true);
+        return range;
+    }
+    return null;
+}
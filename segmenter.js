@@ -0,0 +1,182 @@
+/**
+ * MiniMax Translator - Text Segmentation
+ * Splits long text into sentence-aligned chunks and runs them through a
+ * bounded pool of concurrent requests
+ */
+
+// Closing quotes and brackets that belong to the sentence before them
+const SENTENCE_CLOSERS = '”’」』）)"\'\\]';
+
+// A sentence end and the whitespace after it. CJK full stops end a sentence
+// anywhere; Latin ones only before whitespace, so 3.14 and example.com stay whole.
+// A line break always ends a sentence.
+const SENTENCE_BOUNDARY_PATTERN = new RegExp(
+    `([。！？｡]+[${SENTENCE_CLOSERS}]*|[.!?…]+[${SENTENCE_CLOSERS}]*(?=\\s|$)|(?=\\n))(\\s*)`,
+    'g'
+);
+
+// Words whose trailing period doesn't end a sentence
+const ABBREVIATION_PATTERN = /(?:^|[\s(])(?:Mr|Mrs|Ms|Dr|Prof|Sr|Sra|Jr|St|vs|etc|e\.g|i\.e|No)$/;
+
+// A single capital letter before a period, which may be an initial
+const INITIAL_PATTERN = /(?:^|[\s(])([A-Z])$/;
+
+// What follows an initial: another initial (J. R. R.) or a name (J. Smith).
+// "I" is only an initial before another one, so "so did I. Then" still ends there.
+const AFTER_INITIAL_PATTERN = /^[A-Z]\.|^[A-Z][a-z]/;
+const AFTER_I_PATTERN = /^[A-Z]\./;
+
+/**
+ * Split text into sentences.
+ * Returns [{ text, separator }]; joining text + separator gives back the input.
+ */
+export function splitSentences(text) {
+    const sentences = [];
+    let start = 0;
+
+    for (const match of text.matchAll(SENTENCE_BOUNDARY_PATTERN)) {
+        const end = match.index + match[1].length;
+        const separator = match[2];
+        if (!separator && end === match.index) continue;
+
+        // "Dr. Smith", "J. Smith" - a single period after an abbreviation or initial
+        if (match[1] === '.' && isAbbreviation(text.slice(start, match.index), text.slice(end + separator.length))) continue;
+
+        if (end === start && sentences.length > 0) {
+            // Blank lines: keep the extra whitespace with the sentence before
+            sentences[sentences.length - 1].separator += separator;
+        } else {
+            sentences.push({ text: text.slice(start, end), separator });
+        }
+        start = end + separator.length;
+    }
+
+    if (start < text.length) {
+        sentences.push({ text: text.slice(start), separator: '' });
+    }
+    return sentences;
+}
+
+/**
+ * Check whether a period ends an abbreviation or initial rather than a
+ * sentence, given the text before and after it
+ */
+function isAbbreviation(before, after) {
+    if (ABBREVIATION_PATTERN.test(before)) return true;
+
+    const initial = before.match(INITIAL_PATTERN);
+    if (!initial) return false;
+    return (initial[1] === 'I' ? AFTER_I_PATTERN : AFTER_INITIAL_PATTERN).test(after);
+}
+
+/**
+ * Group sentences into chunks of at most maxChars, splitting any sentence
+ * that is longer than that at spaces (or anywhere, failing that).
+ * Returns [{ text, separator, hardSplit }] like splitSentences; hardSplit is
+ * true when a chunk was cut off from the next one mid-word.
+ */
+export function segmentText(text, maxChars) {
+    const chunks = [];
+    let current = null;
+
+    for (const sentence of splitSentences(text)) {
+        for (const piece of splitAtSpaces(sentence, maxChars)) {
+            if (current && current.text.length + current.separator.length + piece.text.length <= maxChars) {
+                current.text += current.separator + piece.text;
+                current.separator = piece.separator;
+                current.hardSplit = piece.hardSplit;
+            } else {
+                current = { ...piece };
+                chunks.push(current);
+            }
+        }
+    }
+
+    return chunks;
+}
+
+/**
+ * Split a sentence longer than maxChars at the last space that fits
+ */
+function splitAtSpaces(sentence, maxChars) {
+    const pieces = [];
+    let rest = sentence.text;
+
+    while (rest.length > maxChars) {
+        const space = rest.lastIndexOf(' ', maxChars);
+        const cut = space > 0 ? space : maxChars;
+        const separator = rest.slice(cut).match(/^\s*/)[0];
+
+        pieces.push({ text: rest.slice(0, cut), separator, hardSplit: space <= 0 });
+        rest = rest.slice(cut + separator.length);
+    }
+
+    pieces.push({ text: rest, separator: sentence.separator, hardSplit: false });
+    return pieces;
+}
+
+/**
+ * Join translated chunks in order. Between chunks the original whitespace is
+ * kept, except that a space is added or dropped to suit the target language.
+ * Chunks that were cut mid-word or mid-number are joined without a space.
+ */
+export function joinTranslatedSegments(segments, translations, targetSpaced) {
+    return segments.map((segment, index) => {
+        let separator = segment.separator;
+
+        if (index < segments.length - 1) {
+            if (segment.hardSplit) {
+                separator = '';
+            } else if (!separator && targetSpaced) {
+                separator = ' ';
+            } else if (!targetSpaced && /^[ \t]+$/.test(separator)) {
+                separator = '';
+            }
+        }
+        return translations[index] + separator;
+    }).join('');
+}
+
+/**
+ * Run worker(item, index) for every item with at most `concurrency` running
+ * at once. A failing item is retried up to `retries` times with a growing
+ * delay, unless shouldRetry(error) returns false. Resolves to the results in
+ * item order; rejects with the first error that runs out of retries, after
+ * which no new items are started.
+ */
+export async function runPool(items, worker, { concurrency = 3, retries = 2, retryDelay = 500, shouldRetry = () => true } = {}) {
+    const results = new Array(items.length);
+    let next = 0;
+    let failed = false;
+
+    const runItem = async (index) => {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await worker(items[index], index);
+            } catch (error) {
+                if (failed || attempt >= retries || !shouldRetry(error)) throw error;
+                await new Promise(resolve => setTimeout(resolve, retryDelay * (attempt + 1)));
+            }
+        }
+    };
+
+    const runNext = async () => {
+        while (!failed && next < items.length) {
+            const index = next++;
+            try {
+                results[index] = await runItem(index);
+            } catch (error) {
+                failed = true;
+                throw error;
+            }
+        }
+    };
+
+    const runners = [];
+    for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+        runners.push(runNext());
+    }
+    await Promise.all(runners);
+
+    return results;
+}
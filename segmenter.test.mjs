@@ -0,0 +1,41 @@
+/**
+ * Text segmentation tests.
+ * Run: node --test server/ *.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitSentences, segmentText, joinTranslatedSegments } from './segmenter.js';
+
+test('marks chunks cut mid-word as hard splits', () => {
+    const segments = segmentText('abcdefghij klmnop', 5);
+
+    assert.deepEqual(segments.map(segment => [segment.text, segment.separator, segment.hardSplit]), [
+        ['abcde', '', true],
+        ['fghij', ' ', false],
+        ['klmno', '', true],
+        ['p', '', false]
+    ]);
+});
+
+test('joins hard splits without a space in spaced languages', () => {
+    const segments = segmentText('1234567890', 4);
+    const translations = segments.map(segment => segment.text);
+
+    assert.equal(joinTranslatedSegments(segments, translations, true), '1234567890');
+});
+
+test('still adds a space between sentences for spaced languages', () => {
+    const segments = segmentText('第一句。第二句。', 4);
+
+    assert.equal(joinTranslatedSegments(segments, ['One.', 'Two.'], true), 'One. Two.');
+    assert.equal(joinTranslatedSegments(segments, ['一。', '二。'], false), '一。二。');
+});
+
+test('ends a sentence after "I." but not after initials', () => {
+    const sentences = text => splitSentences(text).map(sentence => sentence.text);
+
+    assert.deepEqual(sentences('They went, and so did I. Then we left.'), ['They went, and so did I.', 'Then we left.']);
+    assert.deepEqual(sentences('Written by J. R. R. Tolkien. Read by J. Smith.'), ['Written by J. R. R. Tolkien.', 'Read by J. Smith.']);
+    assert.deepEqual(sentences('Ask Dr. Lee. He knows.'), ['Ask Dr. Lee.', 'He knows.']);
+});
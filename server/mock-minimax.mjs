@@ -0,0 +1,190 @@
+/**
+ * MiniMax Translator - Mock MiniMax Server
+ * A local stand-in for the MiniMax translate endpoint, for tests and for
+ * trying the app without a key. Translations are predictable ("[EN] 你好"),
+ * and failures can be asked for either by queueing a scenario or by putting
+ * a marker in the text:
+ *
+ *   [[error:1004]]  200 with base_resp.status_code 1004 (any code)
+ *   [[http:500]]    that HTTP status with an error body
+ *   [[429]]         429 with Retry-After (seconds, default 1): [[429:3]]
+ *   [[malformed]]   200 with a body that isn't JSON
+ *   [[empty]]       200 with an empty translation
+ *   [[slow:2000]]   success after that many ms
+ *   [[slowbody:2000]]  success headers at once, the body after that many ms
+ *
+ * Run: node server/mock-minimax.mjs [port]   (default 8788)
+ */
+
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+
+export const MOCK_TRANSLATE_PATH = '/v1/text/translate';
+
+const SCENARIO_MARKER = /\[\[(error|http|429|malformed|empty|slowbody|slow)(?::(\d+))?\]\]/;
+
+/**
+ * Create a mock server (not yet listening).
+ * Returns { server, requests, enqueue(...scenarios), reset(), listen(port) }:
+ * requests lists what was received ({ headers, body }); enqueue queues
+ * scenarios ('success', 'malformed', 'empty', { error: code },
+ * { status: code }, { rateLimit: seconds }, { slow: ms }, { slowBody: ms }) answered in order
+ * before markers are looked at; listen resolves to the server's base URL.
+ */
+export function createMockMiniMax() {
+    const requests = [];
+    const queued = [];
+
+    const server = createServer((request, response) => {
+        response.setHeader('Access-Control-Allow-Origin', '*');
+        response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+        response.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204).end();
+            return;
+        }
+        if (request.method !== 'POST' || new URL(request.url, 'http://localhost').pathname !== MOCK_TRANSLATE_PATH) {
+            sendJson(response, 404, { error: 'Not found' });
+            return;
+        }
+
+        let text = '';
+        request.on('data', chunk => text += chunk);
+        request.on('end', () => {
+            let body = null;
+            try {
+                body = JSON.parse(text);
+            } catch (error) {
+                // Answered below as invalid input
+            }
+            requests.push({ headers: request.headers, body });
+
+            if (!body || typeof body.text !== 'string') {
+                sendStatus(response, 200, 2013, 'invalid params');
+                return;
+            }
+            if (!/^Bearer \S+/.test(request.headers.authorization || '')) {
+                sendStatus(response, 401, 1004, 'authorized failed');
+                return;
+            }
+
+            answer(response, body, queued.length > 0 ? queued.shift() : parseScenario(body.text));
+        });
+    });
+
+    return {
+        server,
+        requests,
+        enqueue: (...scenarios) => queued.push(...scenarios),
+        reset() {
+            requests.length = 0;
+            queued.length = 0;
+        },
+        listen(port = 0, host = '127.0.0.1') {
+            return new Promise((resolve) => {
+                server.listen(port, host, () => resolve(`http://${host}:${server.address().port}`));
+            });
+        }
+    };
+}
+
+/**
+ * Read the scenario a text asks for with a marker; 'success' without one
+ */
+export function parseScenario(text) {
+    const match = SCENARIO_MARKER.exec(text);
+    if (!match) return 'success';
+
+    const value = match[2] === undefined ? undefined : Number(match[2]);
+    switch (match[1]) {
+        case 'error': return { error: value || 1000 };
+        case 'http': return { status: value || 500 };
+        case '429': return { rateLimit: value === undefined ? 1 : value };
+        case 'slow': return { slow: value || 1000 };
+        case 'slowbody': return { slowBody: value || 1000 };
+        default: return match[1];
+    }
+}
+
+/**
+ * The mock's translation of a text: the target language code, then the
+ * text without any marker
+ */
+export function mockTranslation(text, targetLang) {
+    return `[${String(targetLang).toUpperCase()}] ${text.replace(SCENARIO_MARKER, '').trim()}`;
+}
+
+/**
+ * Answer a translate request as the scenario says
+ */
+function answer(response, body, scenario) {
+    if (scenario === 'malformed') {
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        response.end('{"text": "unterminated');
+        return;
+    }
+    if (scenario === 'empty') {
+        sendJson(response, 200, { text: '', base_resp: { status_code: 0, status_msg: 'success' } });
+        return;
+    }
+    if (scenario.error) {
+        sendStatus(response, 200, scenario.error, `mock error ${scenario.error}`);
+        return;
+    }
+    if (scenario.status) {
+        sendStatus(response, scenario.status, 1000, `mock HTTP ${scenario.status}`);
+        return;
+    }
+    if (scenario.rateLimit !== undefined) {
+        response.setHeader('Retry-After', String(scenario.rateLimit));
+        sendStatus(response, 429, 1002, 'rate limit exceeded');
+        return;
+    }
+
+    const data = {
+        text: mockTranslation(body.text, body.target_lang),
+        base_resp: { status_code: 0, status_msg: 'success' }
+    };
+    if (scenario.slow || scenario.slowBody) {
+        if (scenario.slowBody) {
+            // Headers now, so only reading the body waits
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            response.flushHeaders();
+        }
+        const timer = setTimeout(() => {
+            if (scenario.slowBody) {
+                response.end(JSON.stringify(data));
+            } else {
+                sendJson(response, 200, data);
+            }
+        }, scenario.slow || scenario.slowBody);
+        // Stop waiting if the client gave up
+        response.on('close', () => clearTimeout(timer));
+    } else {
+        sendJson(response, 200, data);
+    }
+}
+
+/**
+ * Reply with a MiniMax error body
+ */
+function sendStatus(response, status, code, message) {
+    sendJson(response, status, { base_resp: { status_code: code, status_msg: message } });
+}
+
+/**
+ * Reply with JSON
+ */
+function sendJson(response, status, data) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(data));
+}
+
+// Started directly rather than imported
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const mock = createMockMiniMax();
+    mock.listen(parseInt(process.argv[2], 10) || 8788).then((url) => {
+        console.error(`Mock MiniMax listening on ${url}${MOCK_TRANSLATE_PATH}`);
+    });
+}
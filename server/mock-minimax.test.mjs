@@ -0,0 +1,201 @@
+/**
+ * Tests of the app's MiniMax client and provider chain against the mock
+ * MiniMax server, and of the proxy in front of it.
+ * Run: node --test server/
+ */
+
+import { test, before, after, beforeEach, mock as mocks } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockMiniMax, parseScenario, mockTranslation, MOCK_TRANSLATE_PATH } from './mock-minimax.mjs';
+import { createProxyServer, TRANSLATE_PATH } from './proxy.mjs';
+import { miniMaxTranslate } from '../minimax-client.js';
+import { translateWithProviders } from '../providers.js';
+
+// Fast retries so failure cases don't wait on real backoff
+const FAST_RETRIES = { baseDelay: 5, maxDelay: 20 };
+
+const mock = createMockMiniMax();
+let mockUrl;
+let settings;
+
+/**
+ * Translate zh → en through the MiniMax client; options override MINIMAX_CLIENT_DEFAULTS
+ */
+function translate(text, options = {}) {
+    return miniMaxTranslate(text, 'zh', 'en', settings, null, options);
+}
+
+/**
+ * Expect a translation to fail with the named error type
+ */
+async function assertFails(promise, name, message) {
+    await assert.rejects(promise, (error) => {
+        assert.equal(error.name, name);
+        if (message) assert.equal(error.message, message);
+        return true;
+    });
+}
+
+before(async () => {
+    mockUrl = await mock.listen();
+    settings = { apiBaseUrl: mockUrl + MOCK_TRANSLATE_PATH, apiKey: 'test-key' };
+
+    // Requests to Google go to a stub answering "[G] <text>"
+    const networkFetch = globalThis.fetch;
+    mocks.method(globalThis, 'fetch', async (url, options) => {
+        if (String(url).startsWith('https://translate.googleapis.com/')) {
+            const text = new URL(url).searchParams.get('q');
+            return new Response(JSON.stringify([[[`[G] ${text}`, text]]]));
+        }
+        return networkFetch(url, options);
+    });
+    // The client logs failures it handles; keep the test output readable
+    for (const method of ['log', 'warn', 'error']) {
+        mocks.method(console, method, () => {});
+    }
+});
+
+after(() => {
+    mocks.restoreAll();
+    mock.server.close();
+});
+
+beforeEach(() => mock.reset());
+
+test('translates and sends the MiniMax request format', async () => {
+    assert.equal(await translate('你好'), '[EN] 你好');
+
+    const [request] = mock.requests;
+    assert.equal(request.headers.authorization, 'Bearer test-key');
+    assert.deepEqual(request.body, { source_lang: 'ZH', target_lang: 'EN', text: '你好' });
+});
+
+test('maps base_resp error codes to typed errors without retrying', async () => {
+    const cases = [[1004, 'MiniMaxAuthError'], [1008, 'MiniMaxQuotaError'], [2013, 'MiniMaxInvalidInputError']];
+
+    for (const [code, name] of cases) {
+        mock.reset();
+        mock.enqueue({ error: code });
+        await assertFails(translate('你好', FAST_RETRIES), name);
+        assert.equal(mock.requests.length, 1, `code ${code} was retried`);
+    }
+});
+
+test('retries a 429 and succeeds once the limit clears', async () => {
+    mock.enqueue({ rateLimit: 0 });
+
+    assert.equal(await translate('你好', FAST_RETRIES), '[EN] 你好');
+    assert.equal(mock.requests.length, 2);
+});
+
+test('gives up on a 429 after the retries run out', async () => {
+    mock.enqueue({ rateLimit: 0 }, { rateLimit: 0 }, { rateLimit: 0 });
+
+    await assertFails(translate('你好', { ...FAST_RETRIES, retries: 2 }), 'MiniMaxRateLimitError');
+    assert.equal(mock.requests.length, 3);
+});
+
+test('does not wait out a Retry-After longer than the limit', async () => {
+    mock.enqueue({ rateLimit: 60 });
+
+    await assert.rejects(translate('你好', FAST_RETRIES), (error) => {
+        assert.equal(error.name, 'MiniMaxRateLimitError');
+        assert.equal(error.retryAfter, 60000);
+        return true;
+    });
+    assert.equal(mock.requests.length, 1);
+});
+
+test('retries a 5xx', async () => {
+    mock.enqueue({ status: 503 });
+
+    assert.equal(await translate('你好', FAST_RETRIES), '[EN] 你好');
+    assert.equal(mock.requests.length, 2);
+});
+
+test('rejects malformed and empty responses', async () => {
+    mock.enqueue('malformed');
+    await assertFails(translate('你好', FAST_RETRIES), 'MiniMaxError', 'Malformed response from MiniMax');
+
+    mock.enqueue('empty');
+    await assertFails(translate('你好', FAST_RETRIES), 'MiniMaxError', 'Empty translation received');
+});
+
+test('times out a slow response', async () => {
+    mock.enqueue({ slow: 1000 });
+
+    await assertFails(translate('你好', { timeout: 50, retries: 0 }), 'MiniMaxTimeoutError');
+});
+
+test('times out a body that stalls after the headers', async () => {
+    mock.enqueue({ slowBody: 1000 });
+
+    await assertFails(translate('你好', { timeout: 50, retries: 0 }), 'MiniMaxTimeoutError');
+});
+
+test('cancels while waiting for the body', async () => {
+    mock.enqueue({ slowBody: 1000 });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+
+    await assert.rejects(
+        miniMaxTranslate('你好', 'zh', 'en', settings, controller.signal, { timeout: 5000, retries: 0 }),
+        (error) => error.name === 'AbortError'
+    );
+});
+
+test('falls back to Google when MiniMax fails', async () => {
+    mock.enqueue({ error: 1004 });
+    const chain = [{ id: 'minimax', enabled: true }, { id: 'google', enabled: true }];
+
+    const result = await translateWithProviders('你好', 'zh', 'en', chain, settings);
+    assert.equal(result.provider, 'Google');
+    assert.equal(result.translation, '[G] 你好');
+});
+
+test('reports a chain with no usable provider as unconfigured', async () => {
+    const chain = [{ id: 'minimax', enabled: true }, { id: 'google', enabled: false }];
+
+    await assert.rejects(
+        translateWithProviders('你好', 'zh', 'en', chain, { ...settings, apiKey: '' }),
+        (error) => error.name === 'ProviderChainError' && error.unconfigured
+    );
+    assert.equal(mock.requests.length, 0);
+});
+
+test('answers text markers over HTTP', async () => {
+    assert.deepEqual(parseScenario('hi [[error:1008]]'), { error: 1008 });
+    assert.deepEqual(parseScenario('[[429]]'), { rateLimit: 1 });
+    assert.equal(parseScenario('plain'), 'success');
+    assert.equal(mockTranslation('hi [[slow:10]]', 'ja'), '[JA] hi');
+    assert.deepEqual(parseScenario('[[slowbody:20]]'), { slowBody: 20 });
+
+    await assertFails(translate('你好 [[error:1008]]', FAST_RETRIES), 'MiniMaxQuotaError');
+    assert.equal(await translate('你好 [[slow:10]]'), '[EN] 你好');
+    assert.equal(await translate('你好 [[slowbody:10]]'), '[EN] 你好');
+});
+
+test('works through the proxy with a user token', async () => {
+    const proxy = createProxyServer({
+        apiKey: 'server-key',
+        upstreamUrl: mockUrl + MOCK_TRANSLATE_PATH,
+        tokens: { alice: 'alice-token' },
+        log: () => {}
+    });
+    const proxyUrl = await new Promise((resolve) => {
+        proxy.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${proxy.address().port}`));
+    });
+
+    try {
+        const viaProxy = { apiBaseUrl: proxyUrl + TRANSLATE_PATH, apiKey: 'alice-token' };
+        assert.equal(await miniMaxTranslate('你好', 'zh', 'ja', viaProxy, null), '[JA] 你好');
+        assert.equal(mock.requests[0].headers.authorization, 'Bearer server-key');
+
+        await assertFails(
+            miniMaxTranslate('你好', 'zh', 'ja', { ...viaProxy, apiKey: 'wrong' }, null, FAST_RETRIES),
+            'MiniMaxAuthError'
+        );
+    } finally {
+        proxy.close();
+    }
+});
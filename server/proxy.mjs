@@ -0,0 +1,359 @@
+/**
+ * MiniMax Translator - Proxy Server
+ * Holds the MiniMax API key on the server and forwards translate requests
+ * from the app, so browsers only ever see a per-user token. Speaks the same
+ * /v1/text/translate contract as MiniMax, adds rate limits per user and
+ * logs each request without its text.
+ *
+ * Run: MINIMAX_API_KEY=... PROXY_TOKENS=alice=token1,bob=token2 node server/proxy.mjs
+ */
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { appendFileSync, readFileSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+
+export const TRANSLATE_PATH = '/v1/text/translate';
+
+export const PROXY_DEFAULTS = {
+    host: '127.0.0.1',
+    port: 8787,
+    upstreamUrl: 'https://api.minimax.chat/v1/text/translate',
+    // Per attempt, in ms; the app's own timeout is 15 s
+    upstreamTimeout: 14000,
+    // Requests each user may make per window (ms)
+    rateLimit: 60,
+    rateWindow: 60 * 1000,
+    // Largest request body in bytes, and longest text in characters
+    maxBodyBytes: 64 * 1024,
+    maxChars: 5000,
+    // Origins allowed to call the proxy from a browser ('*' for any)
+    allowedOrigins: ['*']
+};
+
+// base_resp codes the app's client maps to typed errors (see MINIMAX_STATUS_CODES)
+const STATUS_CODES = {
+    unavailable: 1000,
+    rateLimit: 1002,
+    auth: 1004,
+    invalidInput: 2013
+};
+
+/**
+ * Read the proxy settings from environment variables:
+ * MINIMAX_API_KEY (required), MINIMAX_UPSTREAM_URL, PROXY_HOST, PROXY_PORT,
+ * PROXY_TOKENS ("user=token,..."), PROXY_TOKENS_FILE (JSON { "user": "token" }),
+ * PROXY_RATE_LIMIT, PROXY_RATE_WINDOW (seconds), PROXY_ALLOWED_ORIGINS
+ * (comma-separated) and PROXY_LOG_FILE (JSON lines; standard output if unset).
+ */
+export function loadProxyConfig(env = process.env) {
+    const tokens = env.PROXY_TOKENS_FILE
+        ? JSON.parse(readFileSync(env.PROXY_TOKENS_FILE, 'utf8'))
+        : parseTokenList(env.PROXY_TOKENS || '');
+
+    return {
+        apiKey: env.MINIMAX_API_KEY || '',
+        upstreamUrl: env.MINIMAX_UPSTREAM_URL || PROXY_DEFAULTS.upstreamUrl,
+        host: env.PROXY_HOST || PROXY_DEFAULTS.host,
+        port: parseInt(env.PROXY_PORT, 10) || PROXY_DEFAULTS.port,
+        tokens,
+        rateLimit: parseInt(env.PROXY_RATE_LIMIT, 10) || PROXY_DEFAULTS.rateLimit,
+        rateWindow: (parseFloat(env.PROXY_RATE_WINDOW) * 1000) || PROXY_DEFAULTS.rateWindow,
+        allowedOrigins: env.PROXY_ALLOWED_ORIGINS
+            ? env.PROXY_ALLOWED_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+            : PROXY_DEFAULTS.allowedOrigins,
+        logFile: env.PROXY_LOG_FILE || ''
+    };
+}
+
+/**
+ * Parse "user=token,user=token" into { user: token }
+ */
+export function parseTokenList(list) {
+    const tokens = {};
+    for (const entry of list.split(',')) {
+        const separator = entry.indexOf('=');
+        if (separator > 0) tokens[entry.slice(0, separator).trim()] = entry.slice(separator + 1).trim();
+    }
+    return tokens;
+}
+
+/**
+ * Create the proxy as an http.Server (not yet listening).
+ * options: PROXY_DEFAULTS plus { apiKey, tokens: { user: token }, log }
+ * where log(entry) records a request; by default a JSON line on standard
+ * output, or in options.logFile.
+ */
+export function createProxyServer(options) {
+    const config = { ...PROXY_DEFAULTS, ...options };
+    if (!config.apiKey) throw new Error('MINIMAX_API_KEY is not set');
+    if (Object.keys(config.tokens || {}).length === 0) throw new Error('No user tokens configured (PROXY_TOKENS or PROXY_TOKENS_FILE)');
+
+    const users = createTokenIndex(config.tokens);
+    const limiter = createRateLimiter(config.rateLimit, config.rateWindow);
+    const log = config.log || createLogger(config.logFile);
+
+    return createServer((request, response) => {
+        const entry = { time: new Date().toISOString(), method: request.method, path: request.url, user: null };
+        const started = Date.now();
+
+        response.on('finish', () => {
+            log({ ...entry, status: response.statusCode, ms: Date.now() - started });
+        });
+
+        setCorsHeaders(request, response, config.allowedOrigins);
+        handleRequest(request, response, entry, { config, users, limiter }).catch((error) => {
+            entry.error = error.message;
+            if (response.headersSent) {
+                response.destroy();
+            } else {
+                sendError(response, 500, STATUS_CODES.unavailable, 'Proxy error');
+            }
+        });
+    });
+}
+
+/**
+ * Route a request: CORS preflight, health check or translation
+ */
+async function handleRequest(request, response, entry, { config, users, limiter }) {
+    const path = new URL(request.url, 'http://localhost').pathname;
+
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204).end();
+        return;
+    }
+    if (request.method === 'GET' && path === '/health') {
+        sendJson(response, 200, { ok: true });
+        return;
+    }
+    if (path !== TRANSLATE_PATH) {
+        sendJson(response, 404, { error: 'Not found' });
+        return;
+    }
+    if (request.method !== 'POST') {
+        response.setHeader('Allow', 'POST, OPTIONS');
+        sendJson(response, 405, { error: 'Method not allowed' });
+        return;
+    }
+
+    const user = users.get(hashToken(getBearerToken(request)));
+    if (!user) {
+        sendError(response, 401, STATUS_CODES.auth, 'Invalid proxy token');
+        return;
+    }
+    entry.user = user;
+
+    const wait = limiter(user);
+    if (wait > 0) {
+        response.setHeader('Retry-After', Math.ceil(wait / 1000));
+        sendError(response, 429, STATUS_CODES.rateLimit, 'Rate limit exceeded');
+        return;
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(await readBody(request, config.maxBodyBytes));
+    } catch (error) {
+        if (error.code === 'BODY_TOO_LARGE') {
+            sendError(response, 413, STATUS_CODES.invalidInput, 'Request too large');
+        } else {
+            sendError(response, 400, STATUS_CODES.invalidInput, 'Request body is not valid JSON');
+        }
+        return;
+    }
+
+    const problem = validateTranslateRequest(payload, config.maxChars);
+    if (problem) {
+        sendError(response, problem === 'Text too long' ? 413 : 400, STATUS_CODES.invalidInput, problem);
+        return;
+    }
+    entry.chars = payload.text.length;
+    entry.pair = `${payload.source_lang}-${payload.target_lang}`;
+
+    await forwardTranslation(payload, response, entry, config);
+}
+
+/**
+ * Check a translate request has what MiniMax needs. Returns a problem, or ''.
+ */
+export function validateTranslateRequest(payload, maxChars = PROXY_DEFAULTS.maxChars) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return 'Request body must be an object';
+    if (typeof payload.text !== 'string' || !payload.text.trim()) return 'text is required';
+    if (typeof payload.source_lang !== 'string' || typeof payload.target_lang !== 'string') {
+        return 'source_lang and target_lang are required';
+    }
+    if (payload.text.length > maxChars) return 'Text too long';
+    return '';
+}
+
+/**
+ * Send the request on to MiniMax with the server's key and relay the answer,
+ * status and Retry-After included
+ */
+async function forwardTranslation(payload, response, entry, config) {
+    const body = {
+        source_lang: payload.source_lang,
+        target_lang: payload.target_lang,
+        text: payload.text
+    };
+
+    let upstream;
+    try {
+        upstream = await fetch(config.upstreamUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${config.apiKey}`
+            },
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(config.upstreamTimeout)
+        });
+    } catch (error) {
+        const timedOut = error.name === 'TimeoutError';
+        entry.error = timedOut ? 'upstream timeout' : `upstream unreachable: ${error.message}`;
+        sendError(response, timedOut ? 504 : 502, STATUS_CODES.unavailable, timedOut ? 'MiniMax did not respond' : 'MiniMax is unreachable');
+        return;
+    }
+
+    entry.upstreamStatus = upstream.status;
+    const text = await upstream.text();
+    const retryAfter = upstream.headers.get('Retry-After');
+    if (retryAfter) response.setHeader('Retry-After', retryAfter);
+
+    response.writeHead(upstream.status, { 'Content-Type': upstream.headers.get('Content-Type') || 'application/json' });
+    response.end(text);
+}
+
+/**
+ * Map SHA-256 hashes of tokens to user names, so a lookup never compares
+ * the tokens themselves character by character
+ */
+function createTokenIndex(tokens) {
+    const users = new Map();
+    for (const [user, token] of Object.entries(tokens)) {
+        if (token) users.set(hashToken(token), user);
+    }
+    return users;
+}
+
+/**
+ * SHA-256 of a token, hex encoded
+ */
+function hashToken(token) {
+    return createHash('sha256').update(token || '').digest('hex');
+}
+
+/**
+ * The token from an "Authorization: Bearer <token>" header, or ''
+ */
+function getBearerToken(request) {
+    const match = /^Bearer\s+(.+)$/i.exec(request.headers.authorization || '');
+    return match ? match[1].trim() : '';
+}
+
+/**
+ * Sliding-window rate limiter: at most `limit` requests per user in any
+ * `windowMs`. The returned function records a request and resolves to 0 if
+ * it is allowed, or the ms until it would be.
+ */
+export function createRateLimiter(limit, windowMs, now = Date.now) {
+    const requests = new Map();
+
+    return (user) => {
+        const time = now();
+        const recent = (requests.get(user) || []).filter(stamp => stamp > time - windowMs);
+
+        if (recent.length >= limit) {
+            requests.set(user, recent);
+            return recent[0] + windowMs - time;
+        }
+
+        recent.push(time);
+        requests.set(user, recent);
+        return 0;
+    };
+}
+
+/**
+ * Log requests as JSON lines, appended to a file or written to standard output
+ */
+function createLogger(logFile) {
+    return (entry) => {
+        const line = JSON.stringify(entry) + '\n';
+        if (logFile) {
+            appendFileSync(logFile, line);
+        } else {
+            process.stdout.write(line);
+        }
+    };
+}
+
+/**
+ * Allow browsers on the configured origins to call the proxy
+ */
+function setCorsHeaders(request, response, allowedOrigins) {
+    const origin = request.headers.origin;
+    if (!origin) return;
+
+    if (allowedOrigins.includes('*')) {
+        response.setHeader('Access-Control-Allow-Origin', '*');
+    } else if (allowedOrigins.includes(origin)) {
+        response.setHeader('Access-Control-Allow-Origin', origin);
+        response.setHeader('Vary', 'Origin');
+    } else {
+        return;
+    }
+    response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    response.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+    response.setHeader('Access-Control-Max-Age', '600');
+}
+
+/**
+ * Read a request body as text, rejecting with code BODY_TOO_LARGE past maxBytes
+ */
+function readBody(request, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        request.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                const error = new Error('Request body too large');
+                error.code = 'BODY_TOO_LARGE';
+                reject(error);
+                request.resume();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Reply with a MiniMax-style error body, which the app's client turns into a typed error
+ */
+function sendError(response, status, code, message) {
+    sendJson(response, status, { base_resp: { status_code: code, status_msg: message } });
+}
+
+/**
+ * Reply with JSON
+ */
+function sendJson(response, status, data) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(data));
+}
+
+// Started directly rather than imported
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const config = loadProxyConfig();
+    const server = createProxyServer(config);
+    server.listen(config.port, config.host, () => {
+        console.error(`MiniMax proxy listening on http://${config.host}:${config.port}${TRANSLATE_PATH} for ${Object.keys(config.tokens).length} users`);
+    });
+}
@@ -0,0 +1,206 @@
+/**
+ * Proxy server tests, against a stub MiniMax upstream.
+ * Run: node --test server/
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { createProxyServer, createRateLimiter, parseTokenList, validateTranslateRequest, TRANSLATE_PATH } from './proxy.mjs';
+
+const SERVER_KEY = 'server-secret-key';
+const TOKENS = { alice: 'alice-token', bob: 'bob-token', carol: 'carol-token' };
+
+// What the stub upstream received, and how it should answer next
+const upstreamRequests = [];
+let upstreamReply = null;
+
+let upstream;
+let proxy;
+let proxyUrl;
+const logs = [];
+
+/**
+ * Start a server on a free port; resolves to its base URL
+ */
+function listen(server) {
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+    });
+}
+
+/**
+ * Send a translate request to the proxy
+ */
+function translate(body, { token = TOKENS.alice, headers = {} } = {}) {
+    return fetch(proxyUrl + TRANSLATE_PATH, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token && { 'Authorization': `Bearer ${token}` }),
+            ...headers
+        },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+}
+
+before(async () => {
+    upstream = createServer((request, response) => {
+        let body = '';
+        request.on('data', chunk => body += chunk);
+        request.on('end', () => {
+            upstreamRequests.push({ headers: request.headers, body: JSON.parse(body) });
+            const reply = upstreamReply || {
+                status: 200,
+                body: { text: `translated: ${JSON.parse(body).text}`, base_resp: { status_code: 0, status_msg: 'success' } }
+            };
+            upstreamReply = null;
+            response.writeHead(reply.status, { 'Content-Type': 'application/json', ...reply.headers });
+            response.end(JSON.stringify(reply.body));
+        });
+    });
+    const upstreamUrl = await listen(upstream);
+
+    proxy = createProxyServer({
+        apiKey: SERVER_KEY,
+        upstreamUrl: upstreamUrl + TRANSLATE_PATH,
+        tokens: TOKENS,
+        rateLimit: 5,
+        rateWindow: 60 * 1000,
+        maxChars: 100,
+        allowedOrigins: ['http://localhost:8000'],
+        log: entry => logs.push(entry)
+    });
+    proxyUrl = await listen(proxy);
+});
+
+after(() => {
+    proxy.close();
+    upstream.close();
+});
+
+test('forwards translations with the server key, never the user token', async () => {
+    const response = await translate({ source_lang: 'ZH', target_lang: 'EN', text: '你好', style: 'formal' });
+    const data = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(data.text, 'translated: 你好');
+    const forwarded = upstreamRequests.at(-1);
+    assert.equal(forwarded.headers.authorization, `Bearer ${SERVER_KEY}`);
+    // Fields MiniMax doesn't take, like style, aren't passed on
+    assert.deepEqual(forwarded.body, { source_lang: 'ZH', target_lang: 'EN', text: '你好' });
+});
+
+test('rejects missing and unknown tokens with an auth error', async () => {
+    for (const token of ['', 'nope']) {
+        const response = await translate({ source_lang: 'ZH', target_lang: 'EN', text: 'hi' }, { token });
+        const data = await response.json();
+        assert.equal(response.status, 401);
+        assert.equal(data.base_resp.status_code, 1004);
+    }
+});
+
+test('rejects malformed and oversized requests before calling MiniMax', async () => {
+    const count = upstreamRequests.length;
+
+    const badJson = await translate('{not json');
+    assert.equal(badJson.status, 400);
+    const missingText = await translate({ source_lang: 'ZH', target_lang: 'EN' });
+    assert.equal(missingText.status, 400);
+    const tooLong = await translate({ source_lang: 'ZH', target_lang: 'EN', text: 'x'.repeat(101) });
+    assert.equal(tooLong.status, 413);
+
+    assert.equal(upstreamRequests.length, count);
+});
+
+test('relays MiniMax errors and Retry-After unchanged', async () => {
+    upstreamReply = {
+        status: 429,
+        headers: { 'Retry-After': '7' },
+        body: { base_resp: { status_code: 1002, status_msg: 'rate limited' } }
+    };
+    const response = await translate({ source_lang: 'ZH', target_lang: 'EN', text: 'hi' }, { token: TOKENS.bob });
+
+    assert.equal(response.status, 429);
+    assert.equal(response.headers.get('retry-after'), '7');
+    assert.equal((await response.json()).base_resp.status_msg, 'rate limited');
+});
+
+test('limits each user separately', async () => {
+    const statuses = [];
+    for (let i = 0; i < 6; i++) {
+        const response = await translate({ source_lang: 'ZH', target_lang: 'EN', text: `n${i}` }, { token: TOKENS.carol });
+        statuses.push(response.status);
+    }
+    assert.deepEqual(statuses, [200, 200, 200, 200, 200, 429]);
+
+    const blocked = await translate({ source_lang: 'ZH', target_lang: 'EN', text: 'again' }, { token: TOKENS.carol });
+    assert.equal(blocked.status, 429);
+    assert.ok(Number(blocked.headers.get('retry-after')) > 0);
+    assert.equal((await blocked.json()).base_resp.status_code, 1002);
+
+    const other = await translate({ source_lang: 'ZH', target_lang: 'EN', text: 'hi' }, { token: TOKENS.alice });
+    assert.equal(other.status, 200);
+});
+
+test('answers CORS preflights for allowed origins only', async () => {
+    const allowed = await fetch(proxyUrl + TRANSLATE_PATH, { method: 'OPTIONS', headers: { Origin: 'http://localhost:8000' } });
+    assert.equal(allowed.status, 204);
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'http://localhost:8000');
+    assert.match(allowed.headers.get('access-control-allow-headers'), /Authorization/);
+
+    const other = await fetch(proxyUrl + TRANSLATE_PATH, { method: 'OPTIONS', headers: { Origin: 'http://evil.example' } });
+    assert.equal(other.headers.get('access-control-allow-origin'), null);
+});
+
+test('reports an unreachable upstream as a retryable MiniMax error', async () => {
+    const offline = createProxyServer({
+        apiKey: SERVER_KEY,
+        upstreamUrl: 'http://127.0.0.1:1' + TRANSLATE_PATH,
+        tokens: TOKENS,
+        log: () => {}
+    });
+    const url = await listen(offline);
+
+    try {
+        const response = await fetch(url + TRANSLATE_PATH, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${TOKENS.alice}` },
+            body: JSON.stringify({ source_lang: 'ZH', target_lang: 'EN', text: 'hi' })
+        });
+        assert.equal(response.status, 502);
+        assert.equal((await response.json()).base_resp.status_code, 1000);
+    } finally {
+        offline.close();
+    }
+});
+
+test('logs users and sizes but never text or keys', () => {
+    const entry = logs.find(log => log.status === 200 && log.user === 'alice');
+    assert.ok(entry);
+    assert.equal(entry.chars, 2);
+    assert.equal(typeof entry.ms, 'number');
+
+    const logged = JSON.stringify(logs);
+    assert.ok(!logged.includes('你好'));
+    assert.ok(!logged.includes(SERVER_KEY));
+    assert.ok(!logged.includes(TOKENS.alice));
+});
+
+test('rate limiter frees a slot once the oldest request leaves the window', () => {
+    let time = 0;
+    const limit = createRateLimiter(2, 1000, () => time);
+
+    assert.equal(limit('u'), 0);
+    time = 400;
+    assert.equal(limit('u'), 0);
+    assert.equal(limit('u'), 600);
+    time = 1001;
+    assert.equal(limit('u'), 0);
+});
+
+test('config helpers', () => {
+    assert.deepEqual(parseTokenList('alice=a1, bob = b=2,broken'), { alice: 'a1', bob: 'b=2' });
+    assert.equal(validateTranslateRequest({ source_lang: 'ZH', target_lang: 'EN', text: 'hi' }), '');
+    assert.equal(validateTranslateRequest([]), 'Request body must be an object');
+});
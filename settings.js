@@ -0,0 +1,713 @@
+/**
+ * MiniMax Translator - Settings
+ * Saved settings, the API key lock, and the provider, glossary and backup
+ * sections of the settings modal
+ */
+
+import { createElement, renderContent } from './render.js';
+import { getLanguage, isSupportedLanguage, parseLegacyLanguagePair } from './languages.js';
+import {
+    WrongPassphraseError, hasPassphrase, getUnlockedKey, lockKeystore, unlockKeystore, setPassphrase,
+    removePassphrase, resetKeystore, saveSecrets, loadSecrets
+} from './keystore.js';
+import { cacheEntries } from './cache-store.js';
+import { TRANSLATION_PROVIDERS, normalizeProviderChain, checkEndpoint } from './providers.js';
+import { migrateOutboxKeys } from './outbox.js';
+import { ImportFormatError, writePairsCsv, writeTmx } from './interchange.js';
+import {
+    BACKUP_SETTINGS, BACKUP_SECRET_SETTINGS, BACKUP_ENDPOINT_SETTINGS, createBackup, parseImportFile,
+    mergeBackupSettings, restoreBackupRecords
+} from './backup.js';
+import { createGlossaryEntry, normalizeGlossary, upsertGlossaryEntry, parseGlossaryFile } from './glossary.js';
+import { CONFIG } from './config.js';
+import { state, elements } from './state.js';
+import { renderVoiceSettings } from './speech.js';
+import { applyCacheBudget, updateCacheStats, updateCorrectionStats } from './cache.js';
+import {
+    updateLanguageSelects, updateLanguageLabels, getActiveSourceLang, getActiveTargetLang,
+    downloadFile, createActionButton, translateCurrentText, formatCount
+} from './ui.js';
+
+/**
+ * Load settings from localStorage
+ */
+export function loadSettings() {
+    try {
+        const savedSourceLang = localStorage.getItem(CONFIG.STORAGE_KEYS.SOURCE_LANG);
+        const savedTargetLang = localStorage.getItem(CONFIG.STORAGE_KEYS.TARGET_LANG);
+        const legacyPair = parseLegacyLanguagePair(localStorage.getItem(CONFIG.STORAGE_KEYS.LANGUAGE_PAIR));
+        state.autoTranslate = localStorage.getItem(CONFIG.STORAGE_KEYS.AUTO_TRANSLATE) !== 'false';
+        state.speechRate = parseFloat(localStorage.getItem(CONFIG.STORAGE_KEYS.SPEECH_RATE)) || 1;
+        state.speechPitch = parseFloat(localStorage.getItem(CONFIG.STORAGE_KEYS.SPEECH_PITCH)) || 1;
+        const savedVolume = parseFloat(localStorage.getItem(CONFIG.STORAGE_KEYS.SPEECH_VOLUME));
+        state.speechVolume = Number.isNaN(savedVolume) ? 1 : savedVolume;
+        state.autoSpeak = localStorage.getItem(CONFIG.STORAGE_KEYS.AUTO_SPEAK) === 'true';
+        state.speechVoices = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.SPEECH_VOICES)) || {};
+        state.glossary = normalizeGlossary(JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.GLOSSARY)));
+        state.fuzzyCorrections = localStorage.getItem(CONFIG.STORAGE_KEYS.FUZZY_CORRECTIONS) === 'true';
+        state.cacheMaxEntries = parseInt(localStorage.getItem(CONFIG.STORAGE_KEYS.CACHE_MAX_ENTRIES), 10) || CONFIG.CACHE_MAX_ENTRIES;
+        state.cacheMaxMB = parseFloat(localStorage.getItem(CONFIG.STORAGE_KEYS.CACHE_MAX_MB)) || CONFIG.CACHE_MAX_MB;
+        state.apiBaseUrl = localStorage.getItem(CONFIG.STORAGE_KEYS.API_BASE_URL) || '';
+        state.openaiEndpoint = localStorage.getItem(CONFIG.STORAGE_KEYS.OPENAI_ENDPOINT) || '';
+        state.openaiModel = localStorage.getItem(CONFIG.STORAGE_KEYS.OPENAI_MODEL) || '';
+        const savedAutoLock = parseInt(localStorage.getItem(CONFIG.STORAGE_KEYS.AUTO_LOCK_MINUTES), 10);
+        state.autoLockMinutes = Number.isNaN(savedAutoLock) ? CONFIG.AUTO_LOCK_MINUTES : savedAutoLock;
+        
+        const savedChain = localStorage.getItem(CONFIG.STORAGE_KEYS.PROVIDER_CHAIN);
+        if (savedChain) {
+            state.providerChain = normalizeProviderChain(JSON.parse(savedChain));
+        }
+        
+        const validSource = savedSourceLang === CONFIG.AUTO_DETECT || isSupportedLanguage(savedSourceLang);
+        
+        if (validSource && isSupportedLanguage(savedTargetLang)) {
+            state.sourceLang = savedSourceLang;
+            state.targetLang = savedTargetLang;
+        } else if (legacyPair) {
+            state.sourceLang = legacyPair.source;
+            state.targetLang = legacyPair.target;
+            localStorage.removeItem(CONFIG.STORAGE_KEYS.LANGUAGE_PAIR);
+        }
+        updateLanguageSelects();
+        
+        // Update form inputs
+        if (elements.apiBaseUrlInput) elements.apiBaseUrlInput.value = state.apiBaseUrl;
+        if (elements.openaiEndpointInput) elements.openaiEndpointInput.value = state.openaiEndpoint;
+        if (elements.openaiModelInput) elements.openaiModelInput.value = state.openaiModel;
+        if (elements.cacheMaxEntriesInput) elements.cacheMaxEntriesInput.value = state.cacheMaxEntries;
+        if (elements.cacheMaxMBInput) elements.cacheMaxMBInput.value = state.cacheMaxMB;
+        renderProviderList();
+        if (elements.autoTranslateInput) elements.autoTranslateInput.checked = state.autoTranslate;
+        if (elements.speechRateInput) {
+            elements.speechRateInput.value = state.speechRate;
+            if (elements.speechRateValue) elements.speechRateValue.textContent = state.speechRate + 'x';
+        }
+        if (elements.speechPitchInput) {
+            elements.speechPitchInput.value = state.speechPitch;
+            if (elements.speechPitchValue) elements.speechPitchValue.textContent = state.speechPitch;
+        }
+        if (elements.speechVolumeInput) {
+            elements.speechVolumeInput.value = state.speechVolume;
+            if (elements.speechVolumeValue) elements.speechVolumeValue.textContent = Math.round(state.speechVolume * 100) + '%';
+        }
+        if (elements.autoSpeakInput) elements.autoSpeakInput.checked = state.autoSpeak;
+        if (elements.fuzzyCorrectionsInput) elements.fuzzyCorrectionsInput.checked = state.fuzzyCorrections;
+    } catch (error) {
+        console.error('Error loading settings:', error);
+    }
+}
+
+/**
+ * Save settings to localStorage
+ */
+export function saveSettings() {
+    try {
+        localStorage.setItem(CONFIG.STORAGE_KEYS.SOURCE_LANG, state.sourceLang);
+        localStorage.setItem(CONFIG.STORAGE_KEYS.TARGET_LANG, state.targetLang);
+        localStorage.setItem(CONFIG.STORAGE_KEYS.AUTO_TRANSLATE, state.autoTranslate.toString());
+        localStorage.setItem(CONFIG.STORAGE_KEYS.SPEECH_RATE, state.speechRate.toString());
+        localStorage.setItem(CONFIG.STORAGE_KEYS.SPEECH_PITCH, state.speechPitch.toString());
+        localStorage.setItem(CONFIG.STORAGE_KEYS.SPEECH_VOLUME, state.speechVolume.toString());
+        localStorage.setItem(CONFIG.STORAGE_KEYS.AUTO_SPEAK, state.autoSpeak.toString());
+        localStorage.setItem(CONFIG.STORAGE_KEYS.SPEECH_VOICES, JSON.stringify(state.speechVoices));
+        localStorage.setItem(CONFIG.STORAGE_KEYS.CACHE_MAX_ENTRIES, state.cacheMaxEntries.toString());
+        localStorage.setItem(CONFIG.STORAGE_KEYS.CACHE_MAX_MB, state.cacheMaxMB.toString());
+        localStorage.setItem(CONFIG.STORAGE_KEYS.PROVIDER_CHAIN, JSON.stringify(state.providerChain));
+        localStorage.setItem(CONFIG.STORAGE_KEYS.API_BASE_URL, state.apiBaseUrl);
+        localStorage.setItem(CONFIG.STORAGE_KEYS.OPENAI_ENDPOINT, state.openaiEndpoint);
+        localStorage.setItem(CONFIG.STORAGE_KEYS.AUTO_LOCK_MINUTES, state.autoLockMinutes.toString());
+        localStorage.setItem(CONFIG.STORAGE_KEYS.OPENAI_MODEL, state.openaiModel);
+        localStorage.setItem(CONFIG.STORAGE_KEYS.GLOSSARY, JSON.stringify(state.glossary));
+        localStorage.setItem(CONFIG.STORAGE_KEYS.FUZZY_CORRECTIONS, state.fuzzyCorrections.toString());
+    } catch (error) {
+        console.error('Error saving settings:', error);
+    }
+}
+
+/**
+ * Load the API keys from the key store. Keys locked with a passphrase wait
+ * for the unlock prompt.
+ */
+export async function loadApiKeys() {
+    try {
+        if (await hasPassphrase()) {
+            state.keyLock = 'locked';
+            openUnlockModal();
+        } else {
+            state.keyLock = 'device';
+            await applyApiKeys(await loadSecrets());
+        }
+    } catch (error) {
+        console.error('Error loading API keys:', error);
+    }
+    renderKeyLock();
+}
+
+/**
+ * Use decrypted keys, moving any that older versions saved in plain text
+ * (in localStorage and the outbox) into the key store
+ */
+async function applyApiKeys(secrets) {
+    const legacy = {
+        apiKey: localStorage.getItem(CONFIG.STORAGE_KEYS.API_KEY) || '',
+        openaiApiKey: localStorage.getItem(CONFIG.STORAGE_KEYS.OPENAI_API_KEY) || ''
+    };
+    
+    state.apiKey = secrets.apiKey || legacy.apiKey;
+    state.openaiApiKey = secrets.openaiApiKey || legacy.openaiApiKey;
+    
+    if (legacy.apiKey || legacy.openaiApiKey) {
+        await saveSecrets(getApiKeys());
+        localStorage.removeItem(CONFIG.STORAGE_KEYS.API_KEY);
+        localStorage.removeItem(CONFIG.STORAGE_KEYS.OPENAI_API_KEY);
+    }
+    await migrateOutboxKeys();
+}
+
+/**
+ * The API keys in the app state, named as in the key store
+ */
+export function getApiKeys() {
+    return { apiKey: state.apiKey, openaiApiKey: state.openaiApiKey };
+}
+
+/**
+ * Encrypt the API keys in the app state into the key store. While locked
+ * there is nothing to encrypt them with, so they are left as stored.
+ */
+export async function saveApiKeys() {
+    if (state.keyLock === 'locked') return;
+    
+    try {
+        await saveSecrets(getApiKeys());
+    } catch (error) {
+        console.error('Error saving API keys:', error);
+    }
+}
+
+/**
+ * Refresh the key fields and passphrase controls for the lock state
+ */
+function renderKeyLock() {
+    const locked = state.keyLock === 'locked';
+    const status = {
+        device: 'Keys are encrypted on this device. Set a passphrase to be asked for it when the app starts.',
+        unlocked: 'Keys are locked with your passphrase and unlocked for now.',
+        locked: 'Keys are locked. Unlock them to use or change them.'
+    };
+    
+    elements.apiKeyInput.value = state.apiKey;
+    elements.openaiApiKeyInput.value = state.openaiApiKey;
+    elements.apiKeyInput.disabled = locked;
+    elements.openaiApiKeyInput.disabled = locked;
+    elements.setPassphraseBtn.disabled = locked;
+    elements.setPassphraseBtn.textContent = state.keyLock === 'device' ? 'Set Passphrase' : 'Change Passphrase';
+    elements.removePassphraseBtn.disabled = state.keyLock !== 'unlocked';
+    elements.lockKeysBtn.disabled = state.keyLock === 'device';
+    elements.lockKeysBtn.textContent = locked ? 'Unlock' : 'Lock Now';
+    elements.autoLockMinutesInput.value = state.autoLockMinutes;
+    elements.keyLockStatus.textContent = status[state.keyLock];
+}
+
+/**
+ * Show the passphrase prompt
+ */
+export function openUnlockModal() {
+    elements.unlockStatus.textContent = 'Your API keys are encrypted. Translations from the cache and your corrections still work while they are locked.';
+    elements.unlockModal.classList.add('show');
+    elements.unlockPassphrase.focus();
+}
+
+/**
+ * Unlock the API keys with the passphrase from the prompt
+ */
+export async function unlockApiKeys(e) {
+    e.preventDefault();
+    elements.unlockStatus.textContent = 'Unlocking...';
+    
+    try {
+        await unlockKeystore(elements.unlockPassphrase.value);
+        state.keyLock = 'unlocked';
+        await applyApiKeys(await loadSecrets());
+    } catch (error) {
+        console.error('Error unlocking API keys:', error);
+        elements.unlockStatus.textContent = error instanceof WrongPassphraseError
+            ? 'Wrong passphrase. Try again.'
+            : 'Could not unlock your API keys';
+        return;
+    }
+    
+    elements.unlockPassphrase.value = '';
+    elements.unlockModal.classList.remove('show');
+    shareUnlockedKey();
+    resetAutoLock();
+    renderKeyLock();
+    translateCurrentText();
+}
+
+/**
+ * Forget the API keys and the passphrase key, here and in the service worker
+ */
+export function lockApiKeys() {
+    if (state.keyLock !== 'unlocked') return;
+    
+    clearTimeout(state.autoLockTimer);
+    lockKeystore();
+    state.keyLock = 'locked';
+    state.apiKey = '';
+    state.openaiApiKey = '';
+    postToServiceWorker({ type: 'LOCK_KEYS' });
+    renderKeyLock();
+}
+
+/**
+ * Restart the inactivity timer that locks the API keys
+ */
+export function resetAutoLock() {
+    clearTimeout(state.autoLockTimer);
+    if (state.keyLock === 'unlocked' && state.autoLockMinutes > 0) {
+        state.autoLockTimer = setTimeout(lockApiKeys, state.autoLockMinutes * 60 * 1000);
+    }
+}
+
+/**
+ * Lock the API keys with the passphrase typed in settings, or change it
+ */
+export async function setApiKeyPassphrase(e) {
+    e.preventDefault();
+    const passphrase = elements.newPassphrase.value;
+    
+    if (state.keyLock === 'locked') {
+        elements.keyLockStatus.textContent = 'Unlock your API keys first';
+        return;
+    }
+    if (passphrase.length < CONFIG.PASSPHRASE_MIN_LENGTH) {
+        elements.keyLockStatus.textContent = `Use at least ${CONFIG.PASSPHRASE_MIN_LENGTH} characters`;
+        return;
+    }
+    if (passphrase !== elements.confirmPassphrase.value) {
+        elements.keyLockStatus.textContent = 'The passphrases don\'t match';
+        return;
+    }
+    
+    try {
+        elements.keyLockStatus.textContent = 'Encrypting...';
+        await setPassphrase(passphrase, getApiKeys());
+        state.keyLock = 'unlocked';
+        elements.newPassphrase.value = '';
+        elements.confirmPassphrase.value = '';
+        shareUnlockedKey();
+        resetAutoLock();
+        renderKeyLock();
+    } catch (error) {
+        console.error('Error setting passphrase:', error);
+        elements.keyLockStatus.textContent = 'Could not set the passphrase';
+    }
+}
+
+/**
+ * Go back to keys encrypted with the device key alone
+ */
+export async function removeApiKeyPassphrase() {
+    if (state.keyLock !== 'unlocked') return;
+    
+    try {
+        await removePassphrase(getApiKeys());
+        clearTimeout(state.autoLockTimer);
+        state.keyLock = 'device';
+        postToServiceWorker({ type: 'LOCK_KEYS' });
+        renderKeyLock();
+    } catch (error) {
+        console.error('Error removing passphrase:', error);
+        elements.keyLockStatus.textContent = 'Could not remove the passphrase';
+    }
+}
+
+/**
+ * Delete the stored keys and passphrase after the passphrase is forgotten
+ */
+export async function forgetApiKeys() {
+    if (!confirm('Delete your saved API keys and passphrase? You will need to enter the keys again.')) return;
+    
+    try {
+        await resetKeystore();
+        state.keyLock = 'device';
+        state.apiKey = '';
+        state.openaiApiKey = '';
+        renderKeyLock();
+        elements.unlockModal.classList.remove('show');
+        elements.settingsModal.classList.add('show');
+    } catch (error) {
+        console.error('Error deleting API keys:', error);
+        elements.unlockStatus.textContent = 'Could not delete your API keys';
+    }
+}
+
+/**
+ * Give the service worker the passphrase key so it can send queued translations
+ */
+export function shareUnlockedKey() {
+    if (state.keyLock === 'unlocked') {
+        postToServiceWorker({ type: 'UNLOCK_KEYS', key: getUnlockedKey() });
+    }
+}
+
+/**
+ * Send a message to the active service worker, if there is one
+ */
+function postToServiceWorker(message) {
+    if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+        navigator.serviceWorker.controller.postMessage(message);
+    }
+}
+
+/**
+ * Collect the settings providers need to make requests
+ */
+export function getProviderSettings() {
+    return {
+        apiBaseUrl: state.apiBaseUrl || CONFIG.API_BASE_URL,
+        apiKey: state.apiKey,
+        openaiEndpoint: state.openaiEndpoint,
+        openaiApiKey: state.openaiApiKey,
+        openaiModel: state.openaiModel
+    };
+}
+
+/**
+ * Render the provider chain editor in the settings modal
+ */
+function renderProviderList() {
+    if (!elements.providerList) return;
+    
+    const lastIndex = state.providerChain.length - 1;
+    renderContent(elements.providerList, ...state.providerChain.map((entry, index) =>
+        createElement('li', { className: 'provider-item' }, [
+            createElement('label', {}, [
+                createElement('input', { type: 'checkbox', 'data-index': index, checked: entry.enabled }),
+                ` ${TRANSLATION_PROVIDERS[entry.id].name}`
+            ]),
+            createElement('span', { className: 'provider-order' }, [
+                createElement('button', { type: 'button', 'data-index': index, 'data-move': -1, 'aria-label': 'Move up', disabled: index === 0 }, '↑'),
+                createElement('button', { type: 'button', 'data-index': index, 'data-move': 1, 'aria-label': 'Move down', disabled: index === lastIndex }, '↓')
+            ])
+        ])
+    ));
+}
+
+/**
+ * Save an endpoint typed into the settings form. Endpoints the app can't
+ * reach (see checkEndpoint) are left unsaved and the input says why.
+ */
+export function updateEndpointSetting(name, input) {
+    const value = input.value.trim();
+    const problem = checkEndpoint(value);
+    
+    input.setCustomValidity(problem);
+    if (problem) {
+        input.reportValidity();
+        return;
+    }
+    state[name] = value;
+    saveSettings();
+}
+
+/**
+ * Move a provider up or down the fallback chain
+ */
+export function moveProvider(index, offset) {
+    const newIndex = index + offset;
+    if (newIndex < 0 || newIndex >= state.providerChain.length) return;
+    
+    const [entry] = state.providerChain.splice(index, 1);
+    state.providerChain.splice(newIndex, 0, entry);
+    
+    renderProviderList();
+    saveSettings();
+}
+
+/**
+ * Render the glossary entries in the settings modal
+ */
+export function renderGlossaryList() {
+    renderContent(elements.glossaryList);
+    
+    if (state.glossary.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'glossary-empty';
+        empty.textContent = 'No glossary terms yet';
+        elements.glossaryList.appendChild(empty);
+        return;
+    }
+    
+    for (const entry of state.glossary) {
+        const item = document.createElement('li');
+        item.className = 'glossary-item';
+        item.dataset.id = entry.id;
+        
+        const term = document.createElement('span');
+        term.className = 'glossary-text';
+        term.textContent = `${entry.source} → ${entry.target}`;
+        
+        const meta = document.createElement('span');
+        meta.className = 'glossary-meta';
+        meta.textContent = [
+            `${getLanguage(entry.sourceLang).name} → ${getLanguage(entry.targetLang).name}`,
+            entry.caseSensitive ? 'Match case' : '',
+            entry.wholeWord ? 'Whole word' : ''
+        ].filter(Boolean).join(' · ');
+        
+        const actions = createElement('span', { className: 'glossary-actions' }, [
+            createActionButton('edit', 'Edit'),
+            createActionButton('delete', 'Delete')
+        ]);
+        
+        item.append(term, meta, actions);
+        elements.glossaryList.appendChild(item);
+    }
+}
+
+/**
+ * Empty the glossary form, defaulting it to the current language pair
+ */
+export function resetGlossaryForm() {
+    const sourceLang = getActiveSourceLang();
+    
+    state.glossaryEditId = null;
+    elements.glossaryForm.reset();
+    elements.glossarySourceLang.value = sourceLang;
+    elements.glossaryTargetLang.value = getActiveTargetLang(sourceLang);
+    elements.glossarySubmit.textContent = 'Add Term';
+}
+
+/**
+ * Add the term in the form, or save the entry being edited
+ */
+export function handleGlossarySubmit(e) {
+    e.preventDefault();
+    
+    const entry = createGlossaryEntry({
+        id: state.glossaryEditId,
+        sourceLang: elements.glossarySourceLang.value,
+        targetLang: elements.glossaryTargetLang.value,
+        source: elements.glossarySourceInput.value,
+        target: elements.glossaryTargetInput.value,
+        caseSensitive: elements.glossaryCaseSensitive.checked,
+        wholeWord: elements.glossaryWholeWord.checked
+    });
+    if (!entry.source || !entry.target) return;
+    
+    updateGlossary(upsertGlossaryEntry(state.glossary, entry));
+    resetGlossaryForm();
+}
+
+/**
+ * Handle edit / delete clicks in the glossary list
+ */
+export function handleGlossaryAction(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    
+    const id = button.closest('.glossary-item').dataset.id;
+    const entry = state.glossary.find(existing => existing.id === id);
+    if (!entry) return;
+    
+    if (button.dataset.action === 'edit') {
+        state.glossaryEditId = entry.id;
+        elements.glossarySourceLang.value = entry.sourceLang;
+        elements.glossaryTargetLang.value = entry.targetLang;
+        elements.glossarySourceInput.value = entry.source;
+        elements.glossaryTargetInput.value = entry.target;
+        elements.glossaryCaseSensitive.checked = entry.caseSensitive;
+        elements.glossaryWholeWord.checked = entry.wholeWord;
+        elements.glossarySubmit.textContent = 'Save Term';
+        elements.glossarySourceInput.focus();
+    } else if (button.dataset.action === 'delete') {
+        if (state.glossaryEditId === id) resetGlossaryForm();
+        updateGlossary(state.glossary.filter(existing => existing.id !== id));
+    }
+}
+
+/**
+ * Import glossary terms from a CSV or TSV file. Rows without their own
+ * languages use the pair selected in the form.
+ */
+export async function importGlossaryFile(file) {
+    try {
+        const { entries, skipped } = parseGlossaryFile(await file.text(), {
+            sourceLang: elements.glossarySourceLang.value,
+            targetLang: elements.glossaryTargetLang.value,
+            caseSensitive: elements.glossaryCaseSensitive.checked,
+            wholeWord: elements.glossaryWholeWord.checked
+        });
+        
+        updateGlossary(entries.reduce(upsertGlossaryEntry, state.glossary));
+        
+        elements.glossaryStatus.textContent = `Imported ${entries.length} term${entries.length === 1 ? '' : 's'}` +
+            (skipped ? `, skipped ${skipped} incomplete row${skipped === 1 ? '' : 's'}` : '');
+    } catch (error) {
+        console.error('Error importing glossary:', error);
+        elements.glossaryStatus.textContent = 'Could not read that file';
+    }
+}
+
+/**
+ * Save a new glossary. Cached translations remember the terms they were made
+ * with, so text containing a changed term is translated again.
+ */
+function updateGlossary(glossary) {
+    state.glossary = glossary;
+    saveSettings();
+    renderGlossaryList();
+}
+
+/**
+ * The settings a backup holds, read from the app state
+ */
+function getBackupSettings() {
+    return Object.fromEntries(Object.keys(BACKUP_SETTINGS).map(name => [name, state[name]]));
+}
+
+/**
+ * Download settings, cached translations and corrections as a JSON backup
+ */
+export async function exportBackup() {
+    try {
+        const backup = await createBackup(getBackupSettings(), { includeSecrets: elements.backupIncludeKeys.checked });
+        downloadFile(`minimax-translator-backup-${getFileDate()}.json`, JSON.stringify(backup, null, 2), 'application/json');
+        elements.backupStatus.textContent =
+            `Exported ${formatCount(backup.cache.length, 'translation')} and ${formatCount(backup.corrections.length, 'correction')}`;
+    } catch (error) {
+        console.error('Error exporting backup:', error);
+        elements.backupStatus.textContent = 'Could not export a backup';
+    }
+}
+
+/**
+ * Download the cached translations as CSV or TMX
+ */
+export async function exportTranslationPairs(format) {
+    try {
+        const entries = await cacheEntries();
+        const fileName = `minimax-translations-${getFileDate()}.${format}`;
+        
+        if (format === 'csv') {
+            downloadFile(fileName, writePairsCsv(entries), 'text/csv;charset=utf-8');
+        } else {
+            downloadFile(fileName, writeTmx(entries), 'application/x-tmx+xml');
+        }
+        elements.backupStatus.textContent = `Exported ${formatCount(entries.length, 'translation')}`;
+    } catch (error) {
+        console.error('Error exporting translations:', error);
+        elements.backupStatus.textContent = 'Could not export translations';
+    }
+}
+
+/**
+ * Import a JSON backup, or CSV/TSV/TMX translation pairs, merging with or
+ * replacing what is stored, then list conflicts and skipped records
+ */
+export async function importDataFile(file) {
+    const mode = elements.importMode.value;
+    renderContent(elements.importReport);
+    
+    let backup;
+    try {
+        backup = parseImportFile(file.name, await file.text());
+    } catch (error) {
+        console.error('Error reading import file:', error);
+        elements.backupStatus.textContent = error instanceof ImportFormatError ? error.message : 'Could not read that file';
+        return;
+    }
+    
+    if (mode === 'replace' && !confirm('Replace your settings and saved translations with the ones in this file?')) return;
+    
+    // Locked keys can't be re-encrypted, so imported ones would be lost on reload
+    if (state.keyLock === 'locked') {
+        for (const name of BACKUP_SECRET_SETTINGS.filter(name => name in backup.settings)) {
+            delete backup.settings[name];
+            backup.problems.push(`settings.${name}: API keys are locked, not imported`);
+        }
+    }
+    
+    // A new endpoint would be sent the API keys with every request
+    const newEndpoints = BACKUP_ENDPOINT_SETTINGS.filter(name => backup.settings[name] && backup.settings[name] !== state[name]);
+    const hasKeys = state.keyLock === 'locked' || BACKUP_SECRET_SETTINGS.some(name => state[name] || backup.settings[name]);
+    if (newEndpoints.length && hasKeys) {
+        const list = newEndpoints.map(name => backup.settings[name]).join('\n');
+        if (!confirm(`This file sends translations, with your API keys, to:\n${list}\nUse this endpoint?`)) {
+            for (const name of newEndpoints) {
+                delete backup.settings[name];
+                backup.problems.push(`settings.${name}: new endpoint not confirmed, not imported`);
+            }
+        }
+    }
+    
+    try {
+        const merged = mergeBackupSettings(getBackupSettings(), backup.settings, mode);
+        if (merged.changed) {
+            Object.assign(state, merged.settings);
+            saveSettings();
+            await saveApiKeys();
+            // Reloading checks the values and refreshes the settings form
+            loadSettings();
+            renderKeyLock();
+            updateLanguageLabels();
+            renderVoiceSettings();
+            renderGlossaryList();
+            await applyCacheBudget();
+        }
+        
+        const restored = await restoreBackupRecords(backup, mode);
+        
+        elements.backupStatus.textContent = `Imported ${formatCount(merged.changed, 'setting')}, ` +
+            `${formatCount(restored.cache, 'translation')} and ${formatCount(restored.corrections, 'correction')}`;
+        renderImportReport([...merged.conflicts, ...restored.conflicts], backup.problems);
+    } catch (error) {
+        console.error('Error importing data:', error);
+        elements.backupStatus.textContent = 'Import failed part way through';
+    }
+    updateCacheStats();
+    updateCorrectionStats();
+}
+
+/**
+ * List what an import overwrote or kept, and what it skipped
+ */
+function renderImportReport(conflicts, problems) {
+    const labels = { setting: 'Setting', glossary: 'Glossary', cache: 'Translation', correction: 'Correction' };
+    const lines = [
+        ...conflicts.map(conflict => {
+            const [kept, dropped] = conflict.kept === 'imported'
+                ? [conflict.imported, conflict.existing]
+                : [conflict.existing, conflict.imported];
+            return {
+                className: 'import-conflict',
+                text: `${labels[conflict.type]} "${conflict.label}": kept ${conflict.kept === 'imported' ? 'imported' : 'existing'} "${kept}" over "${dropped}"`
+            };
+        }),
+        ...problems.map(problem => ({ className: 'import-problem', text: problem }))
+    ];
+    
+    renderContent(elements.importReport);
+    for (const line of lines.slice(0, CONFIG.IMPORT_REPORT_MAX)) {
+        const item = document.createElement('li');
+        item.className = line.className;
+        item.textContent = line.text;
+        elements.importReport.appendChild(item);
+    }
+    
+    if (lines.length > CONFIG.IMPORT_REPORT_MAX) {
+        const more = document.createElement('li');
+        more.className = 'import-problem';
+        more.textContent = `…and ${lines.length - CONFIG.IMPORT_REPORT_MAX} more`;
+        elements.importReport.appendChild(more);
+    }
+}
+
+/**
+ * Today's date for file names: 2024-01-31
+ */
+function getFileDate() {
+    return new Date().toISOString().slice(0, 10);
+}
@@ -0,0 +1,115 @@
+/**
+ * MiniMax Translator - Text Similarity
+ * Rough, language-independent measures of how alike two texts are
+ */
+
+// Back-translation similarity at or above which the meaning counts as kept / partly kept
+const SIMILARITY_CLOSE = 0.7;
+const SIMILARITY_PARTIAL = 0.45;
+
+/**
+ * Reduce text to what matters when comparing wording: full-width forms
+ * folded to half-width, lower case, no punctuation, symbols or whitespace
+ */
+export function normalizeForComparison(text) {
+    return text.normalize('NFKC').toLowerCase().replace(/[\p{P}\p{S}\s]+/gu, '');
+}
+
+/**
+ * Count the runs of `size` characters in a string
+ */
+function getNgrams(text, size) {
+    const chars = Array.from(text);
+    const ngrams = new Map();
+
+    for (let i = 0; i + size <= chars.length; i++) {
+        const ngram = chars.slice(i, i + size).join('');
+        ngrams.set(ngram, (ngrams.get(ngram) || 0) + 1);
+    }
+    return ngrams;
+}
+
+/**
+ * Dice coefficient of two n-gram counts
+ */
+function getDiceCoefficient(left, right) {
+    let shared = 0;
+    let total = 0;
+
+    for (const [ngram, count] of left) {
+        shared += Math.min(count, right.get(ngram) || 0);
+        total += count;
+    }
+    for (const count of right.values()) {
+        total += count;
+    }
+    return total ? (2 * shared) / total : 0;
+}
+
+/**
+ * Similarity of two texts from 0 (nothing in common) to 1 (the same, ignoring
+ * case, punctuation and spacing). Averages the overlap of single characters,
+ * which suits Chinese and Japanese, with that of character pairs, which
+ * suits alphabetic scripts.
+ */
+export function getTextSimilarity(a, b) {
+    const left = normalizeForComparison(a);
+    const right = normalizeForComparison(b);
+    if (left === right) return 1;
+
+    return (getDiceCoefficient(getNgrams(left, 1), getNgrams(right, 1)) +
+        getDiceCoefficient(getNgrams(left, 2), getNgrams(right, 2))) / 2;
+}
+
+/**
+ * Levenshtein distance between two strings, counted in characters.
+ * Stops early once the distance must exceed maxDistance, returning maxDistance + 1.
+ */
+function getEditDistance(a, b, maxDistance = Infinity) {
+    const left = Array.from(a);
+    const right = Array.from(b);
+    let previous = Array.from({ length: right.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= left.length; i++) {
+        const current = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= right.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (left[i - 1] === right[j - 1] ? 0 : 1)
+            );
+            rowMin = Math.min(rowMin, current[j]);
+        }
+
+        if (rowMin > maxDistance) return maxDistance + 1;
+        previous = current;
+    }
+
+    return previous[right.length];
+}
+
+/**
+ * Similarity from edit distance: 1 minus the share of characters that
+ * differ, after normalizeForComparison(). Scores below minSimilarity are
+ * only known to be below it.
+ */
+export function getEditSimilarity(a, b, minSimilarity = 0) {
+    const left = normalizeForComparison(a);
+    const right = normalizeForComparison(b);
+    const longest = Math.max(Array.from(left).length, Array.from(right).length);
+    if (longest === 0) return 1;
+
+    const distance = getEditDistance(left, right, Math.floor((1 - minSimilarity) * longest));
+    return Math.max(0, 1 - distance / longest);
+}
+
+/**
+ * Grade a back-translation similarity: { level: 'close' | 'partial' | 'low', label }
+ */
+export function describeSimilarity(score) {
+    if (score >= SIMILARITY_CLOSE) return { level: 'close', label: 'Meaning kept' };
+    if (score >= SIMILARITY_PARTIAL) return { level: 'partial', label: 'Partly matches' };
+    return { level: 'low', label: 'Meaning may have changed' };
+}
@@ -0,0 +1,469 @@
+/**
+ * MiniMax Translator - Speech
+ * Speech recognition, text-to-speech and face-to-face mode
+ */
+
+import { renderContent } from './render.js';
+import { LANGUAGES, getLanguage } from './languages.js';
+import { updatePendingBubble } from './conversation.js';
+import { state, elements } from './state.js';
+import { describeTranslationError, requestTranslation } from './translation.js';
+import {
+    buildLanguageOptions, getActiveSourceLang, getActiveTargetLang, resolveLanguagePair,
+    addConversationTurn, translateText
+} from './ui.js';
+
+/**
+ * Setup Web Speech API Recognition
+ */
+export function setupSpeechRecognition() {
+    if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
+        console.warn('Speech recognition not supported in this browser');
+        elements.micBtn.disabled = true;
+        elements.micBtn.title = 'Speech recognition not supported';
+        elements.conversationMicBtn.disabled = true;
+        elements.conversationMicBtn.title = 'Speech recognition not supported';
+        elements.interpreterView.querySelectorAll('.mic-btn').forEach(button => {
+            button.disabled = true;
+            button.title = 'Speech recognition not supported';
+        });
+        return;
+    }
+    
+    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    state.recognition = new SpeechRecognition();
+    state.recognition.continuous = true;
+    state.recognition.interimResults = true;
+    state.recognition.lang = getLanguage(getActiveSourceLang()).speech;
+    
+    state.recognition.onstart = () => {
+        state.isListening = true;
+        setMicButtonsListening(true);
+    };
+    
+    state.recognition.onend = () => {
+        state.isListening = false;
+        setMicButtonsListening(false);
+        updatePendingBubble(elements.transcript, '');
+        
+        // Keep listening for the selected speaker unless a translation is being spoken
+        if (state.interpreter.active && state.interpreter.side && !state.interpreter.speaking) {
+            startInterpreterRecognition();
+        }
+    };
+    
+    state.recognition.onresult = (event) => {
+        // Get only new results since last event
+        const newResults = [];
+        for (let i = event.resultIndex; i < event.results.length; i++) {
+            newResults.push({
+                transcript: event.results[i][0].transcript.trim(),
+                isFinal: event.results[i].isFinal
+            });
+        }
+        
+        if (state.interpreter.active) {
+            handleInterpreterResults(newResults);
+            return;
+        }
+        
+        // Process new results
+        let interimTranscript = '';
+        for (const result of newResults) {
+            if (result.transcript === '') continue;
+            
+            if (!result.isFinal) {
+                interimTranscript += (interimTranscript ? ' ' : '') + result.transcript;
+            } else if (state.conversationMode) {
+                // Each final utterance becomes its own transcript turn
+                addConversationTurn(result.transcript);
+            } else {
+                // Final result - add to source text and translate
+                const currentText = elements.sourceText.textContent.trim();
+                const separator = currentText ? ' ' : '';
+                elements.sourceText.textContent = currentText + separator + result.transcript;
+                
+                // Translate this specific utterance
+                translateText(result.transcript, { fromSpeech: true });
+            }
+        }
+        
+        // Show what is being said before it is final
+        if (state.conversationMode) {
+            updatePendingBubble(elements.transcript, interimTranscript);
+        }
+    };
+    
+    state.recognition.onerror = (event) => {
+        console.error('Speech recognition error:', event.error);
+        
+        if (event.error === 'not-allowed') {
+            state.interpreter.side = null;
+            alert('Microphone access denied. Please enable microphone permissions.');
+        } else if (event.error === 'no-speech') {
+            // No speech detected, restart listening
+            try {
+                state.recognition.start();
+            } catch (e) {
+                console.error('Failed to restart recognition:', e);
+            }
+        }
+        
+        state.isListening = false;
+        setMicButtonsListening(false);
+    };
+}
+
+/**
+ * Show the listening state on every mic button
+ */
+function setMicButtonsListening(listening) {
+    updateInterpreterMics();
+    
+    for (const button of [elements.micBtn, elements.conversationMicBtn]) {
+        // The class swaps the mic icon for the listening one
+        button.classList.toggle('listening', listening);
+    }
+}
+
+/**
+ * Open the face-to-face view, seeded with the current language pair
+ */
+export function openInterpreter() {
+    const bottom = getActiveSourceLang();
+    state.interpreter = {
+        active: true,
+        side: null,
+        speaking: false,
+        langs: { bottom, top: getActiveTargetLang(bottom) }
+    };
+    
+    if (state.isListening) {
+        state.recognition.stop();
+    }
+    
+    for (const side of ['top', 'bottom']) {
+        const half = getInterpreterHalf(side);
+        renderContent(half.querySelector('select'), ...buildLanguageOptions());
+        half.querySelector('select').value = state.interpreter.langs[side];
+        half.querySelector('.interp-heard').textContent = '';
+        half.querySelector('.interp-said').textContent = '';
+    }
+    
+    elements.interpreterView.hidden = false;
+    updateInterpreterMics();
+}
+
+/**
+ * Leave the face-to-face view and stop listening
+ */
+export function closeInterpreter() {
+    state.interpreter.active = false;
+    state.interpreter.side = null;
+    elements.interpreterView.hidden = true;
+    
+    if (state.isListening) {
+        state.recognition.stop();
+    }
+    stopSpeaking();
+}
+
+/**
+ * Get the half of the face-to-face view for a side ('top' or 'bottom')
+ */
+function getInterpreterHalf(side) {
+    return elements.interpreterView.querySelector(`.interp-half[data-side="${side}"]`);
+}
+
+/**
+ * Change the language spoken on one side
+ */
+export function setInterpreterLanguage(side, lang) {
+    state.interpreter.langs[side] = lang;
+    
+    // Restart so recognition picks up the new language
+    if (state.interpreter.side === side && state.isListening) {
+        state.recognition.stop();
+    }
+}
+
+/**
+ * Start or stop listening to the speaker on one side
+ */
+export function toggleInterpreterSide(side) {
+    if (!state.recognition) {
+        alert('Speech recognition is not supported in your browser');
+        return;
+    }
+    
+    if (state.interpreter.side === side) {
+        state.interpreter.side = null;
+        if (state.isListening) state.recognition.stop();
+        updateInterpreterMics();
+        return;
+    }
+    
+    state.interpreter.side = side;
+    
+    // onend restarts recognition with the new side's language
+    if (state.isListening) {
+        state.recognition.stop();
+    } else if (!state.interpreter.speaking) {
+        startInterpreterRecognition();
+    }
+    updateInterpreterMics();
+}
+
+/**
+ * Start recognition in the language of the selected side
+ */
+function startInterpreterRecognition() {
+    try {
+        state.recognition.lang = getLanguage(state.interpreter.langs[state.interpreter.side]).speech;
+        state.recognition.start();
+    } catch (error) {
+        console.error('Failed to start recognition:', error);
+    }
+}
+
+/**
+ * Highlight the mic of the side being listened to
+ */
+function updateInterpreterMics() {
+    for (const button of elements.interpreterView.querySelectorAll('.mic-btn[data-side]')) {
+        const selected = state.interpreter.side === button.dataset.side;
+        button.classList.toggle('selected', selected);
+        button.classList.toggle('listening', selected && state.isListening);
+    }
+}
+
+/**
+ * Show a speaker's words on their side and translate them for the other side
+ */
+function handleInterpreterResults(results) {
+    const from = state.interpreter.side;
+    if (!from) return;
+    
+    const interim = results.filter(result => !result.isFinal).map(result => result.transcript).join(' ');
+    const final = results.filter(result => result.isFinal).map(result => result.transcript).join(' ').trim();
+    
+    getInterpreterHalf(from).querySelector('.interp-said').textContent = final || interim;
+    
+    if (final) {
+        interpretUtterance(final, from);
+    }
+}
+
+/**
+ * Translate one utterance to the other side and speak it there.
+ * Recognition is paused until the speech ends so the mic doesn't hear it.
+ */
+async function interpretUtterance(text, from) {
+    const to = from === 'top' ? 'bottom' : 'top';
+    const pair = { source: state.interpreter.langs[from], target: state.interpreter.langs[to] };
+    const heard = getInterpreterHalf(to).querySelector('.interp-heard');
+    
+    state.interpreter.speaking = true;
+    if (state.isListening) {
+        state.recognition.stop();
+    }
+    
+    const resume = () => {
+        state.interpreter.speaking = false;
+        if (state.interpreter.active && state.interpreter.side && !state.isListening) {
+            startInterpreterRecognition();
+        }
+    };
+    
+    heard.classList.add('loading');
+    
+    try {
+        const result = await requestTranslation(text, pair);
+        
+        if (result.queued) {
+            heard.textContent = 'Offline - will translate when back online';
+            resume();
+            return;
+        }
+        
+        heard.textContent = result.translation;
+        speakText(result.translation, pair.target, { onEnd: resume });
+    } catch (error) {
+        console.error('Translation error:', error);
+        heard.textContent = describeTranslationError(error);
+        resume();
+    } finally {
+        heard.classList.remove('loading');
+    }
+}
+
+/**
+ * Toggle speech recognition
+ */
+export function toggleSpeechRecognition() {
+    if (!state.recognition) {
+        alert('Speech recognition is not supported in your browser');
+        return;
+    }
+    
+    if (state.isListening) {
+        state.recognition.stop();
+    } else {
+        try {
+            state.recognition.lang = getLanguage(getActiveSourceLang()).speech;
+            state.recognition.start();
+        } catch (error) {
+            console.error('Failed to start recognition:', error);
+        }
+    }
+}
+
+/**
+ * Speak text using browser's text-to-speech.
+ * Utterances are queued so consecutive translations don't cut each other off.
+ * options.interrupt drops the queue and stops current speech first;
+ * options.onEnd runs when this utterance finishes, fails or can't start.
+ */
+export function speakText(text, lang, { onEnd, interrupt = false } = {}) {
+    if (!state.synthesis) {
+        console.warn('Speech synthesis not supported');
+        if (onEnd) onEnd();
+        return;
+    }
+    
+    if (interrupt) {
+        stopSpeaking();
+    }
+    
+    state.speechQueue.push({ text, lang, onEnd });
+    
+    if (!state.currentSpeech) {
+        speakNext();
+    }
+}
+
+/**
+ * Speak the next queued utterance
+ */
+function speakNext() {
+    const item = state.speechQueue.shift();
+    if (!item) {
+        state.currentSpeech = null;
+        return;
+    }
+    
+    const utterance = new SpeechSynthesisUtterance(item.text);
+    utterance.lang = getLanguage(item.lang).tts;
+    utterance.rate = state.speechRate;
+    utterance.pitch = state.speechPitch;
+    utterance.volume = state.speechVolume;
+    
+    const voice = findVoice(state.speechVoices[item.lang]);
+    if (voice) {
+        utterance.voice = voice;
+    }
+    
+    const finish = () => {
+        // Ignore events from utterances dropped by stopSpeaking()
+        if (!state.currentSpeech || state.currentSpeech.utterance !== utterance) return;
+        if (item.onEnd) item.onEnd();
+        speakNext();
+    };
+    utterance.onend = finish;
+    utterance.onerror = finish;
+    
+    // Keep a reference so the utterance isn't garbage-collected mid-speech
+    state.currentSpeech = { utterance, onEnd: item.onEnd };
+    state.synthesis.speak(utterance);
+}
+
+/**
+ * Stop speaking and drop everything queued
+ */
+function stopSpeaking() {
+    const dropped = state.speechQueue.splice(0);
+    if (state.currentSpeech) {
+        dropped.unshift(state.currentSpeech);
+    }
+    state.currentSpeech = null;
+    
+    if (state.synthesis) {
+        state.synthesis.cancel();
+    }
+    
+    // Let callers waiting on stopped or dropped utterances carry on
+    dropped.forEach(item => item.onEnd && item.onEnd());
+}
+
+/**
+ * Find an installed voice by its voiceURI
+ */
+function findVoice(voiceURI) {
+    if (!voiceURI || !state.synthesis) return null;
+    return state.synthesis.getVoices().find(voice => voice.voiceURI === voiceURI) || null;
+}
+
+/**
+ * Populate the voice pickers, now and whenever the browser's voice list changes
+ */
+export function setupVoices() {
+    if (!state.synthesis) return;
+    
+    renderVoiceSettings();
+    
+    // Voices load asynchronously in most browsers
+    state.synthesis.addEventListener('voiceschanged', renderVoiceSettings);
+}
+
+/**
+ * Render a voice picker per registry language in the settings modal
+ */
+export function renderVoiceSettings() {
+    if (!elements.voiceSettings || !state.synthesis) return;
+    
+    const voices = state.synthesis.getVoices();
+    renderContent(elements.voiceSettings);
+    
+    for (const [code, lang] of Object.entries(LANGUAGES)) {
+        const row = document.createElement('label');
+        row.className = 'voice-row';
+        
+        const name = document.createElement('span');
+        name.textContent = lang.name;
+        
+        const select = document.createElement('select');
+        select.dataset.lang = code;
+        select.add(new Option('Default', ''));
+        
+        // Exact region matches first, then other voices for the same language
+        const primary = lang.tts.split('-')[0].toLowerCase();
+        voices
+            .filter(voice => voice.lang.replace('_', '-').split('-')[0].toLowerCase() === primary)
+            .sort((a, b) => Number(b.lang.replace('_', '-') === lang.tts) - Number(a.lang.replace('_', '-') === lang.tts))
+            .forEach(voice => select.add(new Option(`${voice.name} (${voice.lang})`, voice.voiceURI)));
+        
+        select.value = state.speechVoices[code] || '';
+        row.append(name, select);
+        elements.voiceSettings.appendChild(row);
+    }
+}
+
+/**
+ * Speak source text
+ */
+export function speakSourceText() {
+    const text = elements.sourceText.textContent.trim();
+    if (!text) return;
+    
+    speakText(text, resolveLanguagePair(text).source, { interrupt: true });
+}
+
+/**
+ * Speak target text
+ */
+export function speakTargetText() {
+    const text = elements.targetText.textContent.trim();
+    if (!text) return;
+    
+    speakText(text, getActiveTargetLang(getActiveSourceLang()), { interrupt: true });
+}
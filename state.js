@@ -0,0 +1,196 @@
+/**
+ * MiniMax Translator - App State
+ * Runtime state shared by the app modules, and the DOM elements they work with
+ */
+
+import { DEFAULT_PROVIDER_CHAIN, normalizeProviderChain } from './providers.js';
+import { CONFIG } from './config.js';
+
+// State Management
+export const state = {
+    isListening: false,
+    sourceLang: CONFIG.DEFAULT_SOURCE_LANG,
+    targetLang: CONFIG.DEFAULT_TARGET_LANG,
+    detectedLang: null,
+    apiKey: '',
+    // MiniMax endpoint or proxy URL; empty means CONFIG.API_BASE_URL
+    apiBaseUrl: '',
+    // 'device' when keys need no passphrase, else 'locked' or 'unlocked'
+    keyLock: 'device',
+    autoLockMinutes: CONFIG.AUTO_LOCK_MINUTES,
+    autoLockTimer: null,
+    providerChain: normalizeProviderChain(DEFAULT_PROVIDER_CHAIN),
+    openaiEndpoint: '',
+    openaiApiKey: '',
+    openaiModel: '',
+    glossary: [],
+    // Id of the glossary entry loaded into the form for editing
+    glossaryEditId: null,
+    // Reuse corrections for similar (not only identical) text
+    fuzzyCorrections: false,
+    autoTranslate: true,
+    speechRate: 1,
+    speechPitch: 1,
+    speechVolume: 1,
+    autoSpeak: false,
+    // Chosen voiceURI per language code; missing means the browser default
+    speechVoices: {},
+    // Utterances waiting to be spoken, and the one being spoken ({ utterance, onEnd })
+    speechQueue: [],
+    currentSpeech: null,
+    isOnline: navigator.onLine,
+    recognition: null,
+    synthesis: window.speechSynthesis,
+    debounceTimer: null,
+    // Target panel requests: a counter numbering each one, the number at or
+    // below which a response may no longer write to the panel, and the
+    // controllers of those still in flight
+    translationSeq: 0,
+    translationFloor: 0,
+    translationControllers: new Set(),
+    // What the target panel shows ({ sourceText, translation, pair }), and its
+    // sentence alignment ({ sourceText, translation, groups }) once compared
+    currentTranslation: null,
+    alignment: null,
+    alignmentMode: false,
+    // Sentence pair kept highlighted by a tap in the alignment view
+    alignmentPinned: null,
+    // Alternatives listed in the check dialog ([{ translation, provider }])
+    alternatives: [],
+    conversationMode: false,
+    // Face-to-face mode: languages per half, the side currently listening,
+    // and whether recognition is paused while a translation is spoken
+    interpreter: { active: false, side: null, speaking: false, langs: { top: 'en', bottom: 'zh' } },
+    cacheMaxEntries: CONFIG.CACHE_MAX_ENTRIES,
+    cacheMaxMB: CONFIG.CACHE_MAX_MB,
+    outboxCollection: Promise.resolve(),
+    // Ids of document jobs currently being translated
+    runningDocuments: new Set(),
+    // Document job id -> promise of its run, kept until a paused run has
+    // finished its last segments
+    documentRuns: new Map()
+};
+
+// DOM Elements
+export const elements = {
+    sourceText: document.getElementById('sourceText'),
+    targetText: document.getElementById('targetText'),
+    sourceLangLabel: document.getElementById('sourceLangLabel'),
+    targetLangLabel: document.getElementById('targetLangLabel'),
+    providerLabel: document.getElementById('providerLabel'),
+    similarSuggestion: document.getElementById('similarSuggestion'),
+    micBtn: document.getElementById('micBtn'),
+    translationArea: document.getElementById('translationArea'),
+    conversationBtn: document.getElementById('conversationBtn'),
+    conversationView: document.getElementById('conversationView'),
+    transcript: document.getElementById('transcript'),
+    conversationMicBtn: document.getElementById('conversationMicBtn'),
+    conversationInput: document.getElementById('conversationInput'),
+    conversationForm: document.getElementById('conversationForm'),
+    clearTranscriptBtn: document.getElementById('clearTranscript'),
+    interpreterBtn: document.getElementById('interpreterBtn'),
+    interpreterView: document.getElementById('interpreterView'),
+    closeInterpreter: document.getElementById('closeInterpreter'),
+    sourceLangSelect: document.getElementById('sourceLangSelect'),
+    targetLangSelect: document.getElementById('targetLangSelect'),
+    swapLangBtn: document.getElementById('swapLangBtn'),
+    speakSource: document.getElementById('speakSource'),
+    speakTarget: document.getElementById('speakTarget'),
+    clearSource: document.getElementById('clearSource'),
+    copyTarget: document.getElementById('copyTarget'),
+    alignTarget: document.getElementById('alignTarget'),
+    alignmentView: document.getElementById('alignmentView'),
+    alignmentTitle: document.getElementById('alignmentTitle'),
+    closeAlignment: document.getElementById('closeAlignment'),
+    alignmentGrid: document.getElementById('alignmentGrid'),
+    alignmentSource: document.getElementById('alignmentSource'),
+    alignmentTarget: document.getElementById('alignmentTarget'),
+    alignmentStatus: document.getElementById('alignmentStatus'),
+    verifyTarget: document.getElementById('verifyTarget'),
+    verifyModal: document.getElementById('verifyModal'),
+    closeVerify: document.getElementById('closeVerify'),
+    verifyBackTranslation: document.getElementById('verifyBackTranslation'),
+    verifySimilarity: document.getElementById('verifySimilarity'),
+    alternativeForm: document.getElementById('alternativeForm'),
+    alternativeStyle: document.getElementById('alternativeStyle'),
+    alternativeCount: document.getElementById('alternativeCount'),
+    requestAlternatives: document.getElementById('requestAlternatives'),
+    alternativeList: document.getElementById('alternativeList'),
+    verifyStatus: document.getElementById('verifyStatus'),
+    connectionStatus: document.getElementById('connectionStatus'),
+    offlineBanner: document.getElementById('offlineBanner'),
+    installBtn: document.getElementById('installBtn'),
+    settingsModal: document.getElementById('settingsModal'),
+    openSettings: document.getElementById('openSettings'),
+    closeSettings: document.getElementById('closeSettings'),
+    apiKeyInput: document.getElementById('apiKey'),
+    apiBaseUrlInput: document.getElementById('apiBaseUrl'),
+    providerList: document.getElementById('providerList'),
+    openaiEndpointInput: document.getElementById('openaiEndpoint'),
+    openaiModelInput: document.getElementById('openaiModel'),
+    openaiApiKeyInput: document.getElementById('openaiApiKey'),
+    passphraseForm: document.getElementById('passphraseForm'),
+    newPassphrase: document.getElementById('newPassphrase'),
+    confirmPassphrase: document.getElementById('confirmPassphrase'),
+    setPassphraseBtn: document.getElementById('setPassphrase'),
+    removePassphraseBtn: document.getElementById('removePassphrase'),
+    lockKeysBtn: document.getElementById('lockKeys'),
+    autoLockMinutesInput: document.getElementById('autoLockMinutes'),
+    keyLockStatus: document.getElementById('keyLockStatus'),
+    unlockModal: document.getElementById('unlockModal'),
+    closeUnlock: document.getElementById('closeUnlock'),
+    unlockForm: document.getElementById('unlockForm'),
+    unlockPassphrase: document.getElementById('unlockPassphrase'),
+    forgetKeysBtn: document.getElementById('forgetKeys'),
+    unlockStatus: document.getElementById('unlockStatus'),
+    autoTranslateInput: document.getElementById('autoTranslate'),
+    speechRateInput: document.getElementById('speechRate'),
+    speechRateValue: document.getElementById('speechRateValue'),
+    speechPitchInput: document.getElementById('speechPitch'),
+    speechPitchValue: document.getElementById('speechPitchValue'),
+    speechVolumeInput: document.getElementById('speechVolume'),
+    speechVolumeValue: document.getElementById('speechVolumeValue'),
+    autoSpeakInput: document.getElementById('autoSpeak'),
+    voiceSettings: document.getElementById('voiceSettings'),
+    glossaryList: document.getElementById('glossaryList'),
+    glossaryForm: document.getElementById('glossaryForm'),
+    glossarySourceLang: document.getElementById('glossarySourceLang'),
+    glossaryTargetLang: document.getElementById('glossaryTargetLang'),
+    glossarySourceInput: document.getElementById('glossarySource'),
+    glossaryTargetInput: document.getElementById('glossaryTarget'),
+    glossaryCaseSensitive: document.getElementById('glossaryCaseSensitive'),
+    glossaryWholeWord: document.getElementById('glossaryWholeWord'),
+    glossarySubmit: document.getElementById('glossarySubmit'),
+    glossaryImport: document.getElementById('glossaryImport'),
+    glossaryStatus: document.getElementById('glossaryStatus'),
+    clearCacheBtn: document.getElementById('clearCache'),
+    backupIncludeKeys: document.getElementById('backupIncludeKeys'),
+    exportBackupBtn: document.getElementById('exportBackup'),
+    exportCsvBtn: document.getElementById('exportCsv'),
+    exportTmxBtn: document.getElementById('exportTmx'),
+    importMode: document.getElementById('importMode'),
+    dataImport: document.getElementById('dataImport'),
+    backupStatus: document.getElementById('backupStatus'),
+    importReport: document.getElementById('importReport'),
+    fuzzyCorrectionsInput: document.getElementById('fuzzyCorrections'),
+    correctionStats: document.getElementById('correctionStats'),
+    correctionList: document.getElementById('correctionList'),
+    clearCorrectionsBtn: document.getElementById('clearCorrections'),
+    cacheMaxEntriesInput: document.getElementById('cacheMaxEntries'),
+    cacheMaxMBInput: document.getElementById('cacheMaxMB'),
+    cacheStats: document.getElementById('cacheStats'),
+    documentsModal: document.getElementById('documentsModal'),
+    openDocuments: document.getElementById('openDocuments'),
+    closeDocuments: document.getElementById('closeDocuments'),
+    documentDropZone: document.getElementById('documentDropZone'),
+    documentInput: document.getElementById('documentInput'),
+    documentStatus: document.getElementById('documentStatus'),
+    documentList: document.getElementById('documentList'),
+    historyModal: document.getElementById('historyModal'),
+    openHistory: document.getElementById('openHistory'),
+    closeHistory: document.getElementById('closeHistory'),
+    historySearch: document.getElementById('historySearch'),
+    historyStarredOnly: document.getElementById('historyStarredOnly'),
+    historyList: document.getElementById('historyList'),
+    clearHistoryBtn: document.getElementById('clearHistory')
+};
@@ -3,7 +3,12 @@
  * Provides offline capabilities and caching
  */
 
-const CACHE_NAME = 'minimax-translator-v1';
+// Shared with the app: key store and outbox used for sync. Registered as a
+// module worker (see setupServiceWorker in app.js).
+import { setUnlockedKey, lockKeystore } from './keystore.js';
+import { OUTBOX_SYNC_TAG, processOutbox } from './outbox.js';
+
+const CACHE_NAME = 'minimax-translator-v3';
 const OFFLINE_URL = 'offline.html';
 
 // Assets to cache immediately on install
@@ -12,6 +17,33 @@ const PRECACHE_ASSETS = [
     './index.html',
     './styles.css',
     './app.js',
+    './config.js',
+    './state.js',
+    './settings.js',
+    './translation.js',
+    './cache.js',
+    './speech.js',
+    './ui.js',
+    './panels.js',
+    './render.js',
+    './languages.js',
+    './detect.js',
+    './db.js',
+    './keystore.js',
+    './history.js',
+    './cache-store.js',
+    './outbox.js',
+    './segmenter.js',
+    './alignment.js',
+    './similarity.js',
+    './corrections.js',
+    './interchange.js',
+    './backup.js',
+    './glossary.js',
+    './documents.js',
+    './conversation.js',
+    './minimax-client.js',
+    './providers.js',
     './manifest.json',
     './icons/icon-72.png',
     './icons/icon-96.png',
@@ -197,7 +229,7 @@ async function fetchAndCache(request) {
 self.addEventListener('sync', (event) => {
     console.log('[ServiceWorker] Sync event:', event.tag);
     
-    if (event.tag === 'sync-translations') {
+    if (event.tag === OUTBOX_SYNC_TAG) {
         event.waitUntil(syncTranslations());
     }
 });
@@ -206,65 +238,18 @@ self.addEventListener('sync', (event) => {
  * Sync pending translations when back online
  */
 async function syncTranslations() {
-    try {
-        // Get pending translations from IndexedDB
-        const pendingTranslations = await getPendingTranslations();
-        
-        for (const translation of pendingTranslations) {
-            try {
-                const response = await fetch('https://api.minimax.chat/v1/text/translate', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${translation.apiKey}`
-                    },
-                    body: JSON.stringify({
-                        source_lang: translation.sourceLang,
-                        target_lang: translation.targetLang,
-                        text: translation.text
-                    })
-                });
-                
-                if (response.ok) {
-                    // Remove from pending
-                    await removePendingTranslation(translation.id);
-                    
-                    // Notify the client
-                    const clients = await self.clients.matchAll();
-                    clients.forEach(client => {
-                        client.postMessage({
-                            type: 'TRANSLATION_SYNCED',
-                            originalText: translation.text,
-                            id: translation.id
-                        });
-                    });
-                }
-            } catch (error) {
-                console.error('[Sync] Translation failed:', error);
-            }
-        }
-    } catch (error) {
-        console.error('[Sync] Error:', error);
+    const failed = await processOutbox(async (message) => {
+        // Notify open clients so they can show the result
+        const clients = await self.clients.matchAll();
+        clients.forEach(client => client.postMessage(message));
+    });
+    
+    if (failed > 0) {
+        // Rejecting lets the browser retry the sync later
+        throw new Error(`${failed} translations still pending`);
     }
 }
 
-/**
- * Get pending translations from IndexedDB
- */
-async function getPendingTranslations() {
-    // This is a simplified implementation
-    // In production, you'd use proper IndexedDB operations
-    return [];
-}
-
-/**
- * Remove pending translation from IndexedDB
- */
-async function removePendingTranslation(id) {
-    // This is a simplified implementation
-    // In production, you'd use proper IndexedDB operations
-}
-
 // Push notifications for translation completed
 self.addEventListener('push', (event) => {
     console.log('[ServiceWorker] Push received');
@@ -328,7 +313,31 @@ self.addEventListener('notificationclick', (event) => {
 
 // Message handling from main app
 self.addEventListener('message', (event) => {
-    console.log('[ServiceWorker] Message received:', event.data);
+    console.log('[ServiceWorker] Message received:', event.data && event.data.type);
+    
+    // Browsers without Background Sync ask for a replay when they come back online
+    if (event.data.type === 'SYNC_TRANSLATIONS') {
+        event.waitUntil(
+            syncTranslations().catch((error) => {
+                console.error('[Sync] Error:', error);
+            })
+        );
+    }
+    
+    // The app shares its passphrase-derived key while unlocked so queued
+    // translations can be sent; it only lives in this worker's memory
+    if (event.data.type === 'UNLOCK_KEYS') {
+        setUnlockedKey(event.data.key);
+        event.waitUntil(
+            syncTranslations().catch((error) => {
+                console.error('[Sync] Error:', error);
+            })
+        );
+    }
+    
+    if (event.data.type === 'LOCK_KEYS') {
+        lockKeystore();
+    }
     
     if (event.data.type === 'SKIP_WAITING') {
         self.skipWaiting();
@@ -1,30 +1,105 @@
 /**
  * Playwright Test for MiniMax Translator App
- * Tests basic functionality and UI elements
+ * Tests basic functionality and UI elements, and translation against the
+ * mock MiniMax server. Exits non-zero on the first failed check.
  */
 
 import { chromium } from 'playwright';
+import { createServer } from 'http';
+import { readFile } from 'fs/promises';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, extname, sep } from 'path';
+import { createMockMiniMax, MOCK_TRANSLATE_PATH } from './server/mock-minimax.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+const CONTENT_TYPES = {
+    '.html': 'text/html',
+    '.js': 'text/javascript',
+    '.css': 'text/css',
+    '.json': 'application/json',
+    '.png': 'image/png'
+};
+
+/**
+ * Serve the app over HTTP; browsers don't load ES modules from file:// URLs.
+ * Resolves to the server, listening on a free port.
+ */
+function serveApp() {
+    const server = createServer(async (request, response) => {
+        let path = join(__dirname, decodeURIComponent(new URL(request.url, 'http://localhost').pathname));
+        if (path.endsWith(sep)) path = join(path, 'index.html');
+        
+        try {
+            if (!path.startsWith(__dirname + sep)) throw new Error('Outside the app');
+            const body = await readFile(path);
+            response.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(path)] || 'application/octet-stream' });
+            response.end(body);
+        } catch (error) {
+            response.writeHead(404).end();
+        }
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+/**
+ * Fail the test when a check doesn't hold, log it when it does
+ */
+function check(condition, message, actual) {
+    if (!condition) {
+        throw new Error(actual === undefined ? message : `${message} (got ${JSON.stringify(actual)})`);
+    }
+    console.log(`✓ ${message}`);
+}
+
+/**
+ * Wait until the translation panel has settled on a result
+ */
+async function waitForTranslation(page, expected) {
+    await page.waitForFunction(text => {
+        const target = document.getElementById('targetText');
+        return !target.classList.contains('loading') && target.textContent.includes(text);
+    }, expected, { timeout: 5000 }).catch(() => {});
+    return page.$eval('#targetText', el => el.textContent);
+}
+
 async function testTranslatorApp() {
     console.log('Starting MiniMax Translator App Test...\n');
     
-    // Launch browser
-    const browser = await chromium.launch({
-        headless: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
+    // Translations come from the local mock, never the real API
+    const mock = createMockMiniMax();
+    const mockUrl = await mock.listen();
+    const appServer = await serveApp();
+    const appUrl = `http://127.0.0.1:${appServer.address().port}`;
     
-    const context = await browser.newContext();
+    // Launch browser; without one, stop the servers so the process can exit
+    let browser;
+    try {
+        browser = await chromium.launch({
+            headless: true,
+            args: ['--no-sandbox', '--disable-setuid-sandbox']
+        });
+    } catch (error) {
+        mock.server.close();
+        appServer.close();
+        throw error;
+    }
+    
+    // Without the service worker, requests go straight to the routes and the mock
+    const context = await browser.newContext({ serviceWorkers: 'block' });
     const page = await context.newPage();
     
+    // The Google fallback answers "[G] <text>" without leaving the machine
+    await context.route('https://translate.googleapis.com/**', route => {
+        const text = new URL(route.request().url()).searchParams.get('q');
+        route.fulfill({ contentType: 'application/json', body: JSON.stringify([[[`[G] ${text}`, text]]]) });
+    });
+    
     // Collect console messages
     const consoleMessages = [];
     const consoleErrors = [];
+    const pageErrors = [];
     
     page.on('console', msg => {
         const text = msg.text();
@@ -36,12 +111,12 @@ async function testTranslatorApp() {
     
     page.on('pageerror', error => {
         consoleErrors.push(`Page Error: ${error.message}`);
+        pageErrors.push(error.message);
     });
     
     try {
         // Navigate to the app
-        const appPath = join(__dirname, 'index.html');
-        await page.goto(`file://${appPath}`, { waitUntil: 'domcontentloaded' });
+        await page.goto(`${appUrl}/index.html`, { waitUntil: 'domcontentloaded' });
         
         console.log('✓ Page loaded successfully');
         
@@ -50,43 +125,59 @@ async function testTranslatorApp() {
         
         // Test 1: Check title
         const title = await page.title();
-        console.log(`✓ Title: ${title}`);
+        check(title.includes('MiniMax'), `Title: ${title}`);
         
         // Test 2: Check main elements exist
         const elements = {
             'Header': 'h1',
-            'Language Toggle (ZH→EN)': '#zhEnBtn',
-            'Language Toggle (EN→ZH)': '#enZhBtn',
+            'Source Language Select': '#sourceLangSelect',
+            'Target Language Select': '#targetLangSelect',
+            'Swap Languages Button': '#swapLangBtn',
             'Source Text Panel': '#sourceText',
             'Target Text Panel': '#targetText',
+            'Compare Sentences Button': '#alignTarget',
+            'Check Translation Button': '#verifyTarget',
+            'Provider Label': '#providerLabel',
             'Microphone Button': '#micBtn',
             'Settings Button': '#openSettings',
+            'History Button': '#openHistory',
+            'Documents Button': '#openDocuments',
+            'Conversation Button': '#conversationBtn',
+            'Face-to-Face Button': '#interpreterBtn',
             'Settings Modal': '#settingsModal'
         };
         
         console.log('\n--- Testing UI Elements ---');
         for (const [name, selector] of Object.entries(elements)) {
             const element = await page.$(selector);
-            if (element) {
-                console.log(`✓ ${name} found`);
-            } else {
-                console.log(`✗ ${name} NOT FOUND (${selector})`);
-            }
+            check(element, `${name} found`, selector);
         }
         
-        // Test 3: Test language toggle
-        console.log('\n--- Testing Language Toggle ---');
-        await page.click('#enZhBtn');
+        // Test 3: Test language selection
+        console.log('\n--- Testing Language Selection ---');
+        await page.selectOption('#targetLangSelect', 'ja');
         await page.waitForTimeout(200);
         
-        const enZhActive = await page.$eval('#enZhBtn', el => el.classList.contains('active'));
-        console.log(`✓ EN→ZH button active: ${enZhActive}`);
+        const targetLabel = await page.$eval('#targetLangLabel', el => el.textContent);
+        check(targetLabel === '日本語', `Target label after selecting Japanese: ${targetLabel}`, targetLabel);
         
-        await page.click('#zhEnBtn');
+        await page.click('#swapLangBtn');
         await page.waitForTimeout(200);
         
-        const zhEnActive = await page.$eval('#zhEnBtn', el => el.classList.contains('active'));
-        console.log(`✓ ZH→EN button active: ${zhEnActive}`);
+        const swapped = await page.$eval('#sourceLangSelect', el => el.value);
+        check(swapped === 'ja', `Source language after swap: ${swapped}`, swapped);
+        
+        await page.selectOption('#sourceLangSelect', 'auto');
+        await page.fill('#sourceText', 'こんにちは');
+        await page.waitForTimeout(800);
+        
+        const detectedLabel = await page.$eval('#sourceLangLabel', el => el.textContent);
+        check(detectedLabel === 'Auto · 日本語', `Auto-detected source label: ${detectedLabel}`, detectedLabel);
+        
+        await page.fill('#sourceText', '');
+        await page.selectOption('#sourceLangSelect', 'zh');
+        await page.selectOption('#targetLangSelect', 'en');
+        await page.waitForTimeout(200);
         
         // Test 4: Test typing and translation
         console.log('\n--- Testing Text Input ---');
@@ -94,7 +185,149 @@ async function testTranslatorApp() {
         await page.waitForTimeout(500);
         
         const sourceText = await page.$eval('#sourceText', el => el.textContent);
-        console.log(`✓ Source text entered: "${sourceText}"`);
+        check(sourceText === 'Hello world', `Source text entered: "${sourceText}"`, sourceText);
+        
+        // Long text is split at Chinese and English sentence ends
+        const segments = await page.evaluate(async () => {
+            const { segmentText } = await import('./segmenter.js');
+            return segmentText('第一句。第二句！Third one. Fourth?', 10).length;
+        });
+        check(segments === 3, `Long text segments: ${segments}`, segments);
+        
+        // Sentences of a translation are paired with their source
+        const alignedPairs = await page.evaluate(async () => {
+            const { alignSentences } = await import('./alignment.js');
+            return alignSentences('第一句。第二句！', 'First one. Second one!').length;
+        });
+        check(alignedPairs === 2, `Aligned sentence pairs: ${alignedPairs}`, alignedPairs);
+        
+        // Back-translation similarity ignores punctuation and width
+        const similarity = await page.evaluate(async () => {
+            const { getTextSimilarity } = await import('./similarity.js');
+            return getTextSimilarity('今天天气很好。', '今天天气很好');
+        });
+        check(similarity === 1, `Back-translation similarity: ${similarity}`, similarity);
+        
+        // The translation panel accepts corrections
+        const targetEditable = await page.$eval('#targetText', el => el.isContentEditable);
+        check(targetEditable, 'Target panel editable');
+        
+        // Cache keys ignore spacing, width and a trailing full stop
+        const sameKey = await page.evaluate(async () => {
+            const { buildCacheKey } = await import('./cache-store.js');
+            return buildCacheKey('zh', 'en', '你好。 ') === buildCacheKey('zh', 'en', '你好');
+        });
+        check(sameKey, 'Normalized cache keys match');
+        
+        // Backups are checked against the schema; bad records are skipped, not fatal
+        const checked = await page.evaluate(async () => {
+            const { validateBackup, BACKUP_FORMAT, BACKUP_VERSION } = await import('./backup.js');
+            const backup = validateBackup({
+                format: BACKUP_FORMAT,
+                version: BACKUP_VERSION,
+                settings: { speechRate: 1.5, autoSpeak: 'yes' },
+                cache: [{ sourceLang: 'zh', targetLang: 'en', text: '你好', translation: 'Hello' }, { text: 1 }]
+            });
+            return `${Object.keys(backup.settings)} / ${backup.cache.length} / ${backup.problems.length}`;
+        });
+        check(checked === 'speechRate / 1 / 2', `Backup validation (settings / cache / problems): ${checked}`, checked);
+        
+        // XLIFF sources become segments with their inline tags protected
+        const xliffSegments = await page.evaluate(async () => {
+            const { parseDocument } = await import('./documents.js');
+            return parseDocument(
+                '<xliff version="1.2"><file><body><trans-unit id="1"><source>Hello <g id="1">world</g></source></trans-unit></body></file></xliff>',
+                'xliff'
+            ).segments.map(segment => segment.text);
+        });
+        check(xliffSegments.length === 1 && xliffSegments[0] === 'Hello {{0}}world{{1}}', `XLIFF segments: ${JSON.stringify(xliffSegments)}`, xliffSegments);
+        
+        // MiniMax error codes map to typed errors
+        const errorType = await page.evaluate(async () => {
+            const { createStatusCodeError } = await import('./minimax-client.js');
+            return createStatusCodeError(1004, 'invalid key').type;
+        });
+        check(errorType === 'auth', `MiniMax error type for code 1004: ${errorType}`, errorType);
+        
+        console.log('\n--- Testing Safe Rendering ---');
+        
+        // A failed translation shows the original text without running markup in it
+        const fallback = await page.evaluate(async () => {
+            const { state } = await import('./state.js');
+            const { translateText } = await import('./ui.js');
+            const originalFetch = window.fetch;
+            const originalChain = state.providerChain;
+            window.fetch = async () => new Response(JSON.stringify({ base_resp: { status_code: 1004, status_msg: 'invalid key' } }));
+            state.apiKey = 'test-key';
+            state.providerChain = [{ id: 'minimax', enabled: true }];
+            try {
+                await translateText('<img src=x onerror="window.__xss = 1">');
+            } finally {
+                window.fetch = originalFetch;
+                state.providerChain = originalChain;
+                state.apiKey = '';
+            }
+            const target = document.getElementById('targetText');
+            return { images: target.querySelectorAll('img').length, text: target.textContent, xss: window.__xss };
+        });
+        if (fallback.images > 0 || fallback.xss !== undefined || !fallback.text.includes('<img')) {
+            throw new Error(`Fallback message rendered markup: ${JSON.stringify(fallback)}`);
+        }
+        console.log('✓ Fallback message shows markup as text');
+        
+        // Pasting HTML into the source panel keeps only its text
+        await page.evaluate(() => {
+            const source = document.getElementById('sourceText');
+            const data = new DataTransfer();
+            data.setData('text/html', '<img src=x onerror="window.__xss = 2"><b>bold</b>');
+            source.textContent = '';
+            source.focus();
+            source.dispatchEvent(new ClipboardEvent('paste', { clipboardData: data, bubbles: true, cancelable: true }));
+        });
+        await page.waitForTimeout(100);
+        const pasted = await page.evaluate(() => {
+            const source = document.getElementById('sourceText');
+            return { elements: source.children.length, text: source.textContent, xss: window.__xss };
+        });
+        if (pasted.elements > 0 || pasted.xss !== undefined || pasted.text !== 'bold') {
+            throw new Error(`Paste kept markup: ${JSON.stringify(pasted)}`);
+        }
+        console.log('✓ Pasted HTML becomes plain text');
+        
+        console.log('\n--- Testing API Key Storage ---');
+        
+        // Keys are encrypted at rest, queued requests only name them, and a
+        // passphrase lock rejects the wrong passphrase
+        const keyStorage = await page.evaluate(async () => {
+            const { dbGet } = await import('./db.js');
+            const { KEYSTORE_STORE, toKeyRefs, setPassphrase, lockKeystore, unlockKeystore, loadSecrets, removePassphrase } = await import('./keystore.js');
+            const { getProviderSettings, getApiKeys } = await import('./settings.js');
+            const input = document.getElementById('apiKey');
+            input.value = 'test-secret';
+            input.dispatchEvent(new Event('change'));
+            await new Promise(resolve => setTimeout(resolve, 200));
+            
+            const record = await dbGet(KEYSTORE_STORE, 'apiKey');
+            const queued = toKeyRefs(getProviderSettings());
+            
+            await setPassphrase('correct horse', getApiKeys());
+            lockKeystore();
+            const wrong = await unlockKeystore('wrong horse').catch(error => error.name);
+            await unlockKeystore('correct horse');
+            const secrets = await loadSecrets();
+            await removePassphrase({ apiKey: '', openaiApiKey: '' });
+            
+            return {
+                plaintext: localStorage.getItem('minimax_api_key') !== null || new TextDecoder().decode(record.data).includes('test-secret'),
+                queued: 'apiKey' in queued ? 'raw key' : queued.keyRefs.join(','),
+                wrong,
+                unlocked: secrets.apiKey
+            };
+        });
+        if (keyStorage.plaintext || keyStorage.queued !== 'apiKey' || keyStorage.wrong !== 'WrongPassphraseError' || keyStorage.unlocked !== 'test-secret') {
+            throw new Error(`API key storage: ${JSON.stringify(keyStorage)}`);
+        }
+        console.log('✓ API key encrypted, queued by reference and locked by passphrase');
         
         // Test 5: Test settings modal
         console.log('\n--- Testing Settings Modal ---');
@@ -102,22 +335,110 @@ async function testTranslatorApp() {
         await page.waitForTimeout(300);
         
         const modalVisible = await page.$eval('#settingsModal', el => el.classList.contains('show'));
-        console.log(`✓ Settings modal opens: ${modalVisible}`);
+        check(modalVisible, 'Settings modal opens');
         
         // Check API key input exists
         const apiKeyInput = await page.$('#apiKey');
-        console.log(`✓ API key input exists: ${!!apiKeyInput}`);
+        check(apiKeyInput, 'API key input exists');
+        
+        // Check cache statistics are shown
+        await page.waitForTimeout(200);
+        const cacheStats = await page.$eval('#cacheStats', el => el.textContent);
+        check(cacheStats.trim() !== '', `Cache stats: ${cacheStats}`);
+        
+        // Check provider chain is rendered
+        const providerCount = await page.$$eval('#providerList .provider-item', items => items.length);
+        check(providerCount === 4, `Providers listed: ${providerCount}`, providerCount);
+        
+        // Check voice settings are rendered, one picker per language
+        const voicePickers = await page.$$eval('#voiceSettings select', selects => selects.length);
+        const languageCount = await page.evaluate(async () => {
+            const { LANGUAGES } = await import('./languages.js');
+            return Object.keys(LANGUAGES).length;
+        });
+        const autoSpeakInput = await page.$('#autoSpeak');
+        check(voicePickers === languageCount && autoSpeakInput, `Voice pickers: ${voicePickers}, auto-speak option: ${!!autoSpeakInput}`);
+        
+        // Add a glossary term and check it is listed
+        await page.fill('#glossarySource', 'MiniMax');
+        await page.fill('#glossaryTarget', 'MiniMax');
+        await page.click('#glossarySubmit');
+        const glossaryCount = await page.$$eval('#glossaryList .glossary-item', items => items.length);
+        check(glossaryCount === 1, `Glossary terms listed: ${glossaryCount}`, glossaryCount);
         
         // Close modal
         await page.click('#closeSettings');
         await page.waitForTimeout(300);
         
+        // Test 4b: Test conversation mode
+        console.log('\n--- Testing Conversation Mode ---');
+        await page.click('#conversationBtn');
+        await page.waitForTimeout(200);
+        
+        const conversationVisible = await page.$eval('#conversationView', el => !el.hidden);
+        check(conversationVisible, 'Conversation view shown');
+        
+        await page.fill('#conversationInput', 'Hello');
+        await page.press('#conversationInput', 'Enter');
+        await page.waitForTimeout(500);
+        
+        const turnCount = await page.$$eval('.transcript-turn', turns => turns.length);
+        check(turnCount === 1, `Transcript turns: ${turnCount}`, turnCount);
+        
+        await page.click('#conversationBtn');
+        await page.waitForTimeout(200);
+        
+        // Test 4c: Test face-to-face mode
+        console.log('\n--- Testing Face-to-Face Mode ---');
+        await page.click('#interpreterBtn');
+        await page.waitForTimeout(200);
+        
+        const interpreterVisible = await page.$eval('#interpreterView', el => !el.hidden);
+        const sideLangs = await page.$$eval('#interpreterView select', selects => selects.map(s => s.value));
+        check(interpreterVisible && sideLangs.length === 2, `Face-to-face view shown (${sideLangs.join(' / ')})`);
+        
+        await page.click('#closeInterpreter');
+        await page.waitForTimeout(200);
+        
+        // Test 5b: Test history panel
+        console.log('\n--- Testing History Panel ---');
+        await page.click('#openHistory');
+        await page.waitForTimeout(300);
+        
+        const historyVisible = await page.$eval('#historyModal', el => el.classList.contains('show'));
+        check(historyVisible, 'History panel opens');
+        
+        await page.fill('#historySearch', 'hello');
+        await page.waitForTimeout(200);
+        console.log('✓ History search accepts input');
+        
+        await page.click('#closeHistory');
+        await page.waitForTimeout(300);
+        
+        // Test 5c: Test document translation
+        console.log('\n--- Testing Document Translation ---');
+        await page.click('#openDocuments');
+        await page.waitForTimeout(300);
+        
+        await page.setInputFiles('#documentInput', {
+            name: 'sample.srt',
+            mimeType: 'text/plain',
+            buffer: Buffer.from('1\n00:00:01,000 --> 00:00:02,000\nHello\n')
+        });
+        await page.waitForTimeout(500);
+        
+        const documentCount = await page.$$eval('#documentList .document-item', items => items.length);
+        check(documentCount === 1, `Document jobs listed: ${documentCount}`, documentCount);
+        
+        await page.click('#closeDocuments');
+        await page.waitForTimeout(300);
+        
         // Test 6: Check service worker registration
         console.log('\n--- Testing Service Worker ---');
         const swRegistered = await page.evaluate(() => {
             return 'serviceWorker' in navigator;
         });
-        console.log(`✓ Service Worker supported: ${swRegistered}`);
+        check(swRegistered, 'Service Worker supported');
         
         // Test 7: Check manifest
         console.log('\n--- Testing PWA Manifest ---');
@@ -125,12 +446,86 @@ async function testTranslatorApp() {
             const link = document.querySelector('link[rel="manifest"]');
             return !!link;
         });
-        console.log(`✓ Manifest link exists: ${manifestExists}`);
+        check(manifestExists, 'Manifest link exists');
         
         // Test 8: Check connection status
         console.log('\n--- Testing Connection Status ---');
         const connectionStatus = await page.$('.connection-status');
-        console.log(`✓ Connection status element exists: ${!!connectionStatus}`);
+        check(connectionStatus, 'Connection status element exists');
+        
+        console.log('\n--- Testing Translation (mock MiniMax) ---');
+        
+        // Point the app at the mock; the Google fallback stays enabled
+        await page.evaluate(async ({ endpoint }) => {
+            for (const [id, value] of [['apiBaseUrl', endpoint], ['apiKey', 'mock-key']]) {
+                const input = document.getElementById(id);
+                input.value = value;
+                input.dispatchEvent(new Event('change'));
+            }
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }, { endpoint: mockUrl + MOCK_TRANSLATE_PATH });
+        await page.selectOption('#sourceLangSelect', 'zh');
+        await page.selectOption('#targetLangSelect', 'en');
+        mock.reset();
+        
+        await page.fill('#sourceText', '你好');
+        const translated = await waitForTranslation(page, '[EN] 你好');
+        const provider = await page.$eval('#providerLabel', el => el.textContent);
+        check(translated === '[EN] 你好' && provider === 'via MiniMax', `MiniMax translation: ${translated} ${provider}`, { translated, provider });
+        const sent = mock.requests.at(-1);
+        check(sent && sent.body.source_lang === 'ZH' && sent.body.target_lang === 'EN' && sent.headers.authorization === 'Bearer mock-key',
+            'Request sent to the configured endpoint with the stored key', sent && sent.body);
+        
+        // The same text again comes from the cache without a request
+        const requestCount = mock.requests.length;
+        await page.fill('#sourceText', '');
+        await page.fill('#sourceText', '你好。');
+        await waitForTranslation(page, '[EN] 你好');
+        const cachedProvider = await page.$eval('#providerLabel', el => el.textContent);
+        check(mock.requests.length === requestCount && cachedProvider === 'via Cache', 'Repeated text served from cache', cachedProvider);
+        
+        // A MiniMax error falls back to Google
+        mock.enqueue({ error: 1004 });
+        await page.fill('#sourceText', '谢谢');
+        const fallbackText = await waitForTranslation(page, '[G] 谢谢');
+        const fallbackProvider = await page.$eval('#providerLabel', el => el.textContent);
+        check(fallbackText === '[G] 谢谢' && fallbackProvider === 'via Google', 'Falls back to Google on a MiniMax error', { fallbackText, fallbackProvider });
+        
+        // Switching the target language translates again into the new one
+        await page.fill('#sourceText', '再见');
+        await waitForTranslation(page, '[EN] 再见');
+        await page.selectOption('#targetLangSelect', 'ja');
+        const switched = await waitForTranslation(page, '[JA] 再见');
+        check(switched === '[JA] 再见' && mock.requests.at(-1).body.target_lang === 'JA', 'Language switch translates into the new target', switched);
+        
+        // Offline, the text is queued instead of sent, and translated once back online
+        await context.setOffline(true);
+        await page.waitForTimeout(200);
+        const offlineCount = mock.requests.length;
+        await page.fill('#sourceText', '早上好');
+        const queued = await waitForTranslation(page, 'Offline - will translate when back online');
+        check(queued === 'Offline - will translate when back online' && mock.requests.length === offlineCount, 'Offline text queued, not sent', queued);
+        
+        await context.setOffline(false);
+        const synced = await waitForTranslation(page, '[JA] 早上好');
+        check(synced === '[JA] 早上好', 'Queued text translated after reconnecting', synced);
+        
+        // Settings survive a reload
+        await page.uncheck('#autoTranslate');
+        await page.reload({ waitUntil: 'domcontentloaded' });
+        await page.waitForTimeout(1000);
+        const persisted = await page.evaluate(async () => {
+            const { getApiKeys } = await import('./settings.js');
+            return {
+                target: document.getElementById('targetLangSelect').value,
+                autoTranslate: document.getElementById('autoTranslate').checked,
+                endpoint: document.getElementById('apiBaseUrl').value,
+                apiKey: getApiKeys().apiKey
+            };
+        });
+        check(persisted.target === 'ja' && !persisted.autoTranslate && persisted.endpoint === mockUrl + MOCK_TRANSLATE_PATH && persisted.apiKey === 'mock-key',
+            'Settings persist across reloads', persisted);
+        await page.check('#autoTranslate');
         
         // Summary
         console.log('\n========================================');
@@ -148,6 +543,9 @@ async function testTranslatorApp() {
             console.log('\n✓ No console errors detected');
         }
         
+        // Errors the app logs on purpose are fine; uncaught ones are not
+        check(pageErrors.length === 0, 'No uncaught page errors', pageErrors);
+        
         console.log('\n========================================');
         console.log('✓ ALL BASIC TESTS PASSED');
         console.log('========================================\n');
@@ -155,11 +553,16 @@ async function testTranslatorApp() {
     } catch (error) {
         console.error('\n✗ Test failed with error:');
         console.error(error.message);
-        process.exit(1);
+        process.exitCode = 1;
     } finally {
         await browser.close();
+        mock.server.close();
+        appServer.close();
     }
 }
 
 // Run the test
-testTranslatorApp().catch(console.error);
+testTranslatorApp().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});
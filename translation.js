@@ -0,0 +1,255 @@
+/**
+ * MiniMax Translator - Translation Requests
+ * Corrections, cache and provider chain behind every translation, and the
+ * offline outbox for when there is no connection
+ */
+
+import { getLanguage } from './languages.js';
+import { addHistoryEntry } from './history.js';
+import { buildCacheKey } from './cache-store.js';
+import { MiniMaxError } from './minimax-client.js';
+import { isAbortError, translateWithProviders } from './providers.js';
+import {
+    OUTBOX_SYNC_TAG, queueTranslation, getSyncedTranslations, removePendingTranslation,
+    processOutbox
+} from './outbox.js';
+import { segmentText, joinTranslatedSegments, runPool } from './segmenter.js';
+import { findCorrection } from './corrections.js';
+import { getGlossaryTerms, protectGlossaryTerms, restoreGlossaryTerms } from './glossary.js';
+import { setTurnTranslation } from './conversation.js';
+import { CONFIG } from './config.js';
+import { state, elements } from './state.js';
+import { shareUnlockedKey, getProviderSettings } from './settings.js';
+import { getCachedTranslation, saveToOfflineCache } from './cache.js';
+import { resolveLanguagePair, setProviderLabel, showTranslation } from './ui.js';
+
+/**
+ * Explain a failed translation: the MiniMax error's message when MiniMax was
+ * tried, otherwise a generic hint
+ */
+export function describeTranslationError(error) {
+    const apiError = (error.errors || [error]).find(item => item instanceof MiniMaxError);
+    return apiError ? apiError.userMessage : 'Translation service unavailable. Check your API key.';
+}
+
+/**
+ * Translate text through the offline cache and provider chain, without touching the UI.
+ * Resolves to { translation, provider, pair }, or to { queued: true, outboxId, pair }
+ * when offline. Rejects with a ProviderChainError when every provider failed.
+ * options.saveHistory: false keeps the translation out of the history;
+ * options.useCache: false skips the correction and cache lookups;
+ * options.saveCache: false keeps the result out of the cache;
+ * options.signal (an AbortSignal) cancels the network requests.
+ */
+export async function requestTranslation(
+    text, pair = resolveLanguagePair(text), { saveHistory = true, useCache = true, saveCache = true, signal } = {}
+) {
+    // Get the correct language codes for the API
+    const sourceLang = getLanguage(pair.source).api;
+    const targetLang = getLanguage(pair.target).api;
+    
+    // Swap glossary terms for placeholders so the provider can't translate them
+    const glossary = protectGlossary(text, pair);
+    
+    // The user's own corrections win over the cache and the providers,
+    // unless a glossary term added since calls for another translation
+    const correction = useCache && await findCorrection(sourceLang, targetLang, text, {
+        minSimilarity: state.fuzzyCorrections ? CONFIG.CORRECTION_MIN_SIMILARITY : 0
+    });
+    if (correction && glossary.matched.every(entry => correction.record.translation.includes(entry.target))) {
+        const provider = correction.similarity < 1
+            ? `Correction (${Math.round(correction.similarity * 100)}% match)`
+            : 'Correction';
+        if (saveHistory) recordHistory(text, correction.record.translation, pair, provider);
+        return { translation: correction.record.translation, provider, pair };
+    }
+    
+    // Check offline cache first; entries made with other glossary terms don't count
+    const cacheKey = buildCacheKey(sourceLang, targetLang, text);
+    const cachedTranslation = useCache && await getCachedTranslation(cacheKey, glossary.fingerprint);
+    if (cachedTranslation) {
+        if (saveHistory) recordHistory(text, cachedTranslation, pair, 'Cache');
+        return { translation: cachedTranslation, provider: 'Cache', pair };
+    }
+    
+    // If offline, queue it for when the connection returns
+    if (!state.isOnline) {
+        const outboxId = await queueOfflineTranslation(text, pair, sourceLang, targetLang, glossary);
+        return { queued: true, outboxId, pair };
+    }
+    
+    const result = glossary.text.length > CONFIG.SEGMENT_MAX_CHARS
+        ? await translateInSegments(glossary.text, sourceLang, targetLang, pair, signal)
+        : await translateWithProviders(glossary.text, sourceLang, targetLang, state.providerChain, getProviderSettings(), signal);
+    const translation = restoreGlossaryTerms(result.translation, glossary.replacements);
+    
+    if (saveHistory) recordHistory(text, translation, pair, result.provider);
+    
+    // Cache the translation
+    if (saveCache) {
+        saveToOfflineCache(cacheKey, translation, { sourceLang, targetLang, text, glossary: glossary.fingerprint });
+    }
+    
+    return { translation, provider: result.provider, pair };
+}
+
+/**
+ * Translate text too long for a single request as sentence-aligned segments,
+ * a few at a time, and join the results back together in order.
+ * Resolves to { translation, provider } like translateWithProviders().
+ */
+async function translateInSegments(text, sourceLang, targetLang, pair, signal) {
+    const segments = segmentText(text, CONFIG.SEGMENT_MAX_CHARS);
+    const settings = getProviderSettings();
+    
+    const results = await runPool(segments, segment => translateWithProviders(
+        segment.text, sourceLang, targetLang, state.providerChain, settings, signal
+    ), {
+        concurrency: CONFIG.SEGMENT_CONCURRENCY,
+        retries: CONFIG.SEGMENT_RETRIES,
+        // Retrying won't help when no provider is configured or the request was cancelled
+        shouldRetry: error => !error.unconfigured && !isAbortError(error)
+    });
+    
+    console.log(`Translated ${segments.length} segments`);
+    
+    return {
+        translation: joinTranslatedSegments(
+            segments, results.map(result => result.translation), getLanguage(pair.target).spaced
+        ),
+        provider: [...new Set(results.map(result => result.provider))].join(', ')
+    };
+}
+
+/**
+ * Swap the glossary terms for a language pair in text for placeholders;
+ * see protectGlossaryTerms()
+ */
+export function protectGlossary(text, pair) {
+    return protectGlossaryTerms(text, getGlossaryTerms(state.glossary, pair.source, pair.target));
+}
+
+/**
+ * Save a completed translation to the history
+ */
+export function recordHistory(sourceText, targetText, pair, provider) {
+    addHistoryEntry({
+        sourceText: sourceText.trim(),
+        targetText,
+        sourceLang: pair.source,
+        targetLang: pair.target,
+        provider
+    }).catch(error => console.error('Error saving history:', error));
+}
+
+/**
+ * Add a translation to the offline outbox and ask for a background sync.
+ * glossary is the result of protectGlossaryTerms() for the text.
+ * Resolves to the outbox id, or null if it could not be queued.
+ */
+async function queueOfflineTranslation(text, pair, sourceLang, targetLang, glossary) {
+    try {
+        const id = await queueTranslation({
+            text: glossary.text,
+            originalText: text,
+            glossary: glossary.replacements,
+            glossaryFingerprint: glossary.fingerprint,
+            sourceLang,
+            targetLang,
+            pair,
+            chain: state.providerChain,
+            settings: getProviderSettings()
+        });
+        
+        if (hasBackgroundSync()) {
+            const registration = await navigator.serviceWorker.ready;
+            await registration.sync.register(OUTBOX_SYNC_TAG);
+        }
+        
+        return id;
+    } catch (error) {
+        console.error('Error queueing offline translation:', error);
+        return null;
+    }
+}
+
+/**
+ * Replay the outbox after reconnecting when Background Sync isn't available
+ */
+export function replayOutbox() {
+    // With Background Sync the browser fires the sync event itself
+    if (hasBackgroundSync()) return;
+    
+    if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+        navigator.serviceWorker.controller.postMessage({ type: 'SYNC_TRANSLATIONS' });
+    } else {
+        processOutbox(handleOutboxMessage)
+            .catch(error => console.error('Error replaying outbox:', error));
+    }
+}
+
+/**
+ * Check for Background Sync through an active service worker. Without one
+ * (file://, or registration failed) the page replays the outbox itself.
+ */
+function hasBackgroundSync() {
+    return 'serviceWorker' in navigator && !!navigator.serviceWorker.controller && 'SyncManager' in window;
+}
+
+/**
+ * Handle messages about synced outbox items
+ */
+export function handleOutboxMessage(message) {
+    if (message && message.type === 'TRANSLATION_SYNCED') {
+        collectSyncedTranslations();
+    }
+    // The service worker restarted without the passphrase key
+    if (message && message.type === 'KEYS_NEEDED') {
+        shareUnlockedKey();
+    }
+}
+
+/**
+ * Move completed outbox items into the cache and history, and show the
+ * result if the target panel is still waiting for it
+ */
+export function collectSyncedTranslations() {
+    // Serialize so two messages can't collect the same item twice
+    state.outboxCollection = state.outboxCollection.then(async () => {
+        try {
+            const synced = await getSyncedTranslations();
+            
+            for (const item of synced) {
+                const text = item.originalText || item.text;
+                const translation = restoreGlossaryTerms(item.translation, item.glossary);
+                
+                const cacheKey = buildCacheKey(item.sourceLang, item.targetLang, text);
+                saveToOfflineCache(cacheKey, translation, {
+                    sourceLang: item.sourceLang,
+                    targetLang: item.targetLang,
+                    text,
+                    glossary: item.glossaryFingerprint
+                });
+                recordHistory(text, translation, item.pair, item.provider);
+                
+                // Fill in whatever is still showing the offline placeholder
+                for (const placeholder of document.querySelectorAll(`[data-outbox-id="${item.id}"]`)) {
+                    const turn = placeholder.closest('.transcript-turn');
+                    if (turn) {
+                        placeholder.removeAttribute('data-outbox-id');
+                        setTurnTranslation(turn, translation, item.provider);
+                    } else if (elements.targetText.contains(placeholder)) {
+                        showTranslation(text, translation, item.pair);
+                        setProviderLabel(item.provider);
+                    }
+                }
+                
+                await removePendingTranslation(item.id);
+            }
+        } catch (error) {
+            console.error('Error collecting synced translations:', error);
+        }
+    });
+    
+    return state.outboxCollection;
+}
@@ -0,0 +1,865 @@
+/**
+ * MiniMax Translator - Translation Panels
+ * Language selection, the source and target panels, conversation mode,
+ * sentence alignment, back-translation and alternatives
+ */
+
+import { createElement, renderContent, renderMessage, createHighlightedText } from './render.js';
+import {
+    LANGUAGES, getLanguage, pickSourceLang, pickTargetLang, getFallbackTargetLang, pickDetectedLang
+} from './languages.js';
+import { detectLanguage } from './detect.js';
+import { buildCacheKey, normalizeLookupText, cacheDelete, cacheFindSimilar } from './cache-store.js';
+import { TRANSLATION_STYLES, canTranslateInStyle, isAbortError, translateWithProviders } from './providers.js';
+import { runPool } from './segmenter.js';
+import { alignSentences, joinAlignedTranslation } from './alignment.js';
+import { getTextSimilarity, describeSimilarity } from './similarity.js';
+import { saveCorrection, findCorrection } from './corrections.js';
+import { getGlossaryTerms, findGlossaryMatches, restoreGlossaryTerms, findGlossarySpans } from './glossary.js';
+import { addTranscriptTurn, setTurnTranslation, setTurnStatus, updatePendingBubble } from './conversation.js';
+import { CONFIG } from './config.js';
+import { state, elements } from './state.js';
+import { saveSettings, openUnlockModal, getProviderSettings } from './settings.js';
+import { speakText } from './speech.js';
+import { describeTranslationError, requestTranslation, recordHistory, protectGlossary } from './translation.js';
+import { saveToOfflineCache } from './cache.js';
+
+/**
+ * Set language pair for translation
+ */
+export function setLanguagePair(sourceLang, targetLang) {
+    // Picking the same language on both sides swaps the pair instead
+    if (sourceLang === targetLang) {
+        if (sourceLang !== state.sourceLang) {
+            targetLang = getActiveSourceLang();
+        } else {
+            sourceLang = state.targetLang;
+        }
+        if (sourceLang === targetLang) {
+            targetLang = getFallbackTargetLang(sourceLang);
+        }
+    }
+    
+    state.sourceLang = sourceLang;
+    state.targetLang = targetLang;
+    updateLanguageSelects();
+    updateLanguageLabels();
+    
+    // Update speech recognition language
+    if (state.recognition) {
+        state.recognition.lang = getLanguage(getActiveSourceLang()).speech;
+    }
+    
+    // Responses for the old pair must not land in the panel
+    cancelPendingTranslations();
+    
+    // Re-translate if there's text
+    if (elements.sourceText.textContent.trim()) {
+        translateText(elements.sourceText.textContent);
+    }
+    
+    saveSettings();
+}
+
+/**
+ * Fill the source/target dropdowns from the language registry
+ */
+export function populateLanguageSelects() {
+    renderContent(elements.sourceLangSelect, new Option('Auto', CONFIG.AUTO_DETECT), ...buildLanguageOptions());
+    renderContent(elements.targetLangSelect, ...buildLanguageOptions());
+    renderContent(elements.glossarySourceLang, ...buildLanguageOptions());
+    renderContent(elements.glossaryTargetLang, ...buildLanguageOptions());
+    updateLanguageSelects();
+}
+
+/**
+ * Build an <option> for every registry language
+ */
+export function buildLanguageOptions() {
+    return Object.entries(LANGUAGES).map(([code, lang]) => new Option(lang.name, code));
+}
+
+/**
+ * Sync the dropdowns with the current language pair
+ */
+export function updateLanguageSelects() {
+    elements.sourceLangSelect.value = state.sourceLang;
+    elements.targetLangSelect.value = state.targetLang;
+}
+
+/**
+ * Update language labels
+ */
+export function updateLanguageLabels() {
+    const sourceLang = getActiveSourceLang();
+    
+    if (state.sourceLang === CONFIG.AUTO_DETECT) {
+        elements.sourceLangLabel.textContent = state.detectedLang
+            ? `Auto · ${getLanguage(state.detectedLang).name}`
+            : 'Auto';
+    } else {
+        elements.sourceLangLabel.textContent = getLanguage(sourceLang).name;
+    }
+    elements.targetLangLabel.textContent = getLanguage(getActiveTargetLang(sourceLang)).name;
+}
+
+/**
+ * Source language in effect: the selected one, or the last detected one in Auto mode
+ */
+export function getActiveSourceLang() {
+    return pickSourceLang(state.sourceLang, state.detectedLang);
+}
+
+/**
+ * Target language in effect for a source language. When Auto detects the
+ * selected target language, translate the other way instead.
+ */
+export function getActiveTargetLang(sourceLang) {
+    return pickTargetLang(sourceLang, state.targetLang);
+}
+
+/**
+ * Resolve the language pair for a piece of text, detecting the source in Auto mode
+ */
+export function resolveLanguagePair(text) {
+    if (state.sourceLang === CONFIG.AUTO_DETECT) {
+        const detectedLang = pickDetectedLang(detectLanguage(text), state.detectedLang);
+        
+        if (detectedLang !== state.detectedLang) {
+            state.detectedLang = detectedLang;
+            updateLanguageLabels();
+        }
+    }
+    
+    const source = getActiveSourceLang();
+    return { source, target: getActiveTargetLang(source) };
+}
+
+/**
+ * Switch between the side-by-side panels and the conversation transcript
+ */
+export function setConversationMode(enabled) {
+    if (state.alignmentMode) {
+        setAlignmentMode(false);
+    }
+    
+    state.conversationMode = enabled;
+    elements.translationArea.hidden = enabled;
+    elements.conversationView.hidden = !enabled;
+    elements.conversationBtn.classList.toggle('active', enabled);
+    elements.conversationBtn.setAttribute('aria-pressed', String(enabled));
+    
+    if (!enabled) {
+        updatePendingBubble(elements.transcript, '');
+    }
+}
+
+/**
+ * Add an utterance to the conversation transcript and translate it
+ */
+export async function addConversationTurn(text) {
+    const pair = resolveLanguagePair(text);
+    const turn = addTranscriptTurn(elements.transcript, text, pair);
+    
+    try {
+        const result = await requestTranslation(text, pair);
+        
+        if (result.queued) {
+            setTurnStatus(
+                turn,
+                result.outboxId ? 'Offline - will translate when back online' : 'Offline - translation unavailable',
+                result.outboxId ? { 'data-outbox-id': result.outboxId } : {}
+            );
+        } else {
+            setTurnTranslation(turn, result.translation, result.provider);
+            
+            if (state.autoSpeak) {
+                speakText(result.translation, pair.target);
+            }
+        }
+    } catch (error) {
+        console.error('Translation error:', error);
+        setTurnStatus(turn, error.unconfigured
+            ? 'Add your MiniMax API key in settings to enable translation.'
+            : describeTranslationError(error));
+    }
+}
+
+/**
+ * Handle text input with debounce
+ */
+export function handleTextInput() {
+    // Whatever is in flight was for the text before this edit
+    cancelPendingTranslations();
+    
+    if (!state.autoTranslate) return;
+    
+    const text = elements.sourceText.textContent.trim();
+    
+    // Clear existing debounce timer
+    if (state.debounceTimer) {
+        clearTimeout(state.debounceTimer);
+    }
+    
+    // Set new debounce timer
+    state.debounceTimer = setTimeout(() => {
+        if (text) {
+            translateText(text);
+        }
+    }, CONFIG.TRANSLATE_DEBOUNCE);
+}
+
+/**
+ * Translate text using the provider chain or offline cache
+ */
+export async function translateText(text, { fromSpeech = false } = {}) {
+    if (!text.trim()) return;
+    
+    // An edit or a pair change replaces everything in flight. Utterances are
+    // separate pieces of text, so earlier ones are left to finish.
+    if (!fromSpeech) {
+        cancelPendingTranslations();
+    }
+    
+    const seq = ++state.translationSeq;
+    const controller = new AbortController();
+    state.translationControllers.add(controller);
+    
+    // Superseded, or older than what the panel already shows
+    const isStale = () => seq <= state.translationFloor;
+    
+    try {
+        elements.targetText.classList.add('loading');
+        
+        const pair = resolveLanguagePair(text);
+        suggestSimilarTranslation(text, pair, controller);
+        
+        const result = await requestTranslation(text, pair, { signal: controller.signal });
+        if (isStale()) return;
+        state.translationFloor = seq;
+        
+        if (result.queued) {
+            renderMessage(elements.targetText, result.outboxId
+                ? { text: 'Offline - will translate when back online', tone: 'error', attributes: { 'data-outbox-id': result.outboxId } }
+                : { text: 'Offline - translation unavailable', tone: 'error' });
+            setCurrentTranslation(null);
+            setProviderLabel('');
+            showOfflineIndicator();
+            return;
+        }
+        
+        showTranslation(text, result.translation, result.pair);
+        setProviderLabel(result.provider);
+        
+        if (state.autoSpeak) {
+            // Spoken utterances queue up; a typed edit replaces whatever was being read
+            speakText(result.translation, result.pair.target, { interrupt: !fromSpeech });
+        }
+        
+    } catch (error) {
+        if (isAbortError(error) || isStale()) return;
+        state.translationFloor = seq;
+        
+        console.error('Translation error:', error);
+        setCurrentTranslation(null);
+        setProviderLabel('');
+        
+        if (error.unconfigured && state.keyLock === 'locked') {
+            renderMessage(elements.targetText, {
+                text: 'Your API keys are locked. Unlock them to enable translation.',
+                action: { text: 'Unlock', onClick: openUnlockModal }
+            });
+        } else if (error.unconfigured) {
+            // Nothing in the chain could run - point the user at the settings
+            renderMessage(elements.targetText, {
+                text: 'Add your MiniMax API key in settings to enable translation.',
+                link: { href: 'https://api.minimax.chat/', text: 'Get a free API key →' }
+            });
+        } else {
+            // Final fallback: show original text with suggestion
+            renderMessage(elements.targetText, {
+                text: describeTranslationError(error),
+                detail: `Original text: ${text}`
+            });
+        }
+    } finally {
+        state.translationControllers.delete(controller);
+        if (state.translationControllers.size === 0) {
+            elements.targetText.classList.remove('loading');
+            elements.similarSuggestion.hidden = true;
+        }
+    }
+}
+
+/**
+ * While a translation is on its way, show the cached translation of the most
+ * similar earlier text, if any comes close enough
+ */
+async function suggestSimilarTranslation(text, pair, controller) {
+    const sourceLang = getLanguage(pair.source).api;
+    const targetLang = getLanguage(pair.target).api;
+    
+    try {
+        const match = await cacheFindSimilar(sourceLang, targetLang, text, CONFIG.SUGGESTION_MIN_SIMILARITY);
+        if (!match || !state.translationControllers.has(controller)) return;
+        
+        elements.similarSuggestion.querySelector('.suggestion-meta').textContent =
+            `Similar to previous (${Math.round(match.similarity * 100)}%): ${match.entry.text}`;
+        elements.similarSuggestion.querySelector('.suggestion-text').textContent = match.entry.translation;
+        elements.similarSuggestion.hidden = false;
+    } catch (error) {
+        console.error('Error finding similar translations:', error);
+    }
+}
+
+/**
+ * Cancel the target panel's in-flight requests and keep any response
+ * that still arrives from writing to the panel
+ */
+export function cancelPendingTranslations() {
+    for (const controller of state.translationControllers) {
+        controller.abort();
+    }
+    state.translationControllers.clear();
+    state.translationFloor = state.translationSeq;
+    elements.targetText.classList.remove('loading');
+    elements.similarSuggestion.hidden = true;
+}
+
+/**
+ * Offer text as a file download
+ */
+export function downloadFile(fileName, content, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * A list item button handled by its list's click handler through data-action
+ */
+export function createActionButton(action, label) {
+    return createElement('button', { type: 'button', 'data-action': action }, label);
+}
+
+/**
+ * Format a timestamp as a time for today, or a date and time otherwise
+ */
+export function formatTimestamp(timestamp) {
+    const date = new Date(timestamp);
+    return date.toDateString() === new Date().toDateString()
+        ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        : date.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Show which engine produced the current translation
+ */
+export function setProviderLabel(providerName) {
+    if (!elements.providerLabel) return;
+    elements.providerLabel.textContent = providerName ? `via ${providerName}` : '';
+}
+
+/**
+ * Show a translation in the target panel, marking the glossary terms it enforced
+ */
+export function showTranslation(sourceText, translation, pair) {
+    setCurrentTranslation({ sourceText, translation, pair });
+    
+    const terms = getGlossaryTerms(state.glossary, pair.source, pair.target);
+    const matched = findGlossaryMatches(sourceText, terms).map(match => match.entry);
+    const highlights = findGlossarySpans(translation, matched).map(span => ({
+        start: span.start,
+        end: span.end,
+        className: 'glossary-term',
+        title: `Glossary: ${span.entry.source} → ${span.entry.target}`
+    }));
+    
+    renderContent(elements.targetText, createHighlightedText(translation, highlights));
+}
+
+/**
+ * Record what the target panel shows; null when it shows a message instead
+ */
+export function setCurrentTranslation(current) {
+    state.currentTranslation = current;
+    elements.alignTarget.disabled = !current;
+    elements.verifyTarget.disabled = !current;
+    
+    if (state.alignmentMode) {
+        if (current) {
+            renderAlignment();
+        } else {
+            setAlignmentMode(false);
+        }
+    }
+}
+
+/**
+ * Switch between the side-by-side panels and the sentence alignment view
+ */
+export function setAlignmentMode(enabled) {
+    if (enabled && !state.currentTranslation) return;
+    
+    state.alignmentMode = enabled;
+    state.alignmentPinned = null;
+    elements.translationArea.hidden = enabled;
+    elements.alignmentView.hidden = !enabled;
+    
+    if (enabled) {
+        renderAlignment();
+    }
+}
+
+/**
+ * Render the current translation as two columns of paired sentences.
+ * The alignment is kept while the translation is unchanged, so a
+ * re-translated sentence stays paired where it was.
+ */
+function renderAlignment() {
+    const { sourceText, translation, pair } = state.currentTranslation;
+    
+    if (!state.alignment || state.alignment.sourceText !== sourceText || state.alignment.translation !== translation) {
+        state.alignment = { sourceText, translation, groups: alignSentences(sourceText, translation) };
+        state.alignmentPinned = null;
+    }
+    
+    elements.alignmentTitle.textContent = `${getLanguage(pair.source).name} → ${getLanguage(pair.target).name}`;
+    elements.alignmentSource.lang = getLanguage(pair.source).tts;
+    elements.alignmentTarget.lang = getLanguage(pair.target).tts;
+    elements.alignmentSource.textContent = '';
+    elements.alignmentTarget.textContent = '';
+    
+    state.alignment.groups.forEach((group, index) => {
+        elements.alignmentSource.append(createAlignedSentence(group.source, index), group.sourceSeparator);
+        elements.alignmentTarget.append(createAlignedSentence(group.target, index));
+        
+        // A translated sentence with no source has nothing to re-translate
+        if (group.source) {
+            const retranslate = document.createElement('button');
+            retranslate.type = 'button';
+            retranslate.className = 'retranslate-btn';
+            retranslate.dataset.index = index;
+            retranslate.textContent = '↻';
+            retranslate.title = 'Re-translate this sentence';
+            retranslate.setAttribute('aria-label', `Re-translate sentence ${index + 1}`);
+            elements.alignmentTarget.append(retranslate);
+        }
+        elements.alignmentTarget.append(group.targetSeparator || (group.target ? ' ' : ''));
+    });
+    
+    highlightAlignedPair(state.alignmentPinned);
+}
+
+/**
+ * Create one side of a sentence pair; a dash stands in for a missing counterpart
+ */
+function createAlignedSentence(text, index) {
+    const sentence = document.createElement('span');
+    sentence.className = text ? 'aligned-sentence' : 'aligned-sentence unmatched';
+    sentence.dataset.index = index;
+    sentence.tabIndex = 0;
+    sentence.textContent = text || '—';
+    return sentence;
+}
+
+/**
+ * Highlight both sides of a sentence pair, or clear the highlight for null
+ */
+export function highlightAlignedPair(index) {
+    for (const sentence of elements.alignmentGrid.querySelectorAll('.aligned-sentence')) {
+        sentence.classList.toggle('highlighted', Number(sentence.dataset.index) === index);
+    }
+}
+
+/**
+ * Highlight the pair under the pointer or keyboard focus
+ */
+export function handleAlignmentHover(e) {
+    const sentence = e.target.closest('[data-index]');
+    highlightAlignedPair(sentence ? Number(sentence.dataset.index) : state.alignmentPinned);
+}
+
+/**
+ * Tapping a sentence pins its pair's highlight; the ↻ button re-translates it
+ */
+export function handleAlignmentClick(e) {
+    const retranslate = e.target.closest('.retranslate-btn');
+    if (retranslate) {
+        retranslateSentence(Number(retranslate.dataset.index));
+        return;
+    }
+    
+    const sentence = e.target.closest('.aligned-sentence');
+    if (!sentence) return;
+    
+    const index = Number(sentence.dataset.index);
+    state.alignmentPinned = state.alignmentPinned === index ? null : index;
+    highlightAlignedPair(state.alignmentPinned);
+    
+    // On narrow screens the columns stack, so bring the counterpart into view
+    const otherColumn = elements.alignmentSource.contains(sentence) ? elements.alignmentTarget : elements.alignmentSource;
+    const counterpart = otherColumn.querySelector(`.aligned-sentence[data-index="${index}"]`);
+    if (state.alignmentPinned !== null && counterpart) {
+        counterpart.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+}
+
+/**
+ * Show a different translation of the current source text, and cache it so
+ * it comes up the next time this text is translated
+ */
+async function replaceCurrentTranslation(translation) {
+    const { sourceText, pair } = state.currentTranslation;
+    showTranslation(sourceText, translation, pair);
+    
+    const sourceLang = getLanguage(pair.source).api;
+    const targetLang = getLanguage(pair.target).api;
+    
+    try {
+        // A saved correction would still win over the cache, so it is updated instead
+        if (await findCorrection(sourceLang, targetLang, sourceText)) {
+            await saveCorrection(sourceLang, targetLang, sourceText, translation);
+            return;
+        }
+    } catch (error) {
+        console.error('Error updating correction:', error);
+    }
+    saveToOfflineCache(buildCacheKey(sourceLang, targetLang, sourceText), translation, {
+        sourceLang, targetLang, text: sourceText, glossary: protectGlossary(sourceText, pair).fingerprint
+    });
+}
+
+/**
+ * Save a hand-edited translation in the target panel to the correction memory,
+ * and drop the cached machine translation it replaces
+ */
+export async function saveTargetCorrection() {
+    const current = state.currentTranslation;
+    const corrected = elements.targetText.textContent.trim();
+    if (!current || !corrected || corrected === current.translation.trim()) return;
+    
+    const sourceLang = getLanguage(current.pair.source).api;
+    const targetLang = getLanguage(current.pair.target).api;
+    
+    try {
+        await saveCorrection(sourceLang, targetLang, current.sourceText, corrected, current.translation);
+        await cacheDelete(buildCacheKey(sourceLang, targetLang, current.sourceText));
+        
+        setCurrentTranslation({ ...current, translation: corrected });
+        setProviderLabel('Correction');
+        recordHistory(current.sourceText, corrected, current.pair, 'Correction');
+    } catch (error) {
+        console.error('Error saving correction:', error);
+    }
+}
+
+/**
+ * Translate one source sentence on its own and put the result in place of
+ * its counterpart, updating the target panel and the cached translation
+ */
+async function retranslateSentence(index) {
+    const alignment = state.alignment;
+    const { pair } = state.currentTranslation;
+    const group = alignment.groups[index];
+    
+    if (!state.isOnline) {
+        elements.alignmentStatus.textContent = 'Re-translating needs a connection.';
+        return;
+    }
+    
+    const sentence = elements.alignmentTarget.querySelector(`.aligned-sentence[data-index="${index}"]`);
+    sentence.classList.add('loading');
+    elements.alignmentStatus.textContent = `Re-translating sentence ${index + 1}...`;
+    
+    try {
+        const result = await requestTranslation(group.source, pair, { saveHistory: false, useCache: false });
+        
+        // The panel has moved on to another translation
+        if (state.alignment !== alignment) return;
+        
+        group.target = result.translation;
+        alignment.translation = joinAlignedTranslation(alignment.groups, getLanguage(pair.target).spaced);
+        replaceCurrentTranslation(alignment.translation);
+        
+        elements.alignmentStatus.textContent = `Sentence ${index + 1} re-translated via ${result.provider}`;
+    } catch (error) {
+        console.error('Error re-translating sentence:', error);
+        if (state.alignment !== alignment) return;
+        
+        sentence.classList.remove('loading');
+        elements.alignmentStatus.textContent = error.unconfigured
+            ? 'Add your MiniMax API key in settings to enable translation.'
+            : describeTranslationError(error);
+    }
+}
+
+/**
+ * Open the check dialog for the translation in the target panel and start
+ * translating it back
+ */
+export function openVerify() {
+    if (!state.currentTranslation) return;
+    
+    state.alternatives = [];
+    renderContent(elements.alternativeList);
+    elements.verifyStatus.textContent = '';
+    elements.verifyModal.classList.add('show');
+    runBackTranslation();
+}
+
+/**
+ * Translate the current translation back into the source language through the
+ * usual request path, and show how close it comes to the original text
+ */
+async function runBackTranslation() {
+    const current = state.currentTranslation;
+    
+    elements.verifyBackTranslation.textContent = '';
+    elements.verifySimilarity.hidden = true;
+    
+    if (!state.isOnline) {
+        elements.verifyStatus.textContent = 'Checking needs a connection.';
+        return;
+    }
+    
+    elements.verifyBackTranslation.classList.add('loading');
+    
+    try {
+        // A fresh translation: a cached or corrected one would say nothing about this one
+        const result = await requestTranslation(
+            current.translation,
+            { source: current.pair.target, target: current.pair.source },
+            { saveHistory: false, useCache: false, saveCache: false }
+        );
+        if (state.currentTranslation !== current) return;
+        
+        const score = getTextSimilarity(current.sourceText, result.translation);
+        const { level, label } = describeSimilarity(score);
+        
+        elements.verifyBackTranslation.textContent = result.translation;
+        elements.verifySimilarity.className = `similarity-badge similarity-${level}`;
+        elements.verifySimilarity.textContent = `${Math.round(score * 100)}% similar · ${label}`;
+        elements.verifySimilarity.hidden = false;
+    } catch (error) {
+        console.error('Error translating back:', error);
+        if (state.currentTranslation !== current) return;
+        
+        elements.verifyStatus.textContent = error.unconfigured
+            ? 'Add your MiniMax API key in settings to enable translation.'
+            : describeTranslationError(error);
+    } finally {
+        if (state.currentTranslation === current) {
+            elements.verifyBackTranslation.classList.remove('loading');
+        }
+    }
+}
+
+/**
+ * Ask for other phrasings of the current translation in the chosen register
+ * and list the distinct ones
+ */
+export async function suggestAlternatives() {
+    const current = state.currentTranslation;
+    if (!current) return;
+    
+    if (!state.isOnline) {
+        elements.verifyStatus.textContent = 'Alternatives need a connection.';
+        return;
+    }
+    
+    // Asking MiniMax or Google again only gives the same translation back
+    if (!canTranslateInStyle(state.providerChain, getProviderSettings())) {
+        elements.verifyStatus.textContent =
+            'Your first translation provider can\'t suggest alternatives. Put an OpenAI-compatible endpoint first in settings.';
+        return;
+    }
+    
+    const style = elements.alternativeStyle.value;
+    const count = Math.min(Math.max(parseInt(elements.alternativeCount.value, 10) || 1, 1), CONFIG.MAX_ALTERNATIVES);
+    
+    elements.requestAlternatives.disabled = true;
+    elements.verifyStatus.textContent = `Asking for ${count} ${TRANSLATION_STYLES[style].name.toLowerCase()} alternatives...`;
+    
+    try {
+        const results = await translateAlternatives(current.sourceText, current.pair, style, count);
+        if (!state.currentTranslation || state.currentTranslation.sourceText !== current.sourceText) return;
+        
+        const currentText = normalizeLookupText(state.currentTranslation.translation);
+        state.alternatives = results.filter(result => normalizeLookupText(result.translation) !== currentText);
+        renderAlternatives();
+        elements.verifyStatus.textContent = state.alternatives.length
+            ? 'Tap Use to replace the translation.'
+            : 'No different phrasings came back.';
+    } catch (error) {
+        console.error('Error suggesting alternatives:', error);
+        elements.verifyStatus.textContent = error.unconfigured
+            ? 'Add your MiniMax API key in settings to enable translation.'
+            : describeTranslationError(error);
+    } finally {
+        elements.requestAlternatives.disabled = false;
+    }
+}
+
+/**
+ * Translate text `count` times in a register (a TRANSLATION_STYLES key),
+ * bypassing the cache, with glossary terms enforced as usual.
+ * Resolves to the distinct [{ translation, provider }].
+ */
+async function translateAlternatives(text, pair, style, count) {
+    const sourceLang = getLanguage(pair.source).api;
+    const targetLang = getLanguage(pair.target).api;
+    const glossary = protectGlossary(text, pair);
+    const settings = { ...getProviderSettings(), style };
+    
+    const results = await runPool(new Array(count).fill(glossary.text), protectedText => translateWithProviders(
+        protectedText, sourceLang, targetLang, state.providerChain, settings
+    ), {
+        concurrency: CONFIG.SEGMENT_CONCURRENCY,
+        retries: 0
+    });
+    
+    // Keyed by lookup form, so phrasings differing only in spacing or punctuation width count once
+    const distinct = new Map();
+    for (const result of results) {
+        const translation = restoreGlossaryTerms(result.translation, glossary.replacements);
+        const key = normalizeLookupText(translation);
+        if (!distinct.has(key)) {
+            distinct.set(key, { translation, provider: result.provider });
+        }
+    }
+    return [...distinct.values()];
+}
+
+/**
+ * Render the suggested alternatives in the check dialog
+ */
+function renderAlternatives() {
+    renderContent(elements.alternativeList);
+    
+    state.alternatives.forEach((alternative, index) => {
+        const item = document.createElement('li');
+        item.className = 'history-item';
+        
+        const text = document.createElement('div');
+        text.className = 'history-target';
+        text.textContent = alternative.translation;
+        
+        const meta = document.createElement('div');
+        meta.className = 'history-meta';
+        meta.textContent = `via ${alternative.provider}`;
+        
+        const actions = document.createElement('div');
+        actions.className = 'history-actions';
+        const use = document.createElement('button');
+        use.type = 'button';
+        use.dataset.index = index;
+        use.textContent = 'Use';
+        actions.appendChild(use);
+        
+        item.append(text, meta, actions);
+        elements.alternativeList.appendChild(item);
+    });
+}
+
+/**
+ * Put a suggested alternative in the target panel and check it in turn
+ */
+export function useAlternative(index) {
+    const alternative = state.alternatives[index];
+    if (!alternative || !state.currentTranslation) return;
+    
+    replaceCurrentTranslation(alternative.translation);
+    setProviderLabel(alternative.provider);
+    
+    state.alternatives.splice(index, 1);
+    renderAlternatives();
+    elements.verifyStatus.textContent = '';
+    runBackTranslation();
+}
+
+/**
+ * Copy target text to clipboard
+ */
+export async function copyTargetText() {
+    const text = elements.targetText.textContent.trim();
+    if (!text) return;
+    
+    try {
+        await navigator.clipboard.writeText(text);
+        
+        // Visual feedback: the tick icon for a moment
+        elements.copyTarget.classList.add('copied');
+        setTimeout(() => {
+            elements.copyTarget.classList.remove('copied');
+        }, 1500);
+    } catch (error) {
+        console.error('Copy failed:', error);
+    }
+}
+
+/**
+ * Translate current text immediately
+ */
+export function translateCurrentText() {
+    const text = elements.sourceText.textContent.trim();
+    if (text) {
+        if (state.debounceTimer) {
+            clearTimeout(state.debounceTimer);
+        }
+        translateText(text);
+    }
+}
+
+/**
+ * Update online status indicator
+ */
+export function updateConnectionStatus() {
+    const statusDot = elements.connectionStatus.querySelector('.status-dot');
+    const statusText = elements.connectionStatus.querySelector('.status-text');
+    
+    statusDot.classList.toggle('online', state.isOnline);
+    statusDot.classList.toggle('offline', !state.isOnline);
+    statusText.textContent = state.isOnline ? 'Online' : 'Offline';
+    
+    // Show/hide offline banner
+    if (!state.isOnline) {
+        showOfflineIndicator();
+    } else {
+        elements.offlineBanner.classList.remove('show');
+    }
+}
+
+/**
+ * Show offline indicator
+ */
+function showOfflineIndicator() {
+    elements.offlineBanner.classList.add('show');
+    
+    // Auto-hide after 3 seconds
+    setTimeout(() => {
+        elements.offlineBanner.classList.remove('show');
+    }, 3000);
+}
+
+/**
+ * Check initial online status
+ */
+export function checkOnlineStatus() {
+    updateConnectionStatus();
+}
+
+/**
+ * "1 translation", "3 translations"
+ */
+export function formatCount(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}